@@ -0,0 +1,62 @@
+// Counts failed attempts per key (an IP or an email) in a fixed window and
+// blocks the key once it reaches the limit. In memory, so limits are per
+// process and reset on restart.
+
+// Expired windows are swept once this many keys are tracked
+const SWEEP_THRESHOLD = 10000;
+
+class AttemptLimiter {
+  constructor({ maxAttempts, windowMinutes, now = Date.now }) {
+    this.maxAttempts = maxAttempts;
+    this.windowMs = windowMinutes * 60 * 1000;
+    this.now = now;
+    this.attempts = new Map();
+  }
+
+  // Seconds until the key may try again, or 0 when it is not blocked
+  retryAfter(key) {
+    const entry = this.current(key);
+    if (!entry || entry.count < this.maxAttempts) {
+      return 0;
+    }
+    return Math.ceil((entry.resetAt - this.now()) / 1000);
+  }
+
+  fail(key) {
+    if (this.attempts.size >= SWEEP_THRESHOLD) {
+      this.sweep();
+    }
+
+    const entry = this.current(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      this.attempts.set(key, { count: 1, resetAt: this.now() + this.windowMs });
+    }
+  }
+
+  reset(key) {
+    this.attempts.delete(key);
+  }
+
+  // The key's window, unless it has run out
+  current(key) {
+    const entry = this.attempts.get(key);
+    if (entry && entry.resetAt <= this.now()) {
+      this.attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  sweep() {
+    const now = this.now();
+    for (const [key, entry] of this.attempts) {
+      if (entry.resetAt <= now) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { AttemptLimiter };
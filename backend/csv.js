@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV reading and writing for catalog import/export.
+// Quoted fields may contain commas, doubled quotes and line breaks.
+
+// Spreadsheets run a cell starting with one of these as a formula, so such
+// cells are written with a leading ' (and read back without it)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Parse CSV text into one object per data row, keyed by the header row.
+// Header names are trimmed and lower-cased; blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(values => values.some(value => value.trim() !== ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return data.map(values => Object.fromEntries(
+    columns.map((column, index) => [column, (values[index] ?? '').trim().replace(/^'(?=[=+\-@\t\r])/, '')])
+  ));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text for the given columns of each record, header first
+function toCsv(columns, records) {
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(values => values.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,17 @@
+// Database configuration for Railway
+const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'gold_ecommerce',
+  port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : 3306,
+  ssl: process.env.NODE_ENV === 'production' ? {
+    rejectUnauthorized: false
+  } : undefined,
+  connectTimeout: 60000, // 60 seconds
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0
+};
+
+module.exports = { dbConfig };
@@ -0,0 +1,77 @@
+// Database migrations and seed data
+//
+//   node migrate.js up             apply every pending migration
+//   node migrate.js down [steps]   roll back the last migration (or the last `steps`)
+//   node migrate.js status         list migrations and whether they are applied
+//   node migrate.js seed           add default data to an up-to-date database
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const { Migrator } = require('./migrations');
+const { seedDefaultData } = require('./seeds');
+const { dbConfig } = require('./dbConfig');
+
+const COMMANDS = {
+  async up(migrator) {
+    const applied = await migrator.migrate();
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s)`
+      : '✅ Database is up to date');
+  },
+
+  async down(migrator, db, steps = '1') {
+    const count = parseInt(steps);
+    if (!(count > 0)) {
+      throw new Error('Steps must be a positive number');
+    }
+
+    const undone = await migrator.rollback(count);
+    console.log(undone.length > 0
+      ? `✅ Rolled back ${undone.length} migration(s)`
+      : '✅ Nothing to roll back');
+  },
+
+  async status(migrator) {
+    for (const migration of await migrator.status()) {
+      const state = migration.applied_at
+        ? `applied ${new Date(migration.applied_at).toISOString()}`
+        : 'pending';
+      console.log(`${migration.applied_at ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+    }
+  },
+
+  async seed(migrator, db) {
+    const pending = await migrator.pending();
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) pending - run node migrate.js up first`);
+    }
+
+    // Pricing lives in server.js; requiring it does not start the API
+    const { seedHooks } = require('./server');
+    await seedDefaultData(db, seedHooks);
+    console.log('✅ Seed data is in place');
+  }
+};
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = mysql.createPool(dbConfig);
+
+  try {
+    console.log(`🗄️  Database: ${dbConfig.database}@${dbConfig.host}`);
+    await COMMANDS[command](new Migrator(db), db, ...args);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main();
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const Schema = require('./Schema');
+
+const LOCK_NAME = 'gold_ecommerce_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Runs the numbered files in a directory ("001_initial_schema.js" exports
+// async up(conn, schema) and down(conn, schema)) and records each applied
+// version in schema_migrations. MySQL commits DDL immediately, so a migration
+// that fails halfway is not recorded and must be safe to run again - the
+// Schema helpers take care of that.
+class Migrator {
+  constructor(db, { directory = path.join(__dirname, 'versions'), log = console.log } = {}) {
+    this.db = db;
+    this.directory = directory;
+    this.log = log;
+  }
+
+  // Migration files in version order
+  load() {
+    const migrations = fs.readdirSync(this.directory)
+      .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+      .sort()
+      .map(file => {
+        const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+        const { up, down } = require(path.join(this.directory, file));
+
+        if (typeof up !== 'function' || typeof down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+
+        return { version, name, file, up, down };
+      });
+
+    const versions = migrations.map(migration => migration.version);
+    const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+    if (duplicate) {
+      throw new Error(`Two migrations share version ${duplicate}`);
+    }
+
+    return migrations;
+  }
+
+  async ensureTable(conn = this.db) {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  }
+
+  async appliedVersions(conn = this.db) {
+    await this.ensureTable(conn);
+    const [rows] = await conn.query('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  // Every known migration with its applied_at, or null when pending
+  async status() {
+    const applied = await this.appliedVersions();
+
+    return this.load().map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.get(version)?.applied_at || null
+    }));
+  }
+
+  async pending() {
+    return (await this.status()).filter(migration => !migration.applied_at);
+  }
+
+  // Apply every pending migration in order; returns the versions applied
+  async migrate() {
+    return this.withLock(async (conn) => {
+      const applied = await this.appliedVersions(conn);
+      const schema = new Schema(conn);
+      const done = [];
+
+      for (const migration of this.load().filter(({ version }) => !applied.has(version))) {
+        this.log(`⬆️  Migrating ${migration.version}_${migration.name}`);
+        await migration.up(conn, schema);
+        await conn.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        done.push(migration.version);
+      }
+
+      return done;
+    });
+  }
+
+  // Undo the last `steps` applied migrations, newest first; returns the versions undone
+  async rollback(steps = 1) {
+    return this.withLock(async (conn) => {
+      const applied = await this.appliedVersions(conn);
+      const migrations = this.load();
+      const missing = [...applied.keys()].filter(version => !migrations.some(m => m.version === version));
+
+      if (missing.length > 0) {
+        throw new Error(`Applied migration(s) ${missing.join(', ')} have no file here - cannot roll back`);
+      }
+
+      const schema = new Schema(conn);
+      const done = [];
+
+      for (const migration of migrations.filter(({ version }) => applied.has(version)).reverse().slice(0, steps)) {
+        this.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+        await migration.down(conn, schema);
+        await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        done.push(migration.version);
+      }
+
+      return done;
+    });
+  }
+
+  // Only one process migrates at a time (e.g. two deploys starting together)
+  async withLock(work) {
+    const conn = await this.db.getConnection();
+
+    try {
+      const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, ?) as locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+      if (locked !== 1) {
+        throw new Error('Another process is running migrations');
+      }
+
+      try {
+        return await work(conn);
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+      }
+    } finally {
+      conn.release();
+    }
+  }
+}
+
+module.exports = Migrator;
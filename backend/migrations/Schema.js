@@ -0,0 +1,70 @@
+// DDL helpers for migrations. Every change checks the live schema first, so a
+// migration also brings a database created by the old CREATE TABLE IF NOT EXISTS
+// startup code up to date instead of failing on what already exists.
+class Schema {
+  constructor(conn) {
+    this.conn = conn;
+  }
+
+  async hasTable(table) {
+    const [rows] = await this.conn.query(
+      'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table]
+    );
+    return rows.length > 0;
+  }
+
+  async hasColumn(table, column) {
+    const [rows] = await this.conn.query(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  }
+
+  async hasIndex(table, index) {
+    const [rows] = await this.conn.query(
+      `SELECT 1 FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, index]
+    );
+    return rows.length > 0;
+  }
+
+  async createTable(table, definition) {
+    await this.conn.query(`CREATE TABLE IF NOT EXISTS ${table} (${definition})`);
+  }
+
+  async dropTable(table) {
+    await this.conn.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+
+  // definition is everything after the column name, e.g. "INT DEFAULT 0 AFTER stock_quantity"
+  async addColumn(table, column, definition) {
+    if (!(await this.hasColumn(table, column))) {
+      await this.conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  async dropColumn(table, column) {
+    if (await this.hasColumn(table, column)) {
+      await this.conn.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+
+  // type is INDEX, UNIQUE INDEX or FULLTEXT INDEX
+  async addIndex(table, index, columns, type = 'INDEX') {
+    if (!(await this.hasIndex(table, index))) {
+      await this.conn.query(`ALTER TABLE ${table} ADD ${type} ${index} (${columns.join(', ')})`);
+    }
+  }
+
+  async dropIndex(table, index) {
+    if (await this.hasIndex(table, index)) {
+      await this.conn.query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+    }
+  }
+}
+
+module.exports = Schema;
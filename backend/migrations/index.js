@@ -0,0 +1,4 @@
+const Migrator = require('./Migrator');
+const Schema = require('./Schema');
+
+module.exports = { Migrator, Schema };
@@ -0,0 +1,47 @@
+// The original tables: gold prices, products and their price history
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('gold_prices', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      price_per_gram DECIMAL(10,2) NOT NULL,
+      carat VARCHAR(10) DEFAULT '24K',
+      currency VARCHAR(3) DEFAULT 'EGP',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+
+    await schema.createTable('products', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      weight DECIMAL(8,3) NOT NULL,
+      carat VARCHAR(10) DEFAULT '24K',
+      making_charges DECIMAL(5,2) DEFAULT 5.00,
+      profit_margin DECIMAL(5,2) DEFAULT 10.00,
+      selling_price DECIMAL(10,2) NOT NULL,
+      category VARCHAR(100),
+      stock_quantity INT DEFAULT 0,
+      images TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_category (category),
+      INDEX idx_carat (carat)
+    `);
+
+    await schema.createTable('price_history', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT,
+      old_price DECIMAL(10,2),
+      new_price DECIMAL(10,2),
+      gold_price_per_gram DECIMAL(10,2),
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('price_history');
+    await schema.dropTable('products');
+    await schema.dropTable('gold_prices');
+  }
+};
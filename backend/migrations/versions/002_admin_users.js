@@ -0,0 +1,28 @@
+// Admin accounts and their login sessions
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('admin_users', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(30) NOT NULL DEFAULT 'catalog-editor',
+      is_active BOOLEAN DEFAULT TRUE,
+      last_login_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+
+    await schema.createTable('admin_sessions', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('admin_sessions');
+    await schema.dropTable('admin_users');
+  }
+};
@@ -0,0 +1,77 @@
+// Server-side carts, orders with priced line items and the order status trail
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('carts', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      token CHAR(32) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+
+    await schema.createTable('cart_items', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cart_id INT NOT NULL,
+      product_id INT NOT NULL,
+      quantity INT NOT NULL DEFAULT 1,
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_cart_product (cart_id, product_id),
+      FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+
+    await schema.createTable('orders', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_number VARCHAR(30) NOT NULL UNIQUE,
+      customer_name VARCHAR(255) NOT NULL,
+      customer_phone VARCHAR(50) NOT NULL,
+      customer_email VARCHAR(255),
+      notes TEXT,
+      status VARCHAR(30) NOT NULL DEFAULT 'pending',
+      total_amount DECIMAL(12,2) NOT NULL,
+      currency VARCHAR(3) DEFAULT 'EGP',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_status (status)
+    `);
+
+    await schema.createTable('order_items', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      product_id INT,
+      product_name VARCHAR(255) NOT NULL,
+      quantity INT NOT NULL,
+      carat VARCHAR(10) NOT NULL,
+      weight DECIMAL(8,3) NOT NULL,
+      gold_price_per_gram DECIMAL(10,2) NOT NULL,
+      making_charges_percent DECIMAL(5,2) NOT NULL,
+      profit_margin_percent DECIMAL(5,2) NOT NULL,
+      gold_value DECIMAL(10,2) NOT NULL,
+      making_charges DECIMAL(10,2) NOT NULL,
+      base_cost DECIMAL(10,2) NOT NULL,
+      unit_price DECIMAL(10,2) NOT NULL,
+      line_total DECIMAL(12,2) NOT NULL,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+    `);
+
+    await schema.createTable('order_status_history', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      from_status VARCHAR(30),
+      to_status VARCHAR(30) NOT NULL,
+      note VARCHAR(500),
+      admin_user_id INT,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('order_status_history');
+    await schema.dropTable('order_items');
+    await schema.dropTable('orders');
+    await schema.dropTable('cart_items');
+    await schema.dropTable('carts');
+  }
+};
@@ -0,0 +1,26 @@
+// Signed price quotes a cart can be checked out at
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('price_quotes', `
+      id CHAR(32) PRIMARY KEY,
+      cart_id INT NOT NULL,
+      gold_price_id INT,
+      gold_price_per_gram DECIMAL(10,2) NOT NULL,
+      items TEXT NOT NULL,
+      total_amount DECIMAL(12,2) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      order_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+    `);
+
+    await schema.addColumn('orders', 'quote_id', 'CHAR(32) AFTER currency');
+  },
+
+  async down(conn, schema) {
+    await schema.dropColumn('orders', 'quote_id');
+    await schema.dropTable('price_quotes');
+  }
+};
@@ -0,0 +1,16 @@
+// Where each gold price came from - entered by an admin or by the price feed
+module.exports = {
+  async up(conn, schema) {
+    await schema.addColumn('gold_prices', 'source', "VARCHAR(20) DEFAULT 'manual' AFTER currency");
+    await schema.addColumn('gold_prices', 'provider', 'VARCHAR(100) AFTER source');
+    await schema.addColumn('gold_prices', 'source_details', 'TEXT AFTER provider');
+    await schema.addColumn('gold_prices', 'admin_user_id', 'INT AFTER source_details');
+  },
+
+  async down(conn, schema) {
+    await schema.dropColumn('gold_prices', 'admin_user_id');
+    await schema.dropColumn('gold_prices', 'source_details');
+    await schema.dropColumn('gold_prices', 'provider');
+    await schema.dropColumn('gold_prices', 'source');
+  }
+};
@@ -0,0 +1,40 @@
+// Customer price alerts and every notification sent for them
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('price_alerts', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      channel VARCHAR(20) NOT NULL,
+      email VARCHAR(255),
+      webhook_url VARCHAR(500),
+      carat VARCHAR(10),
+      product_id INT,
+      direction VARCHAR(10) NOT NULL,
+      threshold DECIMAL(12,2) NOT NULL,
+      is_triggered BOOLEAN DEFAULT FALSE,
+      trigger_count INT DEFAULT 0,
+      last_triggered_at TIMESTAMP NULL,
+      unsubscribe_token CHAR(32) NOT NULL UNIQUE,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_active (is_active),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+
+    await schema.createTable('alert_deliveries', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      alert_id INT NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      transport VARCHAR(100) NOT NULL,
+      price DECIMAL(12,2) NOT NULL,
+      status VARCHAR(10) NOT NULL,
+      error VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (alert_id) REFERENCES price_alerts(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('alert_deliveries');
+    await schema.dropTable('price_alerts');
+  }
+};
@@ -0,0 +1,42 @@
+// Stock ledger, individually tracked pieces and reorder thresholds
+module.exports = {
+  async up(conn, schema) {
+    await schema.addColumn('products', 'reorder_threshold', 'INT DEFAULT 0 AFTER stock_quantity');
+
+    await schema.createTable('product_pieces', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      serial_number VARCHAR(100) NOT NULL UNIQUE,
+      weight DECIMAL(8,3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
+      order_id INT,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product_status (product_id, status),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+    `);
+
+    await schema.createTable('stock_movements', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      piece_id INT,
+      movement_type VARCHAR(20) NOT NULL,
+      quantity INT NOT NULL,
+      reason VARCHAR(255),
+      reference VARCHAR(100),
+      admin_user_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product_created (product_id, created_at),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (piece_id) REFERENCES product_pieces(id) ON DELETE SET NULL,
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('stock_movements');
+    await schema.dropTable('product_pieces');
+    await schema.dropColumn('products', 'reorder_threshold');
+  }
+};
@@ -0,0 +1,47 @@
+// Gold bought back from customers, trade-in credit on orders and the
+// app_settings table its deductions are kept in
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('app_settings', `
+      setting_key VARCHAR(100) PRIMARY KEY,
+      setting_value TEXT NOT NULL,
+      updated_by INT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (updated_by) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+
+    await schema.createTable('buyback_transactions', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reference VARCHAR(30) NOT NULL UNIQUE,
+      customer_name VARCHAR(255) NOT NULL,
+      customer_phone VARCHAR(50) NOT NULL,
+      description VARCHAR(255),
+      weight DECIMAL(8,3) NOT NULL,
+      carat VARCHAR(10) NOT NULL,
+      gold_price_per_gram DECIMAL(10,2) NOT NULL,
+      gold_price_id INT,
+      gold_value DECIMAL(12,2) NOT NULL,
+      melting_loss DECIMAL(12,2) NOT NULL,
+      spread_deduction DECIMAL(12,2) NOT NULL,
+      testing_fee DECIMAL(10,2) NOT NULL,
+      payout_amount DECIMAL(12,2) NOT NULL,
+      settlement VARCHAR(10) NOT NULL,
+      credit_remaining DECIMAL(12,2) NOT NULL DEFAULT 0,
+      notes TEXT,
+      admin_user_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_phone (customer_phone),
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+
+    await schema.addColumn('orders', 'trade_in_id', 'INT AFTER quote_id');
+    await schema.addColumn('orders', 'trade_in_credit', 'DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER trade_in_id');
+  },
+
+  async down(conn, schema) {
+    await schema.dropColumn('orders', 'trade_in_credit');
+    await schema.dropColumn('orders', 'trade_in_id');
+    await schema.dropTable('buyback_transactions');
+    await schema.dropTable('app_settings');
+  }
+};
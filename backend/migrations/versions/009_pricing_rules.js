@@ -0,0 +1,36 @@
+// Pricing rule sets, per-category rules and the VAT/breakdown kept on order lines
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('pricing_rule_sets', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      making_charge_type VARCHAR(10) NOT NULL DEFAULT 'percent',
+      making_charge_value DECIMAL(10,2),
+      making_charges_by_carat TEXT,
+      margin_tiers TEXT,
+      minimum_price DECIMAL(10,2),
+      vat_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+
+    await schema.createTable('category_pricing_rules', `
+      category VARCHAR(100) PRIMARY KEY,
+      rule_set_id INT NOT NULL,
+      FOREIGN KEY (rule_set_id) REFERENCES pricing_rule_sets(id) ON DELETE CASCADE
+    `);
+
+    await schema.addColumn('products', 'pricing_rule_set_id', 'INT AFTER reorder_threshold');
+    await schema.addColumn('order_items', 'vat_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER base_cost');
+    await schema.addColumn('order_items', 'price_breakdown', 'TEXT AFTER line_total');
+  },
+
+  async down(conn, schema) {
+    await schema.dropColumn('order_items', 'price_breakdown');
+    await schema.dropColumn('order_items', 'vat_amount');
+    await schema.dropColumn('products', 'pricing_rule_set_id');
+    await schema.dropTable('category_pricing_rules');
+    await schema.dropTable('pricing_rule_sets');
+  }
+};
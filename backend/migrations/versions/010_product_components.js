@@ -0,0 +1,22 @@
+// Stones, other metals and fittings priced as part of a product
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('product_components', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      component_type VARCHAR(20) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      quantity INT NOT NULL DEFAULT 1,
+      weight DECIMAL(8,3),
+      unit_cost DECIMAL(10,2) NOT NULL,
+      markup_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product (product_id),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('product_components');
+  }
+};
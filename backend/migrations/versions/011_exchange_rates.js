@@ -0,0 +1,18 @@
+// Exchange rates for indicative prices in other currencies
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('exchange_rates', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      currency CHAR(3) NOT NULL,
+      egp_per_unit DECIMAL(12,6) NOT NULL,
+      admin_user_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_currency (currency, created_at),
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('exchange_rates');
+  }
+};
@@ -0,0 +1,25 @@
+// Uploaded product images and their stored sizes
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('product_images', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      original_key VARCHAR(255) NOT NULL,
+      medium_key VARCHAR(255) NOT NULL,
+      thumbnail_key VARCHAR(255) NOT NULL,
+      content_type VARCHAR(50) NOT NULL,
+      width INT,
+      height INT,
+      size_bytes INT,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_primary BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product_order (product_id, sort_order),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('product_images');
+  }
+};
@@ -0,0 +1,12 @@
+// Indexes behind product search: price range filters and full-text matching
+module.exports = {
+  async up(conn, schema) {
+    await schema.addIndex('products', 'idx_price', ['selling_price']);
+    await schema.addIndex('products', 'ft_name_description', ['name', 'description'], 'FULLTEXT INDEX');
+  },
+
+  async down(conn, schema) {
+    await schema.dropIndex('products', 'ft_name_description');
+    await schema.dropIndex('products', 'idx_price');
+  }
+};
@@ -0,0 +1,37 @@
+// Gold price changes - pending approvals, overrides and rollbacks - and the
+// links from gold_prices and price_history back to the change that wrote them
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('gold_price_changes', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      prices TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      source VARCHAR(20) DEFAULT 'manual',
+      requested_by INT,
+      approved_by INT,
+      override_reason VARCHAR(255),
+      violations TEXT,
+      rolled_back_by INT,
+      rolled_back_at TIMESTAMP NULL,
+      applied_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_status (status),
+      FOREIGN KEY (requested_by) REFERENCES admin_users(id) ON DELETE SET NULL,
+      FOREIGN KEY (approved_by) REFERENCES admin_users(id) ON DELETE SET NULL,
+      FOREIGN KEY (rolled_back_by) REFERENCES admin_users(id) ON DELETE SET NULL
+    `);
+
+    await schema.addColumn('gold_prices', 'change_id', 'INT AFTER admin_user_id');
+    await schema.addIndex('gold_prices', 'idx_change', ['change_id']);
+    await schema.addColumn('price_history', 'change_id', 'INT AFTER gold_price_per_gram');
+    await schema.addIndex('price_history', 'idx_change', ['change_id']);
+  },
+
+  async down(conn, schema) {
+    await schema.dropIndex('price_history', 'idx_change');
+    await schema.dropColumn('price_history', 'change_id');
+    await schema.dropIndex('gold_prices', 'idx_change');
+    await schema.dropColumn('gold_prices', 'change_id');
+    await schema.dropTable('gold_price_changes');
+  }
+};
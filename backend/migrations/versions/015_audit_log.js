@@ -0,0 +1,28 @@
+// Append-only log of admin writes
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('audit_log', `
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      admin_user_id INT,
+      admin_username VARCHAR(100),
+      action VARCHAR(100) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      route VARCHAR(255) NOT NULL,
+      path VARCHAR(500),
+      entity_type VARCHAR(50),
+      entity_id VARCHAR(100),
+      before_value MEDIUMTEXT,
+      after_value MEDIUMTEXT,
+      status_code SMALLINT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin (admin_user_id),
+      INDEX idx_entity (entity_type, entity_id),
+      INDEX idx_created (created_at)
+    `);
+  },
+
+  async down(conn, schema) {
+    await schema.dropTable('audit_log');
+  }
+};
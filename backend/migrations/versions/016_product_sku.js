@@ -0,0 +1,12 @@
+// Supplier SKUs - the key bulk catalog imports match existing products on
+module.exports = {
+  async up(conn, schema) {
+    await schema.addColumn('products', 'sku', 'VARCHAR(64) NULL AFTER id');
+    await schema.addIndex('products', 'uniq_sku', ['sku'], 'UNIQUE INDEX');
+  },
+
+  async down(conn, schema) {
+    await schema.dropIndex('products', 'uniq_sku');
+    await schema.dropColumn('products', 'sku');
+  }
+};
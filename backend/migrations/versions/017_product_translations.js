@@ -0,0 +1,14 @@
+// Arabic product names and descriptions, searchable like the English ones
+module.exports = {
+  async up(conn, schema) {
+    await schema.addColumn('products', 'name_ar', 'VARCHAR(255) NULL AFTER name');
+    await schema.addColumn('products', 'description_ar', 'TEXT NULL AFTER description');
+    await schema.addIndex('products', 'ft_name_description_ar', ['name_ar', 'description_ar'], 'FULLTEXT INDEX');
+  },
+
+  async down(conn, schema) {
+    await schema.dropIndex('products', 'ft_name_description_ar');
+    await schema.dropColumn('products', 'description_ar');
+    await schema.dropColumn('products', 'name_ar');
+  }
+};
@@ -0,0 +1,68 @@
+// Customer accounts with their sessions, saved addresses and wishlists,
+// and the account an order was placed from
+module.exports = {
+  async up(conn, schema) {
+    await schema.createTable('customers', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      phone VARCHAR(50),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_login_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+
+    await schema.createTable('customer_sessions', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    `);
+
+    await schema.createTable('customer_addresses', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id INT NOT NULL,
+      label VARCHAR(50),
+      recipient_name VARCHAR(255) NOT NULL,
+      phone VARCHAR(50) NOT NULL,
+      address_line1 VARCHAR(255) NOT NULL,
+      address_line2 VARCHAR(255),
+      city VARCHAR(100) NOT NULL,
+      governorate VARCHAR(100),
+      postal_code VARCHAR(20),
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    `);
+
+    await schema.createTable('wishlist_items', `
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id INT NOT NULL,
+      product_id INT NOT NULL,
+      price_when_added DECIMAL(10,2) NOT NULL,
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_customer_product (customer_id, product_id),
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    `);
+
+    await schema.addColumn('orders', 'customer_id', 'INT AFTER order_number');
+    await schema.addColumn('orders', 'shipping_address', 'TEXT AFTER customer_email');
+    await schema.addIndex('orders', 'idx_customer', ['customer_id']);
+  },
+
+  async down(conn, schema) {
+    await schema.dropIndex('orders', 'idx_customer');
+    await schema.dropColumn('orders', 'shipping_address');
+    await schema.dropColumn('orders', 'customer_id');
+    await schema.dropTable('wishlist_items');
+    await schema.dropTable('customer_addresses');
+    await schema.dropTable('customer_sessions');
+    await schema.dropTable('customers');
+  }
+};
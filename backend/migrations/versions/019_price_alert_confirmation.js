@@ -0,0 +1,16 @@
+// Email price alerts are confirmed from a link before they are ever sent.
+// Alerts that already existed are treated as confirmed.
+module.exports = {
+  async up(conn, schema) {
+    if (!(await schema.hasColumn('price_alerts', 'confirmed_at'))) {
+      await schema.addColumn('price_alerts', 'confirmed_at', 'TIMESTAMP NULL AFTER is_active');
+      await conn.query('UPDATE price_alerts SET confirmed_at = created_at');
+    }
+    await schema.addColumn('price_alerts', 'confirm_token', 'CHAR(32) NULL UNIQUE AFTER unsubscribe_token');
+  },
+
+  async down(conn, schema) {
+    await schema.dropColumn('price_alerts', 'confirm_token');
+    await schema.dropColumn('price_alerts', 'confirmed_at');
+  }
+};
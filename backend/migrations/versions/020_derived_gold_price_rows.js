@@ -0,0 +1,13 @@
+// A gold_prices row without a price marks its carat as derived from 24K
+// again, so a rollback can undo a carat's first price without deleting history.
+// Rolling this back drops those marker rows.
+module.exports = {
+  async up(conn) {
+    await conn.query('ALTER TABLE gold_prices MODIFY price_per_gram DECIMAL(10,2) NULL');
+  },
+
+  async down(conn) {
+    await conn.query('DELETE FROM gold_prices WHERE price_per_gram IS NULL');
+    await conn.query('ALTER TABLE gold_prices MODIFY price_per_gram DECIMAL(10,2) NOT NULL');
+  }
+};
@@ -0,0 +1,12 @@
+// Development transport - prints notifications to the server log
+class ConsoleNotifier {
+  get name() {
+    return 'console';
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`🔔 [alert → ${to}] ${subject}\n${text}`);
+  }
+}
+
+module.exports = ConsoleNotifier;
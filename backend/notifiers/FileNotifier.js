@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+
+// Development transport - appends each notification as a JSON line
+class FileNotifier {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+  }
+
+  get name() {
+    return `file:${this.filePath}`;
+  }
+
+  async send(message) {
+    await fs.appendFile(
+      this.filePath,
+      JSON.stringify({ sent_at: new Date().toISOString(), ...message }) + '\n'
+    );
+  }
+}
+
+module.exports = FileNotifier;
@@ -0,0 +1,29 @@
+// Sends alerts as plain-text email through an SMTP server
+class SmtpNotifier {
+  constructor({ host, port, user, pass, from }) {
+    if (!host || !from) {
+      throw new Error('SMTP_HOST and ALERT_EMAIL_FROM are required for the smtp transport');
+    }
+
+    // Only loaded when email alerts are actually configured
+    const nodemailer = require('nodemailer');
+
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  get name() {
+    return 'smtp';
+  }
+
+  async send({ to, subject, text }) {
+    await this.transporter.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+module.exports = SmtpNotifier;
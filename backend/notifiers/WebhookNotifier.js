@@ -0,0 +1,31 @@
+const { assertPublicUrl } = require('./publicUrl');
+
+// POSTs the alert payload as JSON to the subscriber's URL. The URL is checked
+// again at delivery (DNS can change) and redirects are not followed.
+class WebhookNotifier {
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return 'webhook';
+  }
+
+  async send({ to, payload }) {
+    await assertPublicUrl(to);
+
+    const response = await fetch(to, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,37 @@
+const ConsoleNotifier = require('./ConsoleNotifier');
+const FileNotifier = require('./FileNotifier');
+const SmtpNotifier = require('./SmtpNotifier');
+const WebhookNotifier = require('./WebhookNotifier');
+const { assertPublicUrl } = require('./publicUrl');
+
+// A notifier is anything with a `name` and an async `send({ to, subject, text, payload })`
+const TRANSPORTS = {
+  console: () => new ConsoleNotifier(),
+  file: (env) => new FileNotifier({ filePath: env.ALERT_FILE_PATH || 'alerts-outbox.log' }),
+  smtp: (env) => new SmtpNotifier({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || '587'),
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.ALERT_EMAIL_FROM
+  }),
+  http: () => new WebhookNotifier()
+};
+
+function createTransport(transport, env) {
+  if (!TRANSPORTS[transport]) {
+    throw new Error(`Unknown alert transport "${transport}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return TRANSPORTS[transport](env);
+}
+
+// One notifier per alert channel, chosen by ALERT_EMAIL_TRANSPORT and
+// ALERT_WEBHOOK_TRANSPORT (console/file keep everything local in development)
+function createNotifiersFromEnv(env) {
+  return {
+    email: createTransport(env.ALERT_EMAIL_TRANSPORT || 'console', env),
+    webhook: createTransport(env.ALERT_WEBHOOK_TRANSPORT || 'http', env)
+  };
+}
+
+module.exports = { createNotifiersFromEnv, assertPublicUrl };
@@ -0,0 +1,54 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses a subscriber's webhook must never reach: loopback, private and
+// link-local ranges (cloud metadata lives at 169.254.169.254), and the like
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, ::ffff:7f00:1) is refused outright
+  if (/^::ffff:/i.test(address)) {
+    return false;
+  }
+
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return family !== null && !BLOCKED.check(address, family);
+}
+
+// Throws unless url is http(s) and every address its host resolves to is public
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('URL is not valid');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('URL must be http(s)');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true }).catch(() => []);
+
+  if (addresses.length === 0) {
+    throw new Error(`${host} does not resolve`);
+  }
+
+  if (!addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`${host} is not a public address`);
+  }
+}
+
+module.exports = { assertPublicUrl, isPublicAddress };
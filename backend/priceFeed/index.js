@@ -0,0 +1,181 @@
+const FileProvider = require('./providers/FileProvider');
+const HttpProvider = require('./providers/HttpProvider');
+const StubProvider = require('./providers/StubProvider');
+
+const TROY_OUNCE_GRAMS = 31.1034768;
+const MAX_HISTORY = 20;
+
+const PROVIDERS = {
+  file: (env) => new FileProvider({ filePath: env.GOLD_FEED_FILE }),
+  http: (env) => new HttpProvider({ url: env.GOLD_FEED_URL }),
+  stub: (env) => new StubProvider({
+    pricePerOunceUsd: env.GOLD_FEED_STUB_OUNCE_USD ? parseFloat(env.GOLD_FEED_STUB_OUNCE_USD) : undefined,
+    usdToEgp: env.GOLD_FEED_STUB_USD_EGP ? parseFloat(env.GOLD_FEED_STUB_USD_EGP) : undefined
+  })
+};
+
+// Scheduled gold price ingestion. A provider is anything with a `name` and an
+// async `fetchQuote()` returning { pricePerOunceUsd, usdToEgp, asOf }.
+class PriceFeed {
+  constructor({
+    provider,
+    caratFactors,
+    getReferencePrice,
+    applyPrices,
+    intervalMinutes = 15,
+    spreadPercent = 0,
+    maxAgeMinutes = 30,
+    maxChangePercent = 5,
+    carats = ['24K']
+  }) {
+    this.provider = provider;
+    this.caratFactors = caratFactors;
+    this.getReferencePrice = getReferencePrice;
+    this.applyPrices = applyPrices;
+    this.intervalMinutes = intervalMinutes;
+    this.spreadPercent = spreadPercent;
+    this.maxAgeMinutes = maxAgeMinutes;
+    this.maxChangePercent = maxChangePercent;
+    this.carats = carats;
+    this.history = [];
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Ounce/USD to gram/EGP for pure gold, plus the shop spread
+  convert(quote) {
+    const pricePerGramEgp = quote.pricePerOunceUsd / TROY_OUNCE_GRAMS * quote.usdToEgp;
+    return Math.round(pricePerGramEgp * (1 + this.spreadPercent / 100) * 100) / 100;
+  }
+
+  // Returns the reason a reading must not be used, or null when it looks sane
+  check(quote, pricePerGram, referencePrice) {
+    const ageMinutes = (Date.now() - quote.asOf.getTime()) / 60000;
+
+    if (ageMinutes > this.maxAgeMinutes) {
+      return `quote is stale (${Math.round(ageMinutes)} minutes old, limit ${this.maxAgeMinutes})`;
+    }
+
+    if (referencePrice > 0) {
+      const changePercent = Math.abs(pricePerGram - referencePrice) / referencePrice * 100;
+      if (changePercent > this.maxChangePercent) {
+        return `price ${pricePerGram} EGP/g moves ${changePercent.toFixed(2)}% from ${referencePrice} EGP/g (limit ${this.maxChangePercent}%)`;
+      }
+    }
+
+    return null;
+  }
+
+  async runOnce() {
+    if (this.running) {
+      return { status: 'skipped', reason: 'previous run still in progress' };
+    }
+
+    this.running = true;
+    const run = { at: new Date().toISOString(), provider: this.provider.name };
+
+    try {
+      const quote = await this.provider.fetchQuote();
+      const pricePerGram = this.convert(quote);
+      const referencePrice = await this.getReferencePrice();
+
+      run.reading = {
+        price_per_ounce_usd: quote.pricePerOunceUsd,
+        usd_to_egp: quote.usdToEgp,
+        as_of: quote.asOf.toISOString(),
+        spread_percent: this.spreadPercent,
+        price_per_gram_24k: pricePerGram
+      };
+
+      const problem = this.check(quote, pricePerGram, referencePrice);
+
+      if (problem) {
+        run.status = 'rejected';
+        run.reason = problem;
+        console.warn(`⚠️  Gold feed reading rejected: ${problem}`);
+      } else if (pricePerGram === referencePrice) {
+        run.status = 'unchanged';
+      } else {
+        const updates = this.carats.map(carat => [
+          carat,
+          Math.round(pricePerGram * (this.caratFactors[carat] || 1) * 100) / 100
+        ]);
+
+        const result = await this.applyPrices(updates, {
+          source: 'feed',
+          provider: this.provider.name,
+          details: run.reading
+        });
+
+        run.status = 'applied';
+        run.prices = Object.fromEntries(updates);
+        run.updated_products = result.details.length;
+        console.log(`📈 Gold feed applied ${pricePerGram} EGP/g (24K) from ${this.provider.name}`);
+      }
+    } catch (error) {
+      run.status = 'error';
+      run.reason = error.message;
+      console.error('❌ Gold feed run failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+
+    this.history = [run, ...this.history].slice(0, MAX_HISTORY);
+    return run;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.runOnce(), this.intervalMinutes * 60 * 1000);
+    this.runOnce();
+    console.log(`📡 Gold price feed started (${this.provider.name}, every ${this.intervalMinutes} min)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return {
+      enabled: true,
+      provider: this.provider.name,
+      interval_minutes: this.intervalMinutes,
+      spread_percent: this.spreadPercent,
+      max_age_minutes: this.maxAgeMinutes,
+      max_change_percent: this.maxChangePercent,
+      carats: this.carats,
+      runs: this.history
+    };
+  }
+}
+
+// Build the feed from GOLD_FEED_* environment variables (null when disabled)
+function createPriceFeedFromEnv(env, hooks) {
+  const providerName = env.GOLD_FEED_PROVIDER;
+
+  if (!providerName) {
+    return null;
+  }
+
+  if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown GOLD_FEED_PROVIDER "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const carats = (env.GOLD_FEED_CARATS || '24K').split(',').map(carat => carat.trim()).filter(Boolean);
+  const unknown = carats.filter(carat => !hooks.caratFactors[carat]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown carat(s) in GOLD_FEED_CARATS: ${unknown.join(', ')}`);
+  }
+
+  return new PriceFeed({
+    ...hooks,
+    provider: PROVIDERS[providerName](env),
+    intervalMinutes: parseFloat(env.GOLD_FEED_INTERVAL_MINUTES || '15'),
+    spreadPercent: parseFloat(env.GOLD_FEED_SPREAD_PERCENT || '0'),
+    maxAgeMinutes: parseFloat(env.GOLD_FEED_MAX_AGE_MINUTES || '30'),
+    maxChangePercent: parseFloat(env.GOLD_FEED_MAX_CHANGE_PERCENT || '5'),
+    carats
+  });
+}
+
+module.exports = { PriceFeed, createPriceFeedFromEnv, TROY_OUNCE_GRAMS };
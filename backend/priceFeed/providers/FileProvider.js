@@ -0,0 +1,29 @@
+const fs = require('fs/promises');
+const parseQuote = require('./parseQuote');
+
+// Reads the latest quote from a JSON file - handy offline or when another
+// process drops quotes on disk. A file without as_of is dated by its
+// modification time, so editing it counts as a fresh quote.
+class FileProvider {
+  constructor({ filePath }) {
+    if (!filePath) {
+      throw new Error('GOLD_FEED_FILE is required for the file provider');
+    }
+    this.filePath = filePath;
+  }
+
+  get name() {
+    return `file:${this.filePath}`;
+  }
+
+  async fetchQuote() {
+    const [contents, stats] = await Promise.all([
+      fs.readFile(this.filePath, 'utf8'),
+      fs.stat(this.filePath)
+    ]);
+    const data = JSON.parse(contents);
+    return parseQuote({ as_of: stats.mtime.toISOString(), ...data }, this.name);
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,28 @@
+const parseQuote = require('./parseQuote');
+
+// Polls a JSON endpoint that returns the shared quote shape
+class HttpProvider {
+  constructor({ url, timeoutMs = 10000 }) {
+    if (!url) {
+      throw new Error('GOLD_FEED_URL is required for the http provider');
+    }
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return `http:${new URL(this.url).host}`;
+  }
+
+  async fetchQuote() {
+    const response = await fetch(this.url, { signal: AbortSignal.timeout(this.timeoutMs) });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} responded with HTTP ${response.status}`);
+    }
+
+    return parseQuote(await response.json(), this.name);
+  }
+}
+
+module.exports = HttpProvider;
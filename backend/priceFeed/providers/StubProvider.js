@@ -0,0 +1,26 @@
+// Simulated market for development - a small random walk around fixed values,
+// so the feed can run without any network or files
+class StubProvider {
+  constructor({ pricePerOunceUsd = 2350, usdToEgp = 48.5, volatilityPercent = 0.3 }) {
+    this.pricePerOunceUsd = pricePerOunceUsd;
+    this.usdToEgp = usdToEgp;
+    this.volatilityPercent = volatilityPercent;
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  async fetchQuote() {
+    const move = (Math.random() * 2 - 1) * (this.volatilityPercent / 100);
+    this.pricePerOunceUsd = Math.round(this.pricePerOunceUsd * (1 + move) * 100) / 100;
+
+    return {
+      pricePerOunceUsd: this.pricePerOunceUsd,
+      usdToEgp: this.usdToEgp,
+      asOf: new Date()
+    };
+  }
+}
+
+module.exports = StubProvider;
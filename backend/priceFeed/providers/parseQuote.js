@@ -0,0 +1,19 @@
+// Providers hand back the same JSON shape:
+// { "price_per_ounce_usd": 2350.5, "usd_to_egp": 48.3, "as_of": "2024-05-01T10:00:00Z" }
+function parseQuote(data, providerName) {
+  const pricePerOunceUsd = parseFloat(data.price_per_ounce_usd);
+  const usdToEgp = parseFloat(data.usd_to_egp);
+  const asOf = data.as_of ? new Date(data.as_of) : null;
+
+  if (!(pricePerOunceUsd > 0) || !(usdToEgp > 0)) {
+    throw new Error(`${providerName} returned an invalid quote`);
+  }
+
+  if (!asOf || isNaN(asOf.getTime())) {
+    throw new Error(`${providerName} quote has no valid as_of timestamp`);
+  }
+
+  return { pricePerOunceUsd, usdToEgp, asOf };
+}
+
+module.exports = parseQuote;
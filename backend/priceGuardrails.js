@@ -0,0 +1,44 @@
+// Gold price guardrails: per-carat bounds and the largest allowed move from
+// the current price. Kept free of the database so the rules can be tested alone.
+
+// Returns the guardrails a set of price updates breaks - bounds per carat and
+// the move against each carat's last gold_prices row
+function checkPriceGuardrails(updates, quotes, guardrails) {
+  const violations = [];
+
+  for (const [carat, price] of updates) {
+    const bounds = guardrails.carat_bounds[carat] || {};
+
+    if (bounds.min != null && price < bounds.min) {
+      violations.push({
+        carat, price, rule: 'min', limit: bounds.min,
+        message: `${carat} ${price} EGP/g is below the minimum of ${bounds.min} EGP/g`
+      });
+    }
+
+    if (bounds.max != null && price > bounds.max) {
+      violations.push({
+        carat, price, rule: 'max', limit: bounds.max,
+        message: `${carat} ${price} EGP/g is above the maximum of ${bounds.max} EGP/g`
+      });
+    }
+
+    const last = quotes[carat];
+    if (guardrails.max_change_percent != null && last && last.id !== null) {
+      const changePercent = Math.round(Math.abs(price - last.price_per_gram) / last.price_per_gram * 10000) / 100;
+
+      if (changePercent > guardrails.max_change_percent) {
+        violations.push({
+          carat, price, rule: 'max_change', limit: guardrails.max_change_percent,
+          previous_price: last.price_per_gram,
+          change_percent: changePercent,
+          message: `${carat} ${price} EGP/g moves ${changePercent}% from ${last.price_per_gram} EGP/g (limit ${guardrails.max_change_percent}%)`
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+module.exports = { checkPriceGuardrails };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// [name, description, weight, carat, making charges, margin, category, Arabic name, Arabic description]
+const SAMPLE_PRODUCTS = [
+  ['24K Gold Necklace', 'Premium 24K gold necklace', 10.5, '24K', 7.5, 15.0, 'Necklace', 'عقد ذهب عيار 24', 'عقد فاخر من الذهب عيار 24'],
+  ['22K Gold Bracelet', 'Elegant 22K gold bracelet', 8.2, '22K', 5.0, 12.0, 'Bracelet', 'سوار ذهب عيار 22', 'سوار أنيق من الذهب عيار 22'],
+  ['18K Gold Ring', 'Beautiful 18K gold ring', 3.5, '18K', 10.0, 20.0, 'Ring', 'خاتم ذهب عيار 18', 'خاتم جميل من الذهب عيار 18'],
+  ['21K Gold Earrings', 'Stylish 21K gold earrings', 5.0, '21K', 8.0, 18.0, 'Earrings', 'حلق ذهب عيار 21', 'حلق عصري من الذهب عيار 21']
+];
+
+// Default data for a fresh database: a starting gold price, sample products,
+// opening stock balances and the owner account. Every step checks first, so it
+// is safe to run again. Pricing comes from server.js through hooks
+// ({ getGoldQuotes, getPricingRules, priceProduct, hashPassword }).
+async function seedDefaultData(db, hooks, env = process.env) {
+  // Check if gold_prices has data
+  const [priceRows] = await db.execute('SELECT COUNT(*) as count FROM gold_prices');
+  if (priceRows[0].count === 0) {
+    await db.execute(
+      'INSERT INTO gold_prices (price_per_gram) VALUES (?)',
+      [3000.00]
+    );
+    console.log('💰 Default gold price inserted: 3000 EGP/g');
+  }
+
+  // Check if products has data
+  const [productRows] = await db.execute('SELECT COUNT(*) as count FROM products');
+  if (productRows[0].count === 0) {
+    console.log('📦 No products found. Adding sample products...');
+
+    // Get current gold prices
+    const quotes = await hooks.getGoldQuotes(db);
+    const pricingRules = await hooks.getPricingRules(db);
+
+    for (const product of SAMPLE_PRODUCTS) {
+      const priceInfo = hooks.priceProduct(
+        {
+          weight: product[2],
+          carat: product[3],
+          making_charges: product[4],
+          profit_margin: product[5],
+          category: product[6]
+        },
+        quotes,
+        pricingRules
+      );
+
+      await db.execute(
+        `INSERT INTO products 
+         (name, name_ar, description, description_ar, weight, carat, making_charges, profit_margin,
+          selling_price, category)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [product[0], product[7], product[1], product[8], ...product.slice(2, 6), priceInfo.sellingPrice, product[6]]
+      );
+    }
+
+    console.log('✅ Sample products added');
+  }
+
+  // Stock that predates the ledger gets an opening balance entry
+  const [openingResult] = await db.execute(
+    `INSERT INTO stock_movements (product_id, movement_type, quantity, reason)
+     SELECT p.id, 'adjusted', p.stock_quantity, 'Opening balance'
+     FROM products p
+     WHERE p.stock_quantity <> 0
+       AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)`
+  );
+  if (openingResult.affectedRows > 0) {
+    console.log(`📦 Opening stock balances recorded for ${openingResult.affectedRows} products`);
+  }
+
+  // Make sure there is an owner account to log in with
+  const [adminRows] = await db.execute('SELECT COUNT(*) as count FROM admin_users');
+  if (adminRows[0].count === 0) {
+    const username = env.ADMIN_USERNAME || 'owner';
+    const password = env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    await db.execute(
+      'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, await hooks.hashPassword(password), 'owner']
+    );
+    console.log(`👤 Owner account created: ${username}`);
+
+    if (!env.ADMIN_PASSWORD) {
+      console.log(`🔑 Generated owner password: ${password} (set ADMIN_PASSWORD to choose your own)`);
+    }
+  }
+}
+
+module.exports = { seedDefaultData };
@@ -3,31 +3,204 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const mysql = require('mysql2/promise');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createPriceFeedFromEnv } = require('./priceFeed');
+const { createNotifiersFromEnv, assertPublicUrl } = require('./notifiers');
+const { createStorageFromEnv } = require('./storage');
+const { Migrator } = require('./migrations');
+const { dbConfig } = require('./dbConfig');
+const { parseCsv, toCsv } = require('./csv');
+const { checkPriceGuardrails } = require('./priceGuardrails');
+const { AttemptLimiter } = require('./attemptLimiter');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Public base URL of this API, used for links in notifications
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${PORT}`;
+
+// Bulk catalog imports - rows per request and request size (JSON or CSV)
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_MAX_MB = parseFloat(process.env.IMPORT_MAX_MB || '10');
+
 // Middleware
-app.use(cors());
+// Behind a reverse proxy (Railway, nginx) set TRUST_PROXY to the number of
+// proxies so req.ip - used by the audit log and login limits - is the client's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+app.use(withErrorCodes);
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
+app.use(
+  '/api/products/import',
+  express.json({ limit: `${IMPORT_MAX_MB}mb` }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: `${IMPORT_MAX_MB}mb` })
+);
 app.use(express.json());
 
-// Database configuration for Railway
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'gold_ecommerce',
-  port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : 3306,
-  ssl: process.env.NODE_ENV === 'production' ? {
-    rejectUnauthorized: false
-  } : undefined,
-  connectTimeout: 60000, // 60 seconds
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-};
+// Product image storage - local disk is served from /uploads
+const imageStorage = createStorageFromEnv(process.env, PUBLIC_API_URL);
+if (imageStorage.directory) {
+  app.use('/uploads', express.static(imageStorage.directory, { maxAge: '7d' }));
+}
+
+// Accepted image formats (as detected by sharp) and their file extensions
+const IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const IMAGE_SIZES = { thumbnail: 200, medium: 800 };
+const IMAGE_MAX_MB = parseFloat(process.env.IMAGE_MAX_MB || '5');
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const uploadProductImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_MB * 1024 * 1024, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return callback(new HttpError(400, `${file.originalname}: only JPEG, PNG and WebP images are accepted`));
+    }
+    callback(null, true);
+  }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
 
 let db;
+let priceFeed = null;
+let alertNotifiers = null;
+
+// Open Server-Sent Events responses for /api/stream
+const streamClients = new Set();
+const STREAM_HEARTBEAT_SECONDS = 25;
+
+// Admin roles - owners can do everything, the others only their own area
+const ADMIN_ROLES = ['owner', 'price-manager', 'catalog-editor'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12');
+
+// Failed admin logins are limited per username and per IP
+const adminLoginFailuresByUsername = new AttemptLimiter({ maxAttempts: 5, windowMinutes: 15 });
+const adminLoginFailuresByIp = new AttemptLimiter({ maxAttempts: 20, windowMinutes: 15 });
+
+// Customer accounts - sessions last longer than admin ones
+const CUSTOMER_SESSION_TTL_DAYS = parseInt(process.env.CUSTOMER_SESSION_TTL_DAYS || '30');
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_CUSTOMER_ADDRESSES = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Failed customer logins are limited per email and per IP, and registrations
+// that hit a taken email per IP, so neither can be used to guess passwords or
+// list registered emails
+const loginFailuresByEmail = new AttemptLimiter({ maxAttempts: 5, windowMinutes: 15 });
+const loginFailuresByIp = new AttemptLimiter({ maxAttempts: 20, windowMinutes: 15 });
+const takenEmailsByIp = new AttemptLimiter({ maxAttempts: 5, windowMinutes: 60 });
+
+// Error codes by HTTP status. Every error response carries a stable `code`
+// for clients to localize - routes set specific ones, e.g. cart_not_found.
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'expired',
+  413: 'payload_too_large',
+  422: 'validation_failed',
+  429: 'too_many_requests',
+  500: 'server_error',
+  503: 'service_unavailable'
+};
+
+// Request fields never written to the audit log
+const AUDIT_REDACTED_FIELDS = ['password', 'password_hash', 'token'];
+const AUDIT_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Stock ledger movement types and the direction they move stock
+// (adjustments carry their own sign)
+const STOCK_MOVEMENT_DIRECTIONS = {
+  received: 1,
+  returned: 1,
+  sold: -1,
+  transferred: -1,
+  adjusted: 1
+};
+
+// Products written per statement when repricing the catalog
+const REPRICE_BATCH_SIZE = 500;
+
+// Gold price history bucket sizes
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_INTERVALS = {
+  hour: { ms: HOUR_MS, defaultRangeMs: 48 * HOUR_MS },
+  day: { ms: 24 * HOUR_MS, defaultRangeMs: 30 * 24 * HOUR_MS },
+  week: { ms: 7 * 24 * HOUR_MS, defaultRangeMs: 26 * 7 * 24 * HOUR_MS }
+};
+const MAX_HISTORY_BUCKETS = 1000;
+
+// Price quotes lock the gold price for a limited time
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES || '15');
+const QUOTE_SECRET = process.env.QUOTE_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long a gold price preview can be applied (see POST /api/gold-price dry_run)
+const PREVIEW_TTL_MINUTES = 10;
+
+// Order lifecycle - which status may follow which
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['ready_for_pickup', 'cancelled'],
+  ready_for_pickup: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Product listing and search
+const PRODUCT_SORTS = {
+  newest: 'created_at DESC, id DESC',
+  price_asc: 'selling_price ASC, id DESC',
+  price_desc: 'selling_price DESC, id DESC',
+  weight_asc: 'weight ASC, id DESC',
+  weight_desc: 'weight DESC, id DESC',
+  carat: "FIELD(carat, '24K', '22K', '21K', '18K', '14K', '10K'), id DESC",
+  relevance: 'relevance DESC, id DESC'
+};
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+// InnoDB's default innodb_ft_min_token_size - shorter words fall back to LIKE
+const FULLTEXT_MIN_WORD_LENGTH = 3;
+// Upper bounds (EGP) of the price facet buckets; the last bucket is open-ended
+const PRICE_FACET_BOUNDS = [10000, 25000, 50000, 100000, 250000];
+
+// Prices are stored and charged in EGP; other currencies are display-only
+const SETTLEMENT_CURRENCY = 'EGP';
+
+// Columns of a catalog export, in order; imports read the same names
+// (price breakdown columns are ignored on import)
+const CATALOG_FIELDS = [
+  'sku', 'name', 'name_ar', 'description', 'description_ar', 'category', 'carat', 'weight', 'making_charges', 'profit_margin',
+  'pricing_rule_set_id', 'stock_quantity', 'reorder_threshold', 'is_active'
+];
+const CATALOG_PRICE_FIELDS = [
+  'gold_price_per_gram', 'gold_value', 'making_charge_amount', 'profit', 'components_value',
+  'price_before_tax', 'vat', 'selling_price', 'pricing_rule_set'
+];
+
+// Non-gold parts of a product, priced from their own cost and markup
+const PRODUCT_COMPONENT_TYPES = ['stone', 'pearl', 'silver', 'platinum', 'fitting'];
+
+// Buyback deductions until the owner saves their own (app_settings 'buyback')
+const DEFAULT_BUYBACK_SETTINGS = {
+  melting_loss_percent: 2,
+  default_spread_percent: 3,
+  spread_percent: { '24K': 1.5, '21K': 2.5, '18K': 3.5 },
+  testing_fee: 25
+};
+
+// Gold price guardrails until the owner saves their own (app_settings 'price_guardrails').
+// Changes outside them need an override with a reason or a second admin's approval.
+const DEFAULT_PRICE_GUARDRAILS = {
+  max_change_percent: 10,
+  carat_bounds: {}
+};
 
 // Gold Price Calculator
 class GoldPriceCalculator {
@@ -40,270 +213,5465 @@ class GoldPriceCalculator {
     '10K': 0.417
   };
 
-  static calculatePrice(product, goldPricePerGram) {
-    const caratFactor = this.CARAT_FACTORS[product.carat] || 1;
-    const goldValue = product.weight * goldPricePerGram * caratFactor;
-    const makingCharges = goldValue * (product.making_charges / 100);
+  // Price per gram for a carat. Shops quote carats separately, so a carat's
+  // own market quote wins; purity factors are only a fallback for carats
+  // without a quote, scaled from the 24K quote when there is one.
+  static getCaratPrice(carat, quotes) {
+    if (quotes[carat]) {
+      return {
+        pricePerGram: quotes[carat].price_per_gram,
+        source: 'market',
+        goldPriceId: quotes[carat].id
+      };
+    }
+
+    const reference = quotes['24K'] ? '24K' : Object.keys(quotes).find(c => this.CARAT_FACTORS[c]);
+    const factor = this.CARAT_FACTORS[carat] || 1;
+
+    return {
+      pricePerGram: quotes[reference].price_per_gram / this.CARAT_FACTORS[reference] * factor,
+      source: 'derived',
+      derivedFrom: reference,
+      goldPriceId: quotes[reference].id
+    };
+  }
+
+  // Margin of the heaviest weight tier the product reaches, if any
+  static tierMargin(weight, tiers) {
+    const tier = [...tiers]
+      .sort((a, b) => b.min_weight - a.min_weight)
+      .find(t => weight >= t.min_weight);
+    return tier ? tier.margin_percent : null;
+  }
+
+  // Stones, other metals and fittings are priced from their own cost and
+  // markup - only the gold weight follows the gold price
+  static priceComponents(components) {
+    return components.map(component => {
+      const cost = component.quantity * component.unit_cost;
+      const value = cost * (1 + component.markup_percent / 100);
+
+      return {
+        name: component.name,
+        type: component.component_type,
+        quantity: component.quantity,
+        cost: Math.round(cost * 100) / 100,
+        markupPercent: component.markup_percent,
+        value: Math.round(value * 100) / 100
+      };
+    });
+  }
+
+  // goldPrices is the per-carat quote board, or a plain 24K price per gram.
+  // rules is the product's pricing rule set; without one making charges and
+  // margin are the product's own percentages and no tax is added.
+  // components are added on top of the gold price and margin, before tax.
+  static calculatePrice(product, goldPrices, rules = null, components = []) {
+    const caratPrice = typeof goldPrices === 'object'
+      ? this.getCaratPrice(product.carat, goldPrices)
+      : this.getCaratPrice(product.carat, { '24K': { price_per_gram: goldPrices, id: null } });
+    const weight = parseFloat(product.weight);
+    const goldValue = weight * caratPrice.pricePerGram;
+
+    const makingChargeType = rules ? rules.making_charge_type : 'percent';
+    const makingChargeRate = parseFloat(rules
+      ? rules.making_charges_by_carat[product.carat] ?? rules.making_charge_value ?? product.making_charges
+      : product.making_charges);
+    const makingCharges = makingChargeType === 'per_gram'
+      ? weight * makingChargeRate
+      : goldValue * (makingChargeRate / 100);
     const baseCost = goldValue + makingCharges;
-    const sellingPrice = baseCost * (1 + (product.profit_margin / 100));
+
+    const profitMarginPercent = parseFloat(
+      (rules && this.tierMargin(weight, rules.margin_tiers)) ?? product.profit_margin
+    );
+    const profit = baseCost * (profitMarginPercent / 100);
+
+    const componentLines = this.priceComponents(components);
+    const componentsValue = componentLines.reduce((sum, line) => sum + line.value, 0);
+    const priceBeforeMinimum = baseCost + profit + componentsValue;
+
+    const minimumPrice = rules ? rules.minimum_price : null;
+    const priceBeforeTax = Math.max(priceBeforeMinimum, minimumPrice || 0);
+    const vatPercent = rules ? rules.vat_percent : 0;
+    const vat = priceBeforeTax * (vatPercent / 100);
+    const sellingPrice = priceBeforeTax + vat;
     
     return {
+      goldPricePerGram: Math.round(caratPrice.pricePerGram * 100) / 100,
+      goldPriceSource: caratPrice.source,
       goldValue: Math.round(goldValue * 100) / 100,
+      makingChargeType,
+      makingChargeRate,
       makingCharges: Math.round(makingCharges * 100) / 100,
       baseCost: Math.round(baseCost * 100) / 100,
-      sellingPrice: Math.round(sellingPrice * 100) / 100
+      profitMarginPercent,
+      profit: Math.round(profit * 100) / 100,
+      components: componentLines,
+      componentsValue: Math.round(componentsValue * 100) / 100,
+      minimumPrice,
+      minimumPriceApplied: minimumPrice !== null && priceBeforeMinimum < minimumPrice,
+      priceBeforeTax: Math.round(priceBeforeTax * 100) / 100,
+      vatPercent,
+      vat: Math.round(vat * 100) / 100,
+      sellingPrice: Math.round(sellingPrice * 100) / 100,
+      pricingRuleSetId: rules ? rules.id : null,
+      pricingRuleSet: rules ? rules.name : null
+    };
+  }
+
+  // What the shop pays for a customer's gold: the carat's price per gram on
+  // the weight left after melting loss, less the buyback spread and testing fee
+  static calculateBuyback(item, goldPrices, settings) {
+    const caratPrice = this.getCaratPrice(item.carat, goldPrices);
+    const goldValue = item.weight * caratPrice.pricePerGram;
+    const meltingLoss = goldValue * (settings.melting_loss_percent / 100);
+    const spreadPercent = settings.spread_percent[item.carat] ?? settings.default_spread_percent;
+    const spreadDeduction = (goldValue - meltingLoss) * (spreadPercent / 100);
+    const testingFee = settings.testing_fee;
+    const payout = Math.max(0, goldValue - meltingLoss - spreadDeduction - testingFee);
+
+    return {
+      goldPricePerGram: Math.round(caratPrice.pricePerGram * 100) / 100,
+      goldPriceSource: caratPrice.source,
+      goldPriceId: caratPrice.goldPriceId,
+      goldValue: Math.round(goldValue * 100) / 100,
+      meltingLossPercent: settings.melting_loss_percent,
+      meltingLoss: Math.round(meltingLoss * 100) / 100,
+      spreadPercent,
+      spreadDeduction: Math.round(spreadDeduction * 100) / 100,
+      testingFee,
+      payout: Math.round(payout * 100) / 100
     };
   }
 }
 
-// Database Connection with Retry Logic
-async function connectDB() {
-  console.log('🔗 Attempting database connection...');
-  console.log(`📊 Host: ${dbConfig.host}, Database: ${dbConfig.database}`);
-  
-  const maxRetries = 5;
-  let retryCount = 0;
-  
-  while (retryCount < maxRetries) {
-    try {
-      console.log(`Attempt ${retryCount + 1}/${maxRetries}...`);
-      
-      db = await mysql.createConnection(dbConfig);
-      
-      // Test connection
-      await db.execute('SELECT 1');
-      console.log('✅ Database connected successfully!');
-      
-      // Create tables if they don't exist
-      await createTables();
-      
-      // Initialize with default data if needed
-      await initializeDefaultData();
-      
-      return; // Success, exit retry loop
-      
-    } catch (error) {
-      retryCount++;
-      console.error(`❌ Connection attempt ${retryCount} failed:`, error.message);
-      
-      if (retryCount === maxRetries) {
-        console.error('💥 Maximum retry attempts reached. Please check:');
-        console.error('   1. Railway MySQL service is running');
-        console.error('   2. Database credentials are correct');
-        console.error('   3. IP whitelisting (Railway allows all by default)');
-        throw error;
+// Password hashing (salted scrypt, stored as "scrypt$salt$hash")
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const derived = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+// Checked against when a login names no account, so the answer takes as long
+// as a wrong password and does not tell which accounts exist
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(16).toString('hex')}$${'0'.repeat(128)}`;
+
+// Session tokens are only stored as SHA-256 hashes
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Authentication middleware - resolves the bearer token to an admin user
+async function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'authentication_required' });
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT u.id, u.username, u.role, s.id as session_id, s.expires_at
+       FROM admin_sessions s
+       JOIN admin_users u ON s.admin_user_id = u.id
+       WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.is_active = TRUE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      return res.status(401).json({ error: 'Session is invalid or has expired', code: 'session_expired' });
+    }
+
+    req.admin = rows[0];
+
+    // Every admin write lands in the audit log once the response is sent
+    if (AUDIT_ACTIONS[req.method]) {
+      res.on('finish', () => recordAudit(req, res));
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Role check for admin routes (owner is always allowed)
+function requireRole(...roles) {
+  const allowed = ['owner', ...roles];
+
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (!allowed.includes(req.admin.role)) {
+        return res.status(403).json({
+          error: `This action requires one of the roles: ${allowed.join(', ')}`
+        });
       }
-      
-      // Wait before retrying (exponential backoff)
-      const delay = Math.pow(2, retryCount) * 1000;
-      console.log(`⏳ Retrying in ${delay/1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      next();
+    }
+  ];
+}
+
+// Customer sessions use the X-Customer-Token header so a shopper's session never
+// clashes with an admin bearer token in the same browser. Returns null without a token.
+async function findCustomerSession(req) {
+  const token = req.headers['x-customer-token'];
+
+  if (!token) {
+    return null;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT c.id, c.email, c.name, c.phone, c.created_at, s.id as session_id, s.expires_at
+     FROM customer_sessions s
+     JOIN customers c ON s.customer_id = c.id
+     WHERE s.token_hash = ? AND s.expires_at > NOW() AND c.is_active = TRUE`,
+    [hashToken(token)]
+  );
+
+  if (rows.length === 0) {
+    throw new HttpError(401, 'Your session has expired - please sign in again', { code: 'customer_session_expired' });
+  }
+
+  return rows[0];
+}
+
+// Customer authentication middleware - resolves X-Customer-Token to a customer
+async function authenticateCustomer(req, res, next) {
+  try {
+    req.customer = await findCustomerSession(req);
+
+    if (!req.customer) {
+      throw new HttpError(401, 'Please sign in to your account', { code: 'customer_authentication_required' });
+    }
+
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// Same as authenticateCustomer, but guests continue without req.customer
+async function identifyCustomer(req, res, next) {
+  try {
+    req.customer = await findCustomerSession(req);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+function redactForAudit(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    AUDIT_REDACTED_FIELDS.includes(key) ? '[redacted]' : field
+  ]));
+}
+
+// Routes describe what they changed with auditChange; otherwise the entity
+// comes from the route path and the request body is logged as the new values
+// change is { entityType, entityId, action, before, after }, any of them optional
+function auditChange(res, change) {
+  res.locals.audit = { ...res.locals.audit, ...change };
+}
+
+// Append one audit_log row. Runs after the response, so failures are only logged.
+async function recordAudit(req, res) {
+  const audit = res.locals.audit || {};
+  const route = req.route ? req.route.path : req.path;
+  const entityType = audit.entityType || route.replace(/^\/api\//, '').split('/')[0].replace(/-/g, '_');
+  const entityId = audit.entityId ?? req.params?.id ?? null;
+  const actor = audit.actor || req.admin || {};
+
+  try {
+    await db.execute(
+      `INSERT INTO audit_log
+       (admin_user_id, admin_username, action, method, route, path, entity_type, entity_id,
+        before_value, after_value, status_code, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor.id || null,
+        actor.username || null,
+        audit.action || `${entityType}.${AUDIT_ACTIONS[req.method]}`,
+        req.method,
+        route,
+        req.originalUrl.slice(0, 500),
+        entityType,
+        entityId === null ? null : String(entityId),
+        audit.before === undefined ? null : JSON.stringify(redactForAudit(audit.before)),
+        JSON.stringify(redactForAudit(audit.after === undefined ? req.body : audit.after) ?? null),
+        res.statusCode,
+        req.ip
+      ]
+    );
+  } catch (error) {
+    console.error('❌ Audit log write failed:', error.message);
+  }
+}
+
+// Fill in the generic code for error responses that do not set their own
+function withErrorCodes(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => json(body && body.error && !body.code
+    ? { ...body, code: ERROR_CODES[res.statusCode] || ERROR_CODES[500] }
+    : body);
+
+  next();
+}
+
+// Error with an HTTP status, thrown from inside transactions.
+// details go into the response, including a specific error `code`.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...error.details });
+}
+
+// Run work on a dedicated pool connection inside a transaction
+async function withTransaction(work) {
+  const conn = await db.getConnection();
+
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Latest market quote for each carat, keyed by carat
+async function getGoldQuotes(conn = db) {
+  const [rows] = await conn.execute(
+    `SELECT gp.* FROM gold_prices gp
+     JOIN (SELECT carat, MAX(id) as id FROM gold_prices GROUP BY carat) latest ON gp.id = latest.id`
+  );
+
+  // A latest row without a price (left by a rollback) means the carat is derived
+  const quotes = {};
+  for (const row of rows) {
+    if (GoldPriceCalculator.CARAT_FACTORS[row.carat] && row.price_per_gram !== null) {
+      quotes[row.carat] = { ...row, price_per_gram: parseFloat(row.price_per_gram) };
+    }
+  }
+
+  // Same fallback as before any price has been set
+  if (Object.keys(quotes).length === 0) {
+    quotes['24K'] = { id: null, carat: '24K', price_per_gram: 3000, currency: 'EGP', updated_at: null };
+  }
+
+  return quotes;
+}
+
+// Full per-carat board - market quotes plus derived prices for the rest
+function buildPriceBoard(quotes) {
+  return Object.keys(GoldPriceCalculator.CARAT_FACTORS).map(carat => {
+    const price = GoldPriceCalculator.getCaratPrice(carat, quotes);
+    const row = quotes[carat] || quotes[price.derivedFrom];
+
+    return {
+      carat,
+      price_per_gram: Math.round(price.pricePerGram * 100) / 100,
+      source: price.source,
+      derived_from: price.derivedFrom || null,
+      gold_price_id: price.goldPriceId,
+      updated_at: row.updated_at || null,
+      // Provenance of the underlying row: entered manually or by the feed
+      entered_via: row.source || null,
+      provider: row.provider || null
+    };
+  });
+}
+
+// Push an event to every connected live price stream
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  for (const client of streamClients) {
+    client.write(payload);
+  }
+}
+
+function goldPriceEvent(quotes) {
+  const board = buildPriceBoard(quotes);
+
+  return {
+    price_per_gram: board.find(price => price.carat === '24K').price_per_gram,
+    currency: 'EGP',
+    prices: board
+  };
+}
+
+function broadcastGoldPrices(quotes) {
+  broadcast('gold-price', goldPriceEvent(quotes));
+}
+
+// repriced is a list of { id, priceInfo }
+function broadcastProductPrices(repriced) {
+  if (repriced.length === 0) return;
+
+  broadcast('product-prices', {
+    products: repriced.map(({ id, priceInfo }) => ({
+      id,
+      selling_price: priceInfo.sellingPrice,
+      price_breakdown: priceInfo
+    }))
+  });
+}
+
+// Current price an alert watches - its carat's price per gram or its product's price
+function alertPrice(alert, quotes) {
+  if (alert.product_id) {
+    return alert.product_active ? parseFloat(alert.selling_price) : null;
+  }
+  return Math.round(GoldPriceCalculator.getCaratPrice(alert.carat, quotes).pricePerGram * 100) / 100;
+}
+
+function alertConditionMet(alert, price) {
+  const threshold = parseFloat(alert.threshold);
+  return alert.direction === 'below' ? price <= threshold : price >= threshold;
+}
+
+async function deliverAlert(alert, price) {
+  const subject = alert.product_id
+    ? `${alert.product_name} is now ${price.toLocaleString()} EGP`
+    : `${alert.carat} gold is now ${price.toLocaleString()} EGP/g`;
+  const unsubscribeUrl = `${PUBLIC_API_URL}/api/alerts/unsubscribe/${alert.unsubscribe_token}`;
+  const channel = alert.channel === 'webhook' ? 'webhook' : 'email';
+
+  const message = {
+    to: channel === 'webhook' ? alert.webhook_url : alert.email,
+    subject,
+    text: `${subject} - ${alert.direction} your alert price of ${parseFloat(alert.threshold).toLocaleString()} EGP.\n\n` +
+      `Egypt Gold Store\nStop these alerts: ${unsubscribeUrl}`,
+    payload: {
+      alert_id: alert.id,
+      type: alert.product_id ? 'product' : 'carat',
+      carat: alert.carat,
+      product_id: alert.product_id,
+      direction: alert.direction,
+      threshold: parseFloat(alert.threshold),
+      price,
+      currency: 'EGP',
+      triggered_at: new Date().toISOString(),
+      unsubscribe_url: unsubscribeUrl
+    }
+  };
+
+  try {
+    await alertNotifiers[channel].send(message);
+    await db.execute(
+      'INSERT INTO alert_deliveries (alert_id, channel, transport, price, status) VALUES (?, ?, ?, ?, ?)',
+      [alert.id, channel, alertNotifiers[channel].name, price, 'sent']
+    );
+  } catch (error) {
+    console.error(`❌ Alert ${alert.id} delivery failed:`, error.message);
+    await db.execute(
+      'INSERT INTO alert_deliveries (alert_id, channel, transport, price, status, error) VALUES (?, ?, ?, ?, ?, ?)',
+      [alert.id, channel, alertNotifiers[channel].name, price, 'failed', error.message.slice(0, 500)]
+    );
+  }
+}
+
+// Ask a new email subscriber to confirm, so nobody can sign up someone else's inbox
+async function sendAlertConfirmation({ email, direction, threshold, watched, confirmToken }) {
+  const target = watched.product_id ? watched.name : `${watched.carat} gold`;
+  const confirmUrl = `${PUBLIC_API_URL}/api/alerts/confirm/${confirmToken}`;
+
+  await alertNotifiers.email.send({
+    to: email,
+    subject: `Confirm your price alert for ${target}`,
+    text: `Someone asked to email this address when ${target} goes ${direction} ${parseFloat(threshold).toLocaleString()} EGP.\n\n` +
+      `Start the alert: ${confirmUrl}\n\nIf this wasn't you, ignore this email and nothing will be sent.\n\nEgypt Gold Store`
+  });
+}
+
+// Fire alerts whose threshold was crossed. An alert fires once when its
+// condition becomes true and re-arms only after the price moves back.
+async function evaluatePriceAlerts(quotes) {
+  const [alerts] = await db.execute(
+    `SELECT a.*, p.name as product_name, p.selling_price, p.is_active as product_active
+     FROM price_alerts a
+     LEFT JOIN products p ON a.product_id = p.id
+     WHERE a.is_active = TRUE AND a.confirmed_at IS NOT NULL`
+  );
+
+  for (const alert of alerts) {
+    const price = alertPrice(alert, quotes);
+    if (price === null) continue;
+
+    const met = alertConditionMet(alert, price);
+
+    if (met && !alert.is_triggered) {
+      // Conditional update so concurrent evaluations cannot double-send
+      const [result] = await db.execute(
+        `UPDATE price_alerts
+         SET is_triggered = TRUE, last_triggered_at = NOW(), trigger_count = trigger_count + 1
+         WHERE id = ? AND is_triggered = FALSE`,
+        [alert.id]
+      );
+
+      if (result.affectedRows === 1) {
+        await deliverAlert(alert, price);
+      }
+    } else if (!met && alert.is_triggered) {
+      await db.execute('UPDATE price_alerts SET is_triggered = FALSE WHERE id = ?', [alert.id]);
     }
   }
 }
 
-// Create necessary tables
-async function createTables() {
-  console.log('📋 Checking/Creating tables...');
-  
-  const tables = [
-    `CREATE TABLE IF NOT EXISTS gold_prices (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      price_per_gram DECIMAL(10,2) NOT NULL,
-      carat VARCHAR(10) DEFAULT '24K',
-      currency VARCHAR(3) DEFAULT 'EGP',
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    )`,
-    
-    `CREATE TABLE IF NOT EXISTS products (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      description TEXT,
-      weight DECIMAL(8,3) NOT NULL,
-      carat VARCHAR(10) DEFAULT '24K',
-      making_charges DECIMAL(5,2) DEFAULT 5.00,
-      profit_margin DECIMAL(5,2) DEFAULT 10.00,
-      selling_price DECIMAL(10,2) NOT NULL,
-      category VARCHAR(100),
-      stock_quantity INT DEFAULT 0,
-      images TEXT,
-      is_active BOOLEAN DEFAULT TRUE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_category (category),
-      INDEX idx_carat (carat)
-    )`,
-    
-    `CREATE TABLE IF NOT EXISTS price_history (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      product_id INT,
-      old_price DECIMAL(10,2),
-      new_price DECIMAL(10,2),
-      gold_price_per_gram DECIMAL(10,2),
-      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
-    )`
-  ];
-  
-  for (const query of tables) {
-    try {
-      await db.execute(query);
-      console.log('✅ Table check/creation successful');
-    } catch (error) {
-      console.error('❌ Error creating table:', error.message);
-    }
+function checkPriceAlerts(quotes) {
+  evaluatePriceAlerts(quotes).catch(error => {
+    console.error('❌ Price alert evaluation failed:', error.message);
+  });
+}
+
+// Append a movement to the stock ledger and apply it to products.stock_quantity.
+// quantity is a count for directional types and a signed delta for 'adjusted'.
+async function recordStockMovement(conn, { productId, type, quantity, reason, reference, pieceId, adminUserId }) {
+  const delta = type === 'adjusted' ? quantity : STOCK_MOVEMENT_DIRECTIONS[type] * Math.abs(quantity);
+
+  await conn.execute(
+    `INSERT INTO stock_movements
+     (product_id, piece_id, movement_type, quantity, reason, reference, admin_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [productId, pieceId || null, type, delta, reason || null, reference || null, adminUserId || null]
+  );
+
+  await conn.execute(
+    'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+    [delta, productId]
+  );
+
+  return delta;
+}
+
+// Settings stored as JSON in app_settings, merged over their defaults
+async function getSetting(key, defaults, conn = db) {
+  const [rows] = await conn.execute(
+    'SELECT setting_value FROM app_settings WHERE setting_key = ?',
+    [key]
+  );
+
+  return rows.length > 0 ? { ...defaults, ...JSON.parse(rows[0].setting_value) } : { ...defaults };
+}
+
+async function saveSetting(key, value, adminUserId, conn = db) {
+  await conn.execute(
+    `INSERT INTO app_settings (setting_key, setting_value, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+    [key, JSON.stringify(value), adminUserId]
+  );
+}
+
+// Returns an error message for an invalid buyback item, or null
+function validateBuybackItem({ weight, carat }) {
+  if (!(parseFloat(weight) > 0)) {
+    return 'Weight must be a positive number of grams';
+  }
+
+  if (!GoldPriceCalculator.CARAT_FACTORS[carat]) {
+    return `Carat must be one of: ${Object.keys(GoldPriceCalculator.CARAT_FACTORS).join(', ')}`;
+  }
+
+  return null;
+}
+
+// Apply a trade-in credit to a pending order; the order row must be locked
+async function applyTradeIn(conn, reference, order) {
+  if (order.trade_in_id) {
+    throw new HttpError(409, 'Order already has a trade-in credit applied');
+  }
+
+  const [buybackRows] = await conn.execute(
+    'SELECT * FROM buyback_transactions WHERE reference = ? FOR UPDATE',
+    [reference]
+  );
+
+  if (buybackRows.length === 0) {
+    throw new HttpError(404, 'Trade-in not found');
+  }
+
+  const buyback = buybackRows[0];
+  const remaining = parseFloat(buyback.credit_remaining);
+
+  if (buyback.settlement !== 'credit' || remaining <= 0) {
+    throw new HttpError(409, `Trade-in ${reference} has no credit left`);
+  }
+
+  const applied = Math.min(remaining, parseFloat(order.total_amount));
+
+  await conn.execute(
+    'UPDATE buyback_transactions SET credit_remaining = credit_remaining - ? WHERE id = ?',
+    [applied, buyback.id]
+  );
+  await conn.execute(
+    'UPDATE orders SET trade_in_id = ?, trade_in_credit = ? WHERE id = ?',
+    [buyback.id, applied, order.id]
+  );
+
+  return {
+    reference,
+    credit_applied: applied,
+    credit_remaining: Math.round((remaining - applied) * 100) / 100,
+    amount_due: Math.round((parseFloat(order.total_amount) - applied) * 100) / 100
+  };
+}
+
+// Pricing rule sets with their JSON columns parsed, indexed for resolvePricingRules
+async function getPricingRules(conn = db) {
+  const [ruleRows] = await conn.execute('SELECT * FROM pricing_rule_sets ORDER BY id');
+  const [categoryRows] = await conn.execute('SELECT * FROM category_pricing_rules');
+
+  const byId = new Map(ruleRows.map(row => [row.id, {
+    id: row.id,
+    name: row.name,
+    making_charge_type: row.making_charge_type,
+    making_charge_value: row.making_charge_value === null ? null : parseFloat(row.making_charge_value),
+    making_charges_by_carat: JSON.parse(row.making_charges_by_carat || '{}'),
+    margin_tiers: JSON.parse(row.margin_tiers || '[]'),
+    minimum_price: row.minimum_price === null ? null : parseFloat(row.minimum_price),
+    vat_percent: parseFloat(row.vat_percent),
+    is_default: Boolean(row.is_default)
+  }]));
+
+  return {
+    byId,
+    byCategory: new Map(categoryRows.map(row => [row.category, byId.get(row.rule_set_id)])),
+    defaultRuleSet: [...byId.values()].find(rules => rules.is_default) || null
+  };
+}
+
+// Non-gold components of just the given products, by product id
+async function getProductComponents(productIds, conn = db) {
+  const componentsByProduct = new Map(productIds.map(id => [id, []]));
+  if (productIds.length === 0) {
+    return componentsByProduct;
+  }
+
+  const [rows] = await conn.query(
+    'SELECT * FROM product_components WHERE product_id IN (?) ORDER BY product_id, id',
+    [[...componentsByProduct.keys()]]
+  );
+  for (const row of rows) {
+    componentsByProduct.get(row.product_id).push(normalizeComponent(row));
+  }
+
+  return componentsByProduct;
+}
+
+function normalizeComponent(component) {
+  return {
+    component_type: component.component_type,
+    name: component.name,
+    quantity: parseInt(component.quantity || 1),
+    weight: component.weight === null || component.weight === undefined ? null : parseFloat(component.weight),
+    unit_cost: parseFloat(component.unit_cost),
+    markup_percent: parseFloat(component.markup_percent || 0)
+  };
+}
+
+// Returns an error message for an invalid components list, or null
+function validateComponents(components) {
+  if (!Array.isArray(components)) {
+    return 'components must be a list';
+  }
+
+  for (const component of components) {
+    if (!PRODUCT_COMPONENT_TYPES.includes(component.component_type)) {
+      return `Component type must be one of: ${PRODUCT_COMPONENT_TYPES.join(', ')}`;
+    }
+
+    if (!component.name) {
+      return 'Every component needs a name';
+    }
+
+    if (component.quantity !== undefined && !(parseInt(component.quantity) > 0)) {
+      return `Quantity for ${component.name} must be a positive whole number`;
+    }
+
+    if (!(parseFloat(component.unit_cost) >= 0)) {
+      return `Unit cost for ${component.name} must be zero or more`;
+    }
+
+    if (component.markup_percent !== undefined && !(parseFloat(component.markup_percent) >= 0)) {
+      return `Markup for ${component.name} must be zero or more`;
+    }
+  }
+
+  return null;
+}
+
+// Replace a product's components inside conn's transaction
+async function saveComponents(conn, productId, components) {
+  await conn.execute('DELETE FROM product_components WHERE product_id = ?', [productId]);
+
+  if (components.length > 0) {
+    await conn.query(
+      `INSERT INTO product_components
+       (product_id, component_type, name, quantity, weight, unit_cost, markup_percent)
+       VALUES ?`,
+      [components.map(normalizeComponent).map(component => [
+        productId, component.component_type, component.name, component.quantity,
+        component.weight, component.unit_cost, component.markup_percent
+      ])]
+    );
+  }
+}
+
+// A product's own rule set wins over its category's, then the default one
+function resolvePricingRules(product, pricingRules) {
+  return pricingRules.byId.get(product.pricing_rule_set_id) ||
+    pricingRules.byCategory.get(product.category) ||
+    pricingRules.defaultRuleSet;
+}
+
+// Stored components come from getProductComponents; without them the product
+// is priced with product.components (e.g. on a product not saved yet), or none
+function priceProduct(product, quotes, pricingRules, components = product.components || []) {
+  return GoldPriceCalculator.calculatePrice(
+    product,
+    quotes,
+    resolvePricingRules(product, pricingRules),
+    components
+  );
+}
+
+// Returns an error message for an invalid rule set body, or null
+function validatePricingRuleSet(body) {
+  if (!body.name) {
+    return 'Rule set name is required';
+  }
+
+  if (!['percent', 'per_gram'].includes(body.making_charge_type)) {
+    return 'making_charge_type must be percent or per_gram';
+  }
+
+  const byCarat = body.making_charges_by_carat || {};
+  const hasValue = body.making_charge_value !== undefined && body.making_charge_value !== null && body.making_charge_value !== '';
+
+  if (hasValue && !(parseFloat(body.making_charge_value) >= 0)) {
+    return 'making_charge_value must be zero or more';
+  }
+
+  if (body.making_charge_type === 'per_gram' && !hasValue) {
+    return 'Per-gram making charges need a making_charge_value (EGP per gram) to fall back on';
+  }
+
+  for (const [carat, value] of Object.entries(byCarat)) {
+    if (!GoldPriceCalculator.CARAT_FACTORS[carat] || !(parseFloat(value) >= 0)) {
+      return `Invalid making charge for ${carat}`;
+    }
+  }
+
+  for (const tier of body.margin_tiers || []) {
+    if (!(parseFloat(tier.min_weight) >= 0) || isNaN(parseFloat(tier.margin_percent))) {
+      return 'Each margin tier needs min_weight and margin_percent';
+    }
+  }
+
+  if (body.minimum_price !== undefined && body.minimum_price !== null && !(parseFloat(body.minimum_price) >= 0)) {
+    return 'minimum_price must be zero or more';
+  }
+
+  if (body.vat_percent !== undefined && !(parseFloat(body.vat_percent) >= 0 && parseFloat(body.vat_percent) < 100)) {
+    return 'vat_percent must be between 0 and 100';
+  }
+
+  return null;
+}
+
+// Column values for a validated rule set body
+function pricingRuleSetValues(body) {
+  const hasValue = body.making_charge_value !== undefined && body.making_charge_value !== null && body.making_charge_value !== '';
+
+  return [
+    body.name,
+    body.making_charge_type,
+    hasValue ? parseFloat(body.making_charge_value) : null,
+    JSON.stringify(Object.fromEntries(
+      Object.entries(body.making_charges_by_carat || {}).map(([carat, value]) => [carat, parseFloat(value)])
+    )),
+    JSON.stringify((body.margin_tiers || []).map(tier => ({
+      min_weight: parseFloat(tier.min_weight),
+      margin_percent: parseFloat(tier.margin_percent)
+    }))),
+    body.minimum_price === undefined || body.minimum_price === null || body.minimum_price === ''
+      ? null
+      : parseFloat(body.minimum_price),
+    parseFloat(body.vat_percent || 0),
+    Boolean(body.is_default)
+  ];
+}
+
+// Price every active product against the given quotes; forUpdate locks the
+// rows so checkouts and edits wait for the new prices
+async function priceCatalog(conn, quotes, forUpdate = false) {
+  const [products] = await conn.execute(
+    `SELECT * FROM products WHERE is_active = TRUE${forUpdate ? ' FOR UPDATE' : ''}`
+  );
+  const pricingRules = await getPricingRules(conn);
+  const componentsByProduct = await getProductComponents(products.map(product => product.id), conn);
+
+  return products.map(product => ({
+    product,
+    priceInfo: priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id))
+  }));
+}
+
+function repricingDetails(priced) {
+  return priced.map(({ product, priceInfo }) => ({
+    id: product.id,
+    name: product.name,
+    old_price: product.selling_price,
+    new_price: priceInfo.sellingPrice,
+    change: ((priceInfo.sellingPrice - product.selling_price) / product.selling_price * 100).toFixed(2) + '%'
+  }));
+}
+
+// Write repriced products inside conn's transaction, price history and prices in batches
+async function writeCatalogPrices(conn, priced, changeId = null) {
+  for (let i = 0; i < priced.length; i += REPRICE_BATCH_SIZE) {
+    const batch = priced.slice(i, i + REPRICE_BATCH_SIZE);
+
+    // Save to price history
+    await conn.query(
+      'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram, change_id) VALUES ?',
+      [batch.map(({ product, priceInfo }) => [
+        product.id, product.selling_price, priceInfo.sellingPrice, priceInfo.goldPricePerGram, changeId
+      ])]
+    );
+
+    // Update product prices
+    await conn.query(
+      `UPDATE products
+       SET selling_price = CASE id ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END,
+           updated_at = NOW()
+       WHERE id IN (?)`,
+      [
+        ...batch.flatMap(({ product, priceInfo }) => [product.id, priceInfo.sellingPrice]),
+        batch.map(({ product }) => product.id)
+      ]
+    );
+  }
+
+  return repricingDetails(priced);
+}
+
+// Reprice the active catalog against the given quotes inside conn's transaction
+async function repriceCatalog(conn, quotes) {
+  const priced = await priceCatalog(conn, quotes, true);
+  const calculatedAt = Date.now();
+  const details = await writeCatalogPrices(conn, priced);
+
+  return { priced, details, calculatedAt };
+}
+
+// Identifies exactly what a gold price change would write: the new prices
+// and every product's old and new price
+function repricingFingerprint(updates, priced) {
+  const content = JSON.stringify({
+    updates: [...updates].sort(([a], [b]) => a.localeCompare(b)),
+    products: priced.map(({ product, priceInfo }) => [product.id, String(product.selling_price), priceInfo.sellingPrice])
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Preview tokens are "<expiry>.<fingerprint>.<signature>"
+function signPreview(fingerprint, expiresAt) {
+  const payload = `${Math.floor(expiresAt.getTime() / 1000)}.${fingerprint}`;
+  const signature = crypto.createHmac('sha256', QUOTE_SECRET).update(`preview.${payload}`).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Returns the fingerprint of a valid, unexpired preview token
+function verifyPreviewToken(token) {
+  const [expires, fingerprint, signature] = String(token || '').split('.');
+  const expected = /^\d{1,12}$/.test(expires) && /^[0-9a-f]+$/.test(fingerprint)
+    ? signPreview(fingerprint, new Date(Number(expires) * 1000)).split('.')[2]
+    : '';
+
+  if (!signatureMatches(signature, expected)) {
+    throw new HttpError(400, 'Preview token is invalid or has been tampered with');
+  }
+
+  if (Number(expires) * 1000 <= Date.now()) {
+    throw new HttpError(410, 'Preview has expired - preview the change again');
+  }
+
+  return fingerprint;
+}
+
+// What applyGoldPrices would do, without writing anything
+async function previewGoldPrices(updates) {
+  const current = await getGoldQuotes();
+
+  // Drop the built-in fallback so derived carats are computed exactly as after a real update
+  const quotes = Object.fromEntries(Object.entries(current).filter(([, quote]) => quote.id !== null));
+  for (const [carat, price] of updates) {
+    quotes[carat] = { id: null, carat, price_per_gram: price, updated_at: null, source: 'preview' };
+  }
+
+  const priced = await priceCatalog(db, quotes);
+  const changes = repricingDetails(priced).map((detail, index) => ({
+    ...detail,
+    carat: priced[index].product.carat,
+    stock_quantity: priced[index].product.stock_quantity,
+    difference: Math.round((detail.new_price - detail.old_price) * 100) / 100
+  }));
+
+  const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+  const totalBefore = sum(changes.map(change => parseFloat(change.old_price)));
+  const totalAfter = sum(changes.map(change => change.new_price));
+  const stockBefore = sum(changes.map(change => parseFloat(change.old_price) * change.stock_quantity));
+  const stockAfter = sum(changes.map(change => change.new_price * change.stock_quantity));
+  const expiresAt = new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000);
+  expiresAt.setMilliseconds(0);
+
+  return {
+    dry_run: true,
+    prices: buildPriceBoard(quotes),
+    summary: {
+      products: changes.length,
+      increased: changes.filter(change => change.difference > 0).length,
+      decreased: changes.filter(change => change.difference < 0).length,
+      unchanged: changes.filter(change => change.difference === 0).length,
+      price_total_before: totalBefore,
+      price_total_after: totalAfter,
+      price_total_change: Math.round((totalAfter - totalBefore) * 100) / 100,
+      price_total_change_percent: totalBefore ? Math.round((totalAfter - totalBefore) / totalBefore * 10000) / 100 : 0,
+      stock_value_before: stockBefore,
+      stock_value_after: stockAfter,
+      stock_value_change: Math.round((stockAfter - stockBefore) * 100) / 100
+    },
+    changes,
+    preview_token: signPreview(repricingFingerprint(updates, priced), expiresAt),
+    expires_at: expiresAt.toISOString()
+  };
+}
+
+// Reprice the catalog at the current gold prices after a pricing rule change
+async function repriceWithCurrentGold() {
+  const result = await withTransaction(async (conn) => {
+    const quotes = await getGoldQuotes(conn);
+    return { quotes, ...await repriceCatalog(conn, quotes) };
+  });
+
+  broadcastProductPrices(result.priced.map(({ product, priceInfo }) => ({ id: product.id, priceInfo })));
+  checkPriceAlerts(result.quotes);
+
+  return result.details;
+}
+
+// Latest admin-entered rate for each display currency, keyed by currency
+async function getExchangeRates(conn = db) {
+  const [rows] = await conn.execute(
+    `SELECT er.* FROM exchange_rates er
+     JOIN (SELECT currency, MAX(id) as id FROM exchange_rates GROUP BY currency) latest ON er.id = latest.id
+     ORDER BY er.currency`
+  );
+
+  const rates = {};
+  for (const row of rows) {
+    rates[row.currency] = { ...row, egp_per_unit: parseFloat(row.egp_per_unit) };
+  }
+  return rates;
+}
+
+// Exchange rate for a ?currency= parameter, or null when prices stay in EGP
+async function getDisplayCurrency(code) {
+  const currency = (code || SETTLEMENT_CURRENCY).toUpperCase();
+
+  if (currency === SETTLEMENT_CURRENCY) {
+    return null;
+  }
+
+  const rates = await getExchangeRates();
+
+  if (!rates[currency]) {
+    throw new HttpError(400, `No exchange rate for ${currency}`, {
+      available_currencies: [SETTLEMENT_CURRENCY, ...Object.keys(rates)]
+    });
+  }
+
+  return rates[currency];
+}
+
+function convertFromEgp(amount, rate) {
+  return Math.round(parseFloat(amount) / rate.egp_per_unit * 100) / 100;
+}
+
+// Converted amounts are for display only - orders are always charged in EGP
+function displayPrices(rate, amounts) {
+  return {
+    currency: rate.currency,
+    indicative: true,
+    settlement_currency: SETTLEMENT_CURRENCY,
+    exchange_rate: rate.egp_per_unit,
+    rate_updated_at: rate.created_at,
+    ...amounts
+  };
+}
+
+// Adds an indicative display price to each product when a currency was requested
+function withDisplayPrice(product, rate) {
+  return rate
+    ? { ...product, display: displayPrices(rate, { selling_price: convertFromEgp(product.selling_price, rate) }) }
+    : product;
+}
+
+// Public URLs for a stored product image and its resized versions
+function formatImage(image) {
+  return {
+    id: image.id,
+    is_primary: Boolean(image.is_primary),
+    sort_order: image.sort_order,
+    width: image.width,
+    height: image.height,
+    original: imageStorage.url(image.original_key),
+    medium: imageStorage.url(image.medium_key),
+    thumbnail: imageStorage.url(image.thumbnail_key)
+  };
+}
+
+// products.images holds the formatted list (primary first) so product
+// listings need no extra query
+async function syncProductImages(conn, productId) {
+  const [rows] = await conn.execute(
+    'SELECT * FROM product_images WHERE product_id = ? ORDER BY is_primary DESC, sort_order, id',
+    [productId]
+  );
+
+  await conn.execute(
+    'UPDATE products SET images = ? WHERE id = ?',
+    [JSON.stringify(rows.map(formatImage)), productId]
+  );
+
+  return rows.map(formatImage);
+}
+
+function parseImages(product) {
+  try {
+    return { ...product, images: JSON.parse(product.images || '[]') };
+  } catch (error) {
+    return { ...product, images: [] };
+  }
+}
+
+function imageKeys(image) {
+  return [image.original_key, image.medium_key, image.thumbnail_key];
+}
+
+// Best effort - a missing file must not fail the request that removed its row
+async function removeStoredFiles(keys) {
+  for (const key of keys) {
+    try {
+      await imageStorage.remove(key);
+    } catch (error) {
+      console.error(`⚠️  Could not remove stored file ${key}:`, error.message);
+    }
+  }
+}
+
+// Validate an uploaded file by decoding it, then store it with its resized versions
+async function storeProductImage(productId, file) {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, `${file.originalname} is not a valid image`);
+  }
+
+  if (!IMAGE_FORMATS[metadata.format]) {
+    throw new HttpError(400, `${file.originalname}: only ${Object.keys(IMAGE_FORMATS).join(', ')} images are accepted`);
+  }
+
+  const base = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+  const keys = {
+    original_key: `${base}-original.${IMAGE_FORMATS[metadata.format]}`,
+    medium_key: `${base}-medium.webp`,
+    thumbnail_key: `${base}-thumb.webp`
+  };
+
+  const [medium, thumbnail] = await Promise.all([
+    sharp(file.buffer).rotate()
+      .resize(IMAGE_SIZES.medium, IMAGE_SIZES.medium, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer(),
+    sharp(file.buffer).rotate()
+      .resize(IMAGE_SIZES.thumbnail, IMAGE_SIZES.thumbnail, { fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer()
+  ]);
+
+  await imageStorage.save(keys.original_key, file.buffer, `image/${metadata.format}`);
+  await imageStorage.save(keys.medium_key, medium, 'image/webp');
+  await imageStorage.save(keys.thumbnail_key, thumbnail, 'image/webp');
+
+  return {
+    ...keys,
+    content_type: `image/${metadata.format}`,
+    width: metadata.width,
+    height: metadata.height,
+    size_bytes: file.size
+  };
+}
+
+// Query parameters that may be repeated or comma-separated (?carat=21K,18K)
+function listParam(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Boolean-mode full-text query: every word required, matched as a prefix.
+// Returns null when no word is long enough for the full-text index.
+function fullTextQuery(q) {
+  const words = String(q || '')
+    .replace(/[+\-><()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= FULLTEXT_MIN_WORD_LENGTH);
+
+  return words.length > 0 ? words.map(word => `+${word}*`).join(' ') : null;
+}
+
+// WHERE clause for product listings and search. `exclude` leaves out one
+// filter so facet counts for that dimension show every option.
+function productFilters(query, rate, exclude = null) {
+  const where = ['is_active = TRUE'];
+  const params = [];
+  // Price filters are in the requested currency
+  const toEgp = (amount) => rate ? parseFloat(amount) * rate.egp_per_unit : parseFloat(amount);
+
+  // English and Arabic names and descriptions are searched alike
+  if (query.q) {
+    const match = fullTextQuery(query.q);
+    if (match) {
+      where.push(`(MATCH(name, description) AGAINST (? IN BOOLEAN MODE) OR
+                   MATCH(name_ar, description_ar) AGAINST (? IN BOOLEAN MODE))`);
+      params.push(match, match);
+    } else {
+      where.push('(name LIKE ? OR description LIKE ? OR name_ar LIKE ? OR description_ar LIKE ?)');
+      params.push(...Array(4).fill(`%${query.q}%`));
+    }
+  }
+
+  const categories = listParam(query.category);
+  if (categories.length > 0 && exclude !== 'category') {
+    where.push('category IN (?)');
+    params.push(categories);
+  }
+
+  const carats = listParam(query.carat);
+  if (carats.length > 0 && exclude !== 'carat') {
+    where.push('carat IN (?)');
+    params.push(carats);
+  }
+
+  if (exclude !== 'price') {
+    if (query.min_price) {
+      where.push('selling_price >= ?');
+      params.push(toEgp(query.min_price));
+    }
+
+    if (query.max_price) {
+      where.push('selling_price <= ?');
+      params.push(toEgp(query.max_price));
+    }
+  }
+
+  if (query.min_weight) {
+    where.push('weight >= ?');
+    params.push(parseFloat(query.min_weight));
+  }
+
+  if (query.max_weight) {
+    where.push('weight <= ?');
+    params.push(parseFloat(query.max_weight));
+  }
+
+  return { where: where.join(' AND '), params };
+}
+
+// The ?sort a product query asks for. Only PRODUCT_SORTS' own keys are
+// accepted, and relevance needs a full-text search term.
+function productSort(query, defaultSort = fullTextQuery(query.q) ? 'relevance' : 'newest') {
+  const sort = query.sort || defaultSort;
+
+  if (!Object.hasOwn(PRODUCT_SORTS, sort) || (sort === 'relevance' && !fullTextQuery(query.q))) {
+    throw new HttpError(400, `Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')} (relevance needs a search term)`);
+  }
+
+  return sort;
+}
+
+// SELECT for a product query - sorting by relevance adds the computed column
+function productSelect(sort, query) {
+  return sort === 'relevance'
+    ? {
+      select: `SELECT *, MATCH(name, description) AGAINST (? IN BOOLEAN MODE) +
+               MATCH(name_ar, description_ar) AGAINST (? IN BOOLEAN MODE) as relevance FROM products`,
+      selectParams: [fullTextQuery(query.q), fullTextQuery(query.q)]
+    }
+    : { select: 'SELECT * FROM products', selectParams: [] };
+}
+
+// Page of products matching the query, with the total count and page info
+async function findProducts(query, rate) {
+  const sort = productSort(query);
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.page_size) || DEFAULT_PAGE_SIZE));
+  const { where, params } = productFilters(query, rate);
+  const { select, selectParams } = productSelect(sort, query);
+
+  const [rows] = await db.query(
+    `${select} WHERE ${where} ORDER BY ${PRODUCT_SORTS[sort]} LIMIT ? OFFSET ?`,
+    [...selectParams, ...params, pageSize, (page - 1) * pageSize]
+  );
+  const [countRows] = await db.query(`SELECT COUNT(*) as total FROM products WHERE ${where}`, params);
+  const total = countRows[0].total;
+
+  return {
+    items: rows.map(({ relevance, ...product }) => product),
+    pagination: {
+      page,
+      page_size: pageSize,
+      total,
+      total_pages: Math.ceil(total / pageSize),
+      sort
+    }
+  };
+}
+
+// Counts per category, carat and price range for the filter sidebar
+async function productFacets(query, rate) {
+  const categoryFilter = productFilters(query, rate, 'category');
+  const [categoryRows] = await db.query(
+    `SELECT category as value, COUNT(*) as count FROM products
+     WHERE ${categoryFilter.where} AND category IS NOT NULL
+     GROUP BY category ORDER BY category`,
+    categoryFilter.params
+  );
+
+  const caratFilter = productFilters(query, rate, 'carat');
+  const [caratRows] = await db.query(
+    `SELECT carat as value, COUNT(*) as count FROM products
+     WHERE ${caratFilter.where}
+     GROUP BY carat ORDER BY ${PRODUCT_SORTS.carat.replace(', id DESC', '')}`,
+    caratFilter.params
+  );
+
+  // Bucket i holds prices from PRICE_FACET_BOUNDS[i - 1] up to PRICE_FACET_BOUNDS[i]
+  const priceFilter = productFilters(query, rate, 'price');
+  const [priceRows] = await db.query(
+    `SELECT CASE ${PRICE_FACET_BOUNDS.map(() => 'WHEN selling_price < ? THEN ?').join(' ')}
+            ELSE ? END as bucket, COUNT(*) as count
+     FROM products WHERE ${priceFilter.where}
+     GROUP BY bucket ORDER BY bucket`,
+    [...PRICE_FACET_BOUNDS.flatMap((bound, index) => [bound, index]), PRICE_FACET_BOUNDS.length, ...priceFilter.params]
+  );
+
+  const counts = new Map(priceRows.map(row => [Number(row.bucket), row.count]));
+  const bounds = [0, ...PRICE_FACET_BOUNDS, null];
+  const inCurrency = (amount) => (amount === null || !rate ? amount : convertFromEgp(amount, rate));
+
+  return {
+    category: categoryRows,
+    carat: caratRows,
+    price: bounds.slice(0, -1).map((min, index) => ({
+      min: inCurrency(min),
+      max: inCurrency(bounds[index + 1]),
+      count: counts.get(index) || 0
+    })).filter(bucket => bucket.count > 0),
+    currency: rate ? rate.currency : SETTLEMENT_CURRENCY
+  };
+}
+
+// Returns an error message for invalid product fields, or null. Fields left
+// out are not checked unless required (a new product needs name, weight and carat).
+function validateProductFields(fields, required = false) {
+  const given = (field) => fields[field] !== undefined && fields[field] !== null && fields[field] !== '';
+
+  if (required && (!given('name') || !given('weight') || !given('carat'))) {
+    return 'Name, weight, and carat are required';
+  }
+
+  if (given('name') && String(fields.name).length > 255) {
+    return 'Name must be at most 255 characters';
+  }
+
+  if (given('name_ar') && String(fields.name_ar).length > 255) {
+    return 'Arabic name must be at most 255 characters';
+  }
+
+  if (given('sku') && String(fields.sku).length > 64) {
+    return 'SKU must be at most 64 characters';
+  }
+
+  if (given('weight') && !(parseFloat(fields.weight) > 0 && parseFloat(fields.weight) < 100000)) {
+    return 'Weight must be a positive number of grams';
+  }
+
+  if (given('carat') && !GoldPriceCalculator.CARAT_FACTORS[fields.carat]) {
+    return `Carat must be one of: ${Object.keys(GoldPriceCalculator.CARAT_FACTORS).join(', ')}`;
+  }
+
+  for (const field of ['making_charges', 'profit_margin']) {
+    if (given(field) && !(parseFloat(fields[field]) >= 0 && parseFloat(fields[field]) < 1000)) {
+      return `${field} must be between 0 and 999.99`;
+    }
+  }
+
+  if (given('category') && String(fields.category).length > 100) {
+    return 'Category must be at most 100 characters';
+  }
+
+  for (const field of ['stock_quantity', 'reorder_threshold']) {
+    if (given(field) && !(Number.isInteger(Number(fields[field])) && Number(fields[field]) >= 0)) {
+      return `${field} must be a whole number, zero or more`;
+    }
+  }
+
+  return null;
+}
+
+// A numeric product field from a request, or the default when it was left
+// out - a deliberate 0 is kept
+function productNumber(value, fallback) {
+  return value === undefined || value === null || value === '' ? fallback : parseFloat(value);
+}
+
+// The pricing_rule_set_id of a request as a number, or null for the category
+// or default rules. An id that names no rule set is a 400 rather than a silent
+// fallback to other rules.
+function requestRuleSetId(value, pricingRules) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const id = Number(value);
+  if (!pricingRules.byId.has(id)) {
+    throw new HttpError(400, `Pricing rule set ${value} not found`, { code: 'pricing_rule_set_not_found' });
+  }
+  return id;
+}
+
+// Whether another product already uses the SKU
+async function skuTaken(sku, productId = null) {
+  const [rows] = await db.execute(
+    'SELECT id FROM products WHERE sku = ? AND id <> ?',
+    [sku, productId || 0]
+  );
+  return rows.length > 0;
+}
+
+// Rows of a catalog import: CSV text (Content-Type: text/csv) or JSON,
+// either a plain list or { products: [...] }
+function catalogImportRows(body) {
+  let rows;
+
+  if (typeof body === 'string') {
+    try {
+      rows = parseCsv(body);
+    } catch (error) {
+      throw new HttpError(400, `Invalid CSV: ${error.message}`);
+    }
+  } else {
+    rows = Array.isArray(body) ? body : body?.products;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new HttpError(400, 'Send products as CSV (Content-Type: text/csv) or JSON { "products": [...] }');
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new HttpError(400, `At most ${IMPORT_MAX_ROWS} products can be imported at once`);
+  }
+
+  return rows;
+}
+
+// Fields an import row sets, with blank cells left out, plus what is wrong
+// with them. Existing products keep their current value for blank fields.
+function parseCatalogRow(raw, existing, pricingRules) {
+  const fields = {};
+  const errors = [];
+  const given = (field) => raw[field] !== undefined && raw[field] !== null && String(raw[field]).trim() !== '';
+
+  const sku = given('sku') ? String(raw.sku).trim() : '';
+  if (!sku && !existing) {
+    errors.push('sku is required, or the id of an existing product');
+  } else if (sku.length > 64) {
+    errors.push('sku must be at most 64 characters');
+  }
+
+  for (const field of ['name', 'name_ar', 'description', 'description_ar', 'category']) {
+    if (given(field)) {
+      fields[field] = String(raw[field]).trim();
+    }
+  }
+
+  if (given('carat')) {
+    fields.carat = String(raw.carat).trim().toUpperCase();
+  }
+
+  for (const field of ['weight', 'making_charges', 'profit_margin']) {
+    if (given(field)) {
+      fields[field] = parseFloat(raw[field]);
+    }
+  }
+
+  for (const field of ['stock_quantity', 'reorder_threshold']) {
+    if (given(field)) {
+      fields[field] = Number(raw[field]);
+    }
+  }
+
+  // Each field against the same limits as the product form, so a value the
+  // column cannot hold is reported on its row instead of failing the write
+  for (const [field, value] of Object.entries(fields)) {
+    const fieldError = validateProductFields({ [field]: value });
+    if (fieldError) {
+      errors.push(fieldError);
+    }
+  }
+
+  if (given('pricing_rule_set_id')) {
+    fields.pricing_rule_set_id = parseInt(raw.pricing_rule_set_id);
+    if (!pricingRules.byId.has(fields.pricing_rule_set_id)) {
+      errors.push(`Pricing rule set ${raw.pricing_rule_set_id} not found`);
+    }
+  }
+
+  if (given('is_active')) {
+    const value = String(raw.is_active).trim().toLowerCase();
+    if (!['true', 'false', '1', '0', 'yes', 'no'].includes(value)) {
+      errors.push('is_active must be true or false');
+    }
+    fields.is_active = ['true', '1', 'yes'].includes(value);
+  }
+
+  // Components only come through JSON, or as a JSON list in a CSV cell
+  if (given('components')) {
+    let components = raw.components;
+    if (typeof components === 'string') {
+      try {
+        components = JSON.parse(components);
+      } catch (error) {
+        components = null;
+      }
+    }
+
+    const componentsError = validateComponents(components);
+    if (componentsError) {
+      errors.push(componentsError);
+    } else {
+      fields.components = components.map(normalizeComponent);
+    }
+  }
+
+  if (!existing) {
+    for (const field of ['name', 'weight', 'carat']) {
+      if (fields[field] === undefined) {
+        errors.push(`${field} is required for a new product`);
+      }
+    }
+  }
+
+  return { sku, fields, errors };
+}
+
+// What importing the rows would do: each row's action and new price, plus
+// every row's errors. Rows are matched to existing products by SKU, or by the
+// exported id for products without one (a SKU in the row is then assigned to
+// it); without upsert an existing product is an error.
+async function planCatalogImport(conn, rows, { upsert, forUpdate = false }) {
+  const quotes = await getGoldQuotes(conn);
+  const pricingRules = await getPricingRules(conn);
+
+  const skus = [...new Set(rows.map(raw => String(raw?.sku ?? '').trim()).filter(Boolean))];
+  const ids = [...new Set(rows.map(raw => parseInt(raw?.id)).filter(id => id > 0))];
+  const [existingRows] = skus.length > 0 || ids.length > 0
+    ? await conn.query(
+      `SELECT * FROM products WHERE sku IN (?) OR id IN (?)${forUpdate ? ' FOR UPDATE' : ''}`,
+      [skus.length > 0 ? skus : [null], ids.length > 0 ? ids : [0]]
+    )
+    : [[]];
+  const existingBySku = new Map(existingRows.filter(product => product.sku).map(product => [product.sku, product]));
+  const existingById = new Map(existingRows.map(product => [product.id, product]));
+  const storedComponents = await getProductComponents(existingRows.map(product => product.id), conn);
+
+  const findExisting = (raw) => {
+    const sku = String(raw.sku ?? '').trim();
+    const bySku = sku ? existingBySku.get(sku) : null;
+    const byId = existingById.get(parseInt(raw.id));
+    return bySku || (byId && !byId.sku ? byId : null);
+  };
+
+  const seen = new Set();
+  const items = [];
+  const errors = [];
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, sku: null, errors: ['Each product must be an object'] });
+      return;
+    }
+
+    const existing = findExisting(raw) || null;
+    const { sku, fields, errors: rowErrors } = parseCatalogRow(raw, existing, pricingRules);
+    const key = existing ? `id:${existing.id}` : `sku:${sku}`;
+
+    if (seen.has(key)) {
+      rowErrors.push(`${sku ? `sku ${sku}` : `Product ${existing.id}`} appears more than once in this import`);
+    }
+    seen.add(key);
+
+    if (existing && !upsert) {
+      rowErrors.push(sku ? `A product with sku ${sku} already exists` : `Product ${existing.id} already exists`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, sku: sku || null, errors: rowErrors });
+      return;
+    }
+
+    const product = {
+      making_charges: 5,
+      profit_margin: 10,
+      category: 'Uncategorized',
+      description: '',
+      reorder_threshold: 0,
+      pricing_rule_set_id: null,
+      ...existing,
+      ...fields,
+      sku: sku || existing?.sku || null
+    };
+    const priceInfo = priceProduct(product, quotes, pricingRules, product.components || storedComponents.get(product.id));
+
+    const changes = existing
+      ? Object.keys(fields).filter(field => field === 'components' || (typeof fields[field] === 'number'
+        ? Number(existing[field]) !== fields[field]
+        : typeof fields[field] === 'boolean'
+          ? Boolean(existing[field]) !== fields[field]
+          : existing[field] !== fields[field]))
+      : [];
+    if (existing && product.sku !== existing.sku) {
+      changes.push('sku');
+    }
+    if (existing && parseFloat(existing.selling_price) !== priceInfo.sellingPrice) {
+      changes.push('selling_price');
+    }
+
+    items.push({
+      row,
+      sku: product.sku,
+      action: existing ? (changes.length > 0 ? 'update' : 'unchanged') : 'create',
+      id: existing ? existing.id : null,
+      name: product.name,
+      changes,
+      old_price: existing ? parseFloat(existing.selling_price) : null,
+      selling_price: priceInfo.sellingPrice,
+      existing,
+      product,
+      priceInfo
+    });
+  });
+
+  const count = (action) => items.filter(item => item.action === action).length;
+
+  return {
+    items,
+    errors,
+    summary: {
+      rows: rows.length,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      errors: errors.length
+    }
+  };
+}
+
+// Write a planned import inside conn's transaction. Returns the repriced
+// products for broadcasting.
+async function writeCatalogImport(conn, items, adminUserId) {
+  const repriced = [];
+
+  for (const item of items) {
+    const { product, priceInfo, existing } = item;
+
+    if (item.action === 'create') {
+      const [result] = await conn.execute(
+        `INSERT INTO products
+         (sku, name, name_ar, description, description_ar, weight, carat, making_charges, profit_margin,
+          selling_price, category, reorder_threshold, pricing_rule_set_id, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          product.sku, product.name, product.name_ar ?? null, product.description, product.description_ar ?? null,
+          product.weight, product.carat,
+          product.making_charges, product.profit_margin, priceInfo.sellingPrice, product.category,
+          product.reorder_threshold, product.pricing_rule_set_id, product.is_active ?? true
+        ]
+      );
+      item.id = result.insertId;
+
+      await saveComponents(conn, item.id, product.components || []);
+
+      if (product.stock_quantity > 0) {
+        await recordStockMovement(conn, {
+          productId: item.id,
+          type: 'received',
+          quantity: product.stock_quantity,
+          reason: 'Catalog import',
+          adminUserId
+        });
+      }
+    } else if (item.action === 'update') {
+      await conn.execute(
+        `UPDATE products SET
+         sku = ?, name = ?, name_ar = ?, description = ?, description_ar = ?, weight = ?, carat = ?,
+         making_charges = ?, profit_margin = ?, selling_price = ?, category = ?, reorder_threshold = ?,
+         pricing_rule_set_id = ?, is_active = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          product.sku, product.name, product.name_ar, product.description, product.description_ar, product.weight,
+          product.carat, product.making_charges,
+          product.profit_margin, priceInfo.sellingPrice, product.category, product.reorder_threshold,
+          product.pricing_rule_set_id, product.is_active, item.id
+        ]
+      );
+
+      if (item.changes.includes('components')) {
+        await saveComponents(conn, item.id, product.components);
+      }
+
+      if (item.changes.includes('selling_price')) {
+        await conn.execute(
+          'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram) VALUES (?, ?, ?, ?)',
+          [item.id, existing.selling_price, priceInfo.sellingPrice, priceInfo.goldPricePerGram]
+        );
+        repriced.push({ id: item.id, priceInfo });
+      }
+
+      if (item.changes.includes('stock_quantity')) {
+        await recordStockMovement(conn, {
+          productId: item.id,
+          type: 'adjusted',
+          quantity: product.stock_quantity - existing.stock_quantity,
+          reason: 'Catalog import',
+          adminUserId
+        });
+      }
+    }
+  }
+
+  return repriced;
+}
+
+// One flat export record per product: the importable fields, then the
+// current price breakdown
+function catalogExportRecord(product, priceInfo) {
+  return {
+    id: product.id,
+    ...Object.fromEntries(CATALOG_FIELDS.map(field => [field, product[field]])),
+    is_active: Boolean(product.is_active),
+    gold_price_per_gram: priceInfo.goldPricePerGram,
+    gold_value: priceInfo.goldValue,
+    making_charge_amount: priceInfo.makingCharges,
+    profit: priceInfo.profit,
+    components_value: priceInfo.componentsValue,
+    price_before_tax: priceInfo.priceBeforeTax,
+    vat: priceInfo.vat,
+    selling_price: priceInfo.sellingPrice,
+    pricing_rule_set: priceInfo.pricingRuleSet
+  };
+}
+
+// Returns an error message for invalid guardrail settings, or null
+function validatePriceGuardrails({ max_change_percent, carat_bounds }) {
+  if (max_change_percent != null && !(parseFloat(max_change_percent) > 0)) {
+    return 'max_change_percent must be a positive number, or null to disable it';
+  }
+
+  if (carat_bounds == null || typeof carat_bounds !== 'object' || Array.isArray(carat_bounds)) {
+    return 'carat_bounds must be an object like { "21K": { "min": 2000, "max": 6000 } }';
+  }
+
+  for (const [carat, bounds] of Object.entries(carat_bounds)) {
+    if (!GoldPriceCalculator.CARAT_FACTORS[carat]) {
+      return `Unknown carat ${carat}`;
+    }
+
+    const min = bounds?.min != null ? parseFloat(bounds.min) : null;
+    const max = bounds?.max != null ? parseFloat(bounds.max) : null;
+
+    if ((min !== null && !(min > 0)) || (max !== null && !(max > 0)) || (min !== null && max !== null && min >= max)) {
+      return `Invalid bounds for ${carat}: min and max must be positive and min below max`;
+    }
+  }
+
+  return null;
+}
+
+// Returns an error message for invalid [carat, price] updates, or null
+function validatePriceUpdates(updates) {
+  if (updates.length === 0) {
+    return 'Valid price is required';
+  }
+
+  for (const [carat, price] of updates) {
+    if (!GoldPriceCalculator.CARAT_FACTORS[carat]) {
+      return `Unknown carat ${carat}. Use one of: ${Object.keys(GoldPriceCalculator.CARAT_FACTORS).join(', ')}`;
+    }
+
+    if (!price || isNaN(price)) {
+      return `Valid price is required for ${carat}`;
+    }
+  }
+
+  return null;
+}
+
+// Record new gold prices and reprice the active catalog from them, all in
+// one transaction. Shared by the admin route and the automatic price feed.
+// With previewFingerprint the change is only applied if it matches that preview;
+// with changeId it applies that pending gold_price_changes request.
+async function applyGoldPrices(updates, provenance, { previewFingerprint = null, changeId = null } = {}) {
+  const startedAt = Date.now();
+
+  const result = await withTransaction(async (conn) => {
+    let appliedChangeId = changeId;
+
+    if (changeId) {
+      const [changes] = await conn.execute(
+        'SELECT status FROM gold_price_changes WHERE id = ? FOR UPDATE',
+        [changeId]
+      );
+
+      if (changes.length === 0 || changes[0].status !== 'pending') {
+        throw new HttpError(409, 'This price change is no longer pending');
+      }
+
+      await conn.execute(
+        `UPDATE gold_price_changes SET status = 'applied', approved_by = ?, applied_at = NOW() WHERE id = ?`,
+        [provenance.approvedBy || null, changeId]
+      );
+    } else {
+      const [change] = await conn.execute(
+        `INSERT INTO gold_price_changes (prices, status, source, requested_by, override_reason, violations, applied_at)
+         VALUES (?, 'applied', ?, ?, ?, ?, NOW())`,
+        [
+          JSON.stringify(Object.fromEntries(updates)),
+          provenance.source,
+          provenance.adminUserId || null,
+          provenance.overrideReason || null,
+          provenance.violations?.length ? JSON.stringify(provenance.violations) : null
+        ]
+      );
+      appliedChangeId = change.insertId;
+    }
+
+    await conn.query(
+      `INSERT INTO gold_prices (price_per_gram, carat, source, provider, source_details, admin_user_id, change_id)
+       VALUES ?`,
+      [updates.map(([carat, price]) => [
+        parseFloat(price),
+        carat,
+        provenance.source,
+        provenance.provider || null,
+        provenance.details ? JSON.stringify(provenance.details) : null,
+        provenance.adminUserId || null,
+        appliedChangeId
+      ])]
+    );
+
+    const quotes = await getGoldQuotes(conn);
+    const priced = await priceCatalog(conn, quotes, true);
+
+    if (previewFingerprint && repricingFingerprint(updates, priced) !== previewFingerprint) {
+      throw new HttpError(409, 'Prices or products changed since the preview - preview the change again');
+    }
+
+    const calculatedAt = Date.now();
+    const details = await writeCatalogPrices(conn, priced, appliedChangeId);
+
+    return {
+      changeId: appliedChangeId,
+      quotes,
+      details,
+      priced,
+      timing: {
+        calculate_ms: calculatedAt - startedAt,
+        write_ms: Date.now() - calculatedAt,
+        total_ms: Date.now() - startedAt
+      }
+    };
+  });
+
+  // Only announce prices once they are committed
+  broadcastGoldPrices(result.quotes);
+  broadcastProductPrices(result.priced.map(({ product, priceInfo }) => ({ id: product.id, priceInfo })));
+  checkPriceAlerts(result.quotes);
+
+  const { priced, ...summary } = result;
+  return summary;
+}
+
+// The feed goes through the same guardrails, without any way to override them
+async function applyFeedPrices(updates, provenance) {
+  const guardrails = await getSetting('price_guardrails', DEFAULT_PRICE_GUARDRAILS);
+  const violations = checkPriceGuardrails(updates, await getGoldQuotes(), guardrails);
+
+  if (violations.length > 0) {
+    throw new Error(`Outside the price guardrails: ${violations.map(violation => violation.message).join('; ')}`);
+  }
+
+  return applyGoldPrices(updates, provenance);
+}
+
+// Undo an applied gold price change: the previous price of each carat comes
+// back as a new 'rollback' row and products get their price_history old prices.
+// Only the latest change can be undone, and products whose price was changed
+// since are left alone.
+async function rollbackGoldPriceChange(changeId, adminUserId) {
+  const result = await withTransaction(async (conn) => {
+    const [changes] = await conn.execute(
+      'SELECT * FROM gold_price_changes WHERE id = ? FOR UPDATE',
+      [changeId]
+    );
+
+    if (changes.length === 0) {
+      throw new HttpError(404, 'Price change not found');
+    }
+
+    if (changes[0].status !== 'applied') {
+      throw new HttpError(409, `Only applied changes can be rolled back (this one is ${changes[0].status})`);
+    }
+
+    // Lock the newest price row first, so no price is written between the
+    // check below and the rollback
+    const [latest] = await conn.execute('SELECT id FROM gold_prices ORDER BY id DESC LIMIT 1 FOR UPDATE');
+    const [rows] = await conn.execute(
+      'SELECT * FROM gold_prices WHERE change_id = ? ORDER BY id',
+      [changeId]
+    );
+
+    if (latest.length > 0 && latest[0].id > (rows.length > 0 ? rows[rows.length - 1].id : 0)) {
+      throw new HttpError(409, 'Gold prices have changed since - only the latest change can be rolled back');
+    }
+
+    // Every carat gets a new 'rollback' row with its previous price, or without
+    // a price when it had none of its own before, which makes it derived again
+    const restoredPrices = {};
+    for (const row of rows) {
+      const [previous] = await conn.execute(
+        'SELECT price_per_gram FROM gold_prices WHERE carat = ? AND id < ? ORDER BY id DESC LIMIT 1',
+        [row.carat, row.id]
+      );
+      const previousPrice = previous.length > 0 && previous[0].price_per_gram !== null
+        ? parseFloat(previous[0].price_per_gram)
+        : null;
+
+      await conn.execute(
+        `INSERT INTO gold_prices (price_per_gram, carat, source, source_details, admin_user_id)
+         VALUES (?, ?, 'rollback', ?, ?)`,
+        [previousPrice, row.carat, JSON.stringify({ rolled_back_change_id: changeId }), adminUserId]
+      );
+      restoredPrices[row.carat] = previousPrice;
+    }
+
+    const quotes = await getGoldQuotes(conn);
+    const [history] = await conn.execute(
+      `SELECT ph.old_price, ph.new_price, p.id, p.name, p.carat, p.selling_price
+       FROM price_history ph
+       JOIN products p ON ph.product_id = p.id
+       WHERE ph.change_id = ?
+       FOR UPDATE`,
+      [changeId]
+    );
+
+    const restorable = history.filter(row => parseFloat(row.selling_price) === parseFloat(row.new_price));
+    const restored = restorable.map(row => ({
+      product: row,
+      priceInfo: {
+        sellingPrice: parseFloat(row.old_price),
+        goldPricePerGram: GoldPriceCalculator.getCaratPrice(row.carat, quotes).pricePerGram
+      }
+    }));
+    const details = await writeCatalogPrices(conn, restored);
+
+    await conn.execute(
+      `UPDATE gold_price_changes SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = NOW() WHERE id = ?`,
+      [adminUserId, changeId]
+    );
+
+    return {
+      quotes,
+      restored,
+      restoredPrices,
+      details,
+      skipped: history
+        .filter(row => !restorable.includes(row))
+        .map(row => ({ id: row.id, name: row.name, current_price: row.selling_price }))
+    };
+  });
+
+  broadcastGoldPrices(result.quotes);
+  broadcastProductPrices(result.restored.map(({ product, priceInfo }) => ({ id: product.id, priceInfo })));
+
+  const { restored, ...summary } = result;
+  return summary;
+}
+
+// Start of the UTC hour, day or week (weeks start on Monday) containing date
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+
+  if (interval !== 'hour') {
+    start.setUTCHours(0);
+  }
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  return start;
+}
+
+// Price cart items against the gold quotes - the snapshot stored on quotes and orders
+function buildOrderLines(items, productsById, quotes, pricingRules, componentsByProduct) {
+  return items.map(item => {
+    const product = productsById.get(item.product_id);
+    const priceInfo = priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id));
+
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      quantity: item.quantity,
+      carat: product.carat,
+      weight: parseFloat(product.weight),
+      making_charges_percent: parseFloat(product.making_charges),
+      profit_margin_percent: parseFloat(product.profit_margin),
+      gold_price_per_gram: priceInfo.goldPricePerGram,
+      price_breakdown: priceInfo,
+      unit_price: priceInfo.sellingPrice,
+      line_total: Math.round(priceInfo.sellingPrice * item.quantity * 100) / 100
+    };
+  });
+}
+
+function sumLines(lines) {
+  return Math.round(lines.reduce((sum, line) => sum + line.line_total, 0) * 100) / 100;
+}
+
+// Constant-time comparison of two signatures. Compares bytes, not string
+// lengths, so multi-byte input is rejected instead of throwing.
+function signatureMatches(signature, expected) {
+  const given = Buffer.from(String(signature || ''));
+  const wanted = Buffer.from(expected);
+  return wanted.length > 0 && given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Quote IDs are "<id>.<expiry>.<signature>" so expiry can't be edited client-side
+function signQuote(id, expiresAt) {
+  const payload = `${id}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  const signature = crypto.createHmac('sha256', QUOTE_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Check a signed quote ID and load the stored quote
+async function verifyQuote(quoteId, conn = db, forUpdate = false) {
+  const [id, expires, signature] = String(quoteId || '').split('.');
+  const expected = /^[0-9a-f]+$/.test(id) && /^\d{1,12}$/.test(expires)
+    ? signQuote(id, new Date(Number(expires) * 1000)).split('.')[2]
+    : '';
+
+  if (!signatureMatches(signature, expected)) {
+    throw new HttpError(400, 'Quote is invalid or has been tampered with', { code: 'quote_invalid' });
+  }
+
+  const expiresAt = new Date(Number(expires) * 1000);
+  if (expiresAt <= new Date()) {
+    throw new HttpError(410, 'Quote has expired - please request a new quote', {
+      code: 'quote_expired',
+      expired_at: expiresAt.toISOString()
+    });
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT * FROM price_quotes WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Quote not found', { code: 'quote_not_found' });
+  }
+
+  return rows[0];
+}
+
+// Database Connection with Retry Logic
+async function connectDB() {
+  console.log('🔗 Attempting database connection...');
+  console.log(`📊 Host: ${dbConfig.host}, Database: ${dbConfig.database}`);
+  
+  const maxRetries = 5;
+  let retryCount = 0;
+  
+  while (retryCount < maxRetries) {
+    try {
+      console.log(`Attempt ${retryCount + 1}/${maxRetries}...`);
+      
+      db = mysql.createPool(dbConfig);
+      
+      // Test connection
+      await db.execute('SELECT 1');
+      console.log('✅ Database connected successfully!');
+      
+      break; // Success, exit retry loop
+      
+    } catch (error) {
+      retryCount++;
+      console.error(`❌ Connection attempt ${retryCount} failed:`, error.message);
+      
+      if (retryCount === maxRetries) {
+        console.error('💥 Maximum retry attempts reached. Please check:');
+        console.error('   1. Railway MySQL service is running');
+        console.error('   2. Database credentials are correct');
+        console.error('   3. IP whitelisting (Railway allows all by default)');
+        throw error;
+      }
+      
+      // Wait before retrying (exponential backoff)
+      const delay = Math.pow(2, retryCount) * 1000;
+      console.log(`⏳ Retrying in ${delay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // The schema only changes through migrations (npm run migrate), never on boot
+  const pending = await new Migrator(db).pending();
+  if (pending.length > 0) {
+    throw new Error(
+      `${pending.length} database migration(s) pending: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}. Run npm run migrate first`
+    );
+  }
+
+  // Default data is only added by the seed step (npm run seed), never on boot
+}
+
+// What the seed step needs from the pricing code
+const seedHooks = { getGoldQuotes, getPricingRules, priceProduct, hashPassword };
+
+// API Endpoints
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: '✅ Online',
+    service: 'Gold E-Commerce API',
+    database: db ? 'Connected' : 'Disconnected',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// 429 for a login or registration over its attempt limit
+function tooManyAttempts(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Too many attempts, try again in ${Math.ceil(retryAfter / 60)} minutes`,
+    code: 'too_many_attempts',
+    retry_after: retryAfter
+  });
+}
+
+// Admin login
+app.post('/api/auth/login', async (req, res) => {
+  // Failed attempts are logged too, under the username that was tried
+  auditChange(res, { entityType: 'admin_users', action: 'auth.login', after: { username: req.body.username } });
+  res.on('finish', () => recordAudit(req, res));
+
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required', code: 'credentials_required' });
+    }
+
+    const usernameKey = String(username).toLowerCase();
+    const retryAfter = Math.max(
+      adminLoginFailuresByUsername.retryAfter(usernameKey),
+      adminLoginFailuresByIp.retryAfter(req.ip)
+    );
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const [rows] = await db.execute(
+      'SELECT * FROM admin_users WHERE username = ? AND is_active = TRUE',
+      [username]
+    );
+
+    const passwordHash = rows.length > 0 ? rows[0].password_hash : DUMMY_PASSWORD_HASH;
+    if (!(await verifyPassword(String(password), passwordHash)) || rows.length === 0) {
+      adminLoginFailuresByUsername.fail(usernameKey);
+      adminLoginFailuresByIp.fail(req.ip);
+      return res.status(401).json({ error: 'Invalid username or password', code: 'invalid_credentials' });
+    }
+
+    adminLoginFailuresByUsername.reset(usernameKey);
+
+    const user = rows[0];
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    auditChange(res, { actor: user, entityId: user.id });
+
+    await db.execute(
+      'INSERT INTO admin_sessions (admin_user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [user.id, hashToken(token), expiresAt]
+    );
+    await db.execute(
+      'UPDATE admin_users SET last_login_at = NOW() WHERE id = ?',
+      [user.id]
+    );
+
+    res.json({
+      success: true,
+      token,
+      expires_at: expiresAt.toISOString(),
+      user: { id: user.id, username: user.username, role: user.role }
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin logout - revokes the current session
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+  auditChange(res, { entityType: 'admin_users', entityId: req.admin.id, action: 'auth.logout' });
+
+  try {
+    await db.execute('DELETE FROM admin_sessions WHERE id = ?', [req.admin.session_id]);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current admin user
+app.get('/api/auth/me', authenticate, (req, res) => {
+  const { id, username, role, expires_at } = req.admin;
+  res.json({ id, username, role, expires_at });
+});
+
+// List admin users (OWNER ONLY)
+app.get('/api/admin/users', requireRole(), async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT id, username, role, is_active, last_login_at, created_at FROM admin_users ORDER BY username'
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create admin user (OWNER ONLY)
+app.post('/api/admin/users', requireRole(), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !password || !role) {
+      return res.status(400).json({ error: 'Username, password, and role are required' });
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const [existing] = await db.execute('SELECT id FROM admin_users WHERE username = ?', [username]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const [result] = await db.execute(
+      'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, await hashPassword(password), role]
+    );
+    auditChange(res, { entityType: 'admin_users', entityId: result.insertId, after: { username, role } });
+
+    res.json({
+      success: true,
+      message: 'Admin user created successfully',
+      id: result.insertId
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update admin user role, status or password (OWNER ONLY)
+app.put('/api/admin/users/:id', requireRole(), async (req, res) => {
+  try {
+    const { role, is_active, password } = req.body;
+
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    if (password !== undefined && password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (Number(req.params.id) === req.admin.id && (is_active === false || (role && role !== 'owner'))) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const [before] = await db.execute(
+      'SELECT username, role, is_active FROM admin_users WHERE id = ?',
+      [req.params.id]
+    );
+
+    const [result] = await db.execute(
+      `UPDATE admin_users SET
+       role = COALESCE(?, role),
+       is_active = COALESCE(?, is_active),
+       password_hash = COALESCE(?, password_hash)
+       WHERE id = ?`,
+      [
+        role ?? null,
+        is_active ?? null,
+        password ? await hashPassword(password) : null,
+        req.params.id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const [after] = await db.execute(
+      'SELECT username, role, is_active FROM admin_users WHERE id = ?',
+      [req.params.id]
+    );
+    auditChange(res, {
+      entityType: 'admin_users',
+      before: before[0],
+      after: { ...after[0], password_changed: password !== undefined }
+    });
+
+    // Role, status and password changes take effect on the next login
+    if (role !== undefined || is_active !== undefined || password !== undefined) {
+      await db.execute('DELETE FROM admin_sessions WHERE admin_user_id = ?', [req.params.id]);
+    }
+
+    res.json({ success: true, message: 'Admin user updated successfully' });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audit log of admin writes, newest first (OWNER ONLY)
+app.get('/api/audit-log', requireRole(), async (req, res) => {
+  try {
+    const filters = [];
+    const params = [];
+
+    for (const field of ['admin_user_id', 'entity_type', 'entity_id', 'method']) {
+      if (req.query[field]) {
+        filters.push(`${field} = ?`);
+        params.push(req.query[field]);
+      }
+    }
+
+    if (req.query.username) {
+      filters.push('admin_username = ?');
+      params.push(req.query.username);
+    }
+
+    // "products" matches products.update, products.components.update, ...
+    if (req.query.action) {
+      filters.push('(action = ? OR action LIKE ?)');
+      params.push(req.query.action, `${req.query.action}.%`);
+    }
+
+    if (req.query.outcome === 'success') {
+      filters.push('status_code < 400');
+    } else if (req.query.outcome === 'failed') {
+      filters.push('status_code >= 400');
+    }
+
+    if (req.query.from) {
+      filters.push('created_at >= ?');
+      params.push(new Date(req.query.from));
+    }
+
+    // A plain date includes that whole day
+    if (req.query.to) {
+      const to = new Date(req.query.to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        filters.push('created_at < ?');
+      } else {
+        filters.push('created_at <= ?');
+      }
+      params.push(to);
+    }
+
+    if (params.some(param => param instanceof Date && isNaN(param))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.page_size) || 50));
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+    const [rows] = await db.query(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      items: rows.map(row => ({
+        ...row,
+        before_value: row.before_value ? JSON.parse(row.before_value) : null,
+        after_value: row.after_value ? JSON.parse(row.after_value) : null
+      })),
+      pagination: {
+        page,
+        page_size: pageSize,
+        total,
+        total_pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current gold price
+app.get('/api/gold-price', async (req, res) => {
+  try {
+    const rate = await getDisplayCurrency(req.query.currency);
+    const quotes = await getGoldQuotes();
+    const board = buildPriceBoard(quotes);
+    const reference = board.find(price => price.carat === '24K');
+
+    // Top-level fields keep describing the 24K price, the board has every carat
+    res.json({
+      id: reference.gold_price_id,
+      price_per_gram: reference.price_per_gram,
+      carat: '24K',
+      currency: 'EGP',
+      source: reference.source,
+      updated_at: reference.updated_at,
+      prices: board,
+      ...(rate && {
+        display: displayPrices(rate, {
+          price_per_gram: convertFromEgp(reference.price_per_gram, rate),
+          prices: board.map(price => ({ carat: price.carat, price_per_gram: convertFromEgp(price.price_per_gram, rate) }))
+        })
+      })
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Gold price history in open/high/low/close buckets (UTC)
+app.get('/api/gold-price/history', async (req, res) => {
+  try {
+    const { carat = '24K', interval = 'day' } = req.query;
+
+    if (!GoldPriceCalculator.CARAT_FACTORS[carat]) {
+      return res.status(400).json({
+        error: `Unknown carat ${carat}. Use one of: ${Object.keys(GoldPriceCalculator.CARAT_FACTORS).join(', ')}`
+      });
+    }
+
+    if (!HISTORY_INTERVALS[interval]) {
+      return res.status(400).json({
+        error: `Interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - HISTORY_INTERVALS[interval].defaultRangeMs);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    const bucketMs = HISTORY_INTERVALS[interval].ms;
+    if ((to - from) / bucketMs > MAX_HISTORY_BUCKETS) {
+      return res.status(400).json({
+        error: `Range too large for ${interval} buckets (max ${MAX_HISTORY_BUCKETS}). Use a wider interval or a shorter range.`
+      });
+    }
+
+    // Quotes in effect when the range starts, then every change inside it.
+    // Carats without their own quote are derived exactly like the live board.
+    const [openingRows] = await db.execute(
+      `SELECT gp.* FROM gold_prices gp
+       JOIN (SELECT carat, MAX(id) as id FROM gold_prices WHERE updated_at < ? GROUP BY carat) latest
+         ON gp.id = latest.id`,
+      [from]
+    );
+    const [rows] = await db.execute(
+      `SELECT id, carat, price_per_gram, updated_at FROM gold_prices
+       WHERE updated_at >= ? AND updated_at < ?
+       ORDER BY updated_at, id`,
+      [from, to]
+    );
+
+    const quotes = {};
+    const applyRow = (row) => {
+      if (!GoldPriceCalculator.CARAT_FACTORS[row.carat]) return;
+
+      if (row.price_per_gram === null) {
+        delete quotes[row.carat];
+      } else {
+        quotes[row.carat] = { ...row, price_per_gram: parseFloat(row.price_per_gram) };
+      }
+    };
+    const currentPrice = () => (Object.keys(quotes).length > 0
+      ? GoldPriceCalculator.getCaratPrice(carat, quotes).pricePerGram
+      : null);
+
+    openingRows.forEach(applyRow);
+    const openingPrice = currentPrice();
+
+    const points = rows.map(row => {
+      applyRow(row);
+      return { at: new Date(row.updated_at), price: currentPrice() };
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const buckets = [];
+    let lastPrice = openingPrice;
+    let pointIndex = 0;
+
+    for (let start = bucketStart(from, interval); start < to; start = new Date(start.getTime() + bucketMs)) {
+      const end = new Date(start.getTime() + bucketMs);
+      const bucketPoints = [];
+
+      while (pointIndex < points.length && points[pointIndex].at < end) {
+        bucketPoints.push(points[pointIndex].price);
+        pointIndex++;
+      }
+
+      // Nothing to show until the first known price
+      if (lastPrice === null && bucketPoints.length === 0) continue;
+
+      const open = lastPrice ?? bucketPoints[0];
+      const prices = [open, ...bucketPoints];
+      const close = prices[prices.length - 1];
+
+      buckets.push({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        open: round(open),
+        high: round(Math.max(...prices)),
+        low: round(Math.min(...prices)),
+        close: round(close),
+        updates: bucketPoints.length,
+        change_percent: lastPrice ? round((close - lastPrice) / lastPrice * 100) : null
+      });
+
+      lastPrice = close;
+    }
+
+    const first = buckets[0];
+    const last = buckets[buckets.length - 1];
+
+    res.json({
+      carat,
+      interval,
+      currency: 'EGP',
+      from: from.toISOString(),
+      to: to.toISOString(),
+      summary: buckets.length === 0 ? null : {
+        open: first.open,
+        close: last.close,
+        high: Math.max(...buckets.map(bucket => bucket.high)),
+        low: Math.min(...buckets.map(bucket => bucket.low)),
+        change_percent: round((last.close - first.open) / first.open * 100)
+      },
+      buckets
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update gold price (ADMIN: owner, price-manager)
+app.post('/api/gold-price', requireRole('price-manager'), async (req, res) => {
+  try {
+    const {
+      price_per_gram, carat = '24K', prices, dry_run, preview_token,
+      override, override_reason, request_approval
+    } = req.body;
+
+    // Either one carat's price, or several at once as { "21K": 3500, ... }
+    const requested = prices && typeof prices === 'object'
+      ? Object.entries(prices)
+      : [[carat, price_per_gram]];
+
+    const validationError = validatePriceUpdates(requested);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Rounded as stored, so a preview matches what is written
+    const updates = requested.map(([c, price]) => [c, Math.round(parseFloat(price) * 100) / 100]);
+
+    const guardrails = await getSetting('price_guardrails', DEFAULT_PRICE_GUARDRAILS);
+    const currentQuotes = await getGoldQuotes();
+    const violations = checkPriceGuardrails(updates, currentQuotes, guardrails);
+
+    auditChange(res, {
+      entityType: 'gold_prices',
+      before: Object.fromEntries(updates.map(([c]) => [c, GoldPriceCalculator.getCaratPrice(c, currentQuotes).pricePerGram])),
+      after: { prices: Object.fromEntries(updates), violations, override_reason }
+    });
+
+    if (dry_run) {
+      auditChange(res, { action: 'gold_prices.preview' });
+      return res.json({ ...(await previewGoldPrices(updates)), guardrail_violations: violations });
+    }
+
+    // Leave the change for a second admin to approve
+    if (request_approval) {
+      const [change] = await db.execute(
+        `INSERT INTO gold_price_changes (prices, status, source, requested_by, violations)
+         VALUES (?, 'pending', 'manual', ?, ?)`,
+        [JSON.stringify(Object.fromEntries(updates)), req.admin.id, violations.length ? JSON.stringify(violations) : null]
+      );
+      auditChange(res, { action: 'gold_prices.request_approval', entityId: change.insertId });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Price change is waiting for approval by another admin',
+        change_id: change.insertId,
+        violations
+      });
+    }
+
+    if (violations.length > 0 && !override) {
+      return res.status(422).json({
+        error: 'Price change is outside the guardrails. Override it with a reason, or request approval from another admin',
+        violations
+      });
+    }
+
+    if (violations.length > 0 && !String(override_reason || '').trim()) {
+      return res.status(400).json({ error: 'A reason is required to override the price guardrails' });
+    }
+
+    const { changeId, quotes, details, timing } = await applyGoldPrices(updates, {
+      source: 'manual',
+      adminUserId: req.admin.id,
+      overrideReason: violations.length > 0 ? String(override_reason).trim().slice(0, 255) : null,
+      violations
+    }, {
+      previewFingerprint: preview_token ? verifyPreviewToken(preview_token) : null
+    });
+    auditChange(res, { entityId: changeId });
+    
+    res.json({
+      success: true,
+      message: `Gold price updated: ${updates.map(([c, price]) => `${c} ${price} EGP/g`).join(', ')}`,
+      change_id: changeId,
+      prices: buildPriceBoard(quotes),
+      updated_products: details.length,
+      timing,
+      details
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Gold price guardrails (ADMIN: owner, price-manager)
+app.get('/api/gold-price/guardrails', requireRole('price-manager'), async (req, res) => {
+  try {
+    res.json(await getSetting('price_guardrails', DEFAULT_PRICE_GUARDRAILS));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update gold price guardrails (ADMIN: owner)
+app.put('/api/gold-price/guardrails', requireRole(), async (req, res) => {
+  try {
+    const current = await getSetting('price_guardrails', DEFAULT_PRICE_GUARDRAILS);
+    const settings = { ...current, ...req.body };
+
+    const validationError = validatePriceGuardrails(settings);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const guardrails = {
+      max_change_percent: settings.max_change_percent != null ? parseFloat(settings.max_change_percent) : null,
+      carat_bounds: Object.fromEntries(Object.entries(settings.carat_bounds).map(([carat, bounds]) => [carat, {
+        min: bounds?.min != null ? parseFloat(bounds.min) : null,
+        max: bounds?.max != null ? parseFloat(bounds.max) : null
+      }]))
+    };
+
+    await saveSetting('price_guardrails', guardrails, req.admin.id);
+    auditChange(res, { entityType: 'app_settings', entityId: 'price_guardrails', before: current, after: guardrails });
+
+    res.json({ success: true, message: 'Price guardrails updated', settings: guardrails });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Gold price changes - pending approvals and applied changes that can be rolled back (ADMIN: owner, price-manager)
+app.get('/api/gold-price/changes', requireRole('price-manager'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const [rows] = await db.execute(
+      `SELECT c.*, requester.username as requested_by_username,
+              approver.username as approved_by_username, roller.username as rolled_back_by_username
+       FROM gold_price_changes c
+       LEFT JOIN admin_users requester ON c.requested_by = requester.id
+       LEFT JOIN admin_users approver ON c.approved_by = approver.id
+       LEFT JOIN admin_users roller ON c.rolled_back_by = roller.id
+       ${status ? 'WHERE c.status = ?' : ''}
+       ORDER BY c.id DESC
+       LIMIT 50`,
+      status ? [status] : []
+    );
+
+    res.json(rows.map(row => ({
+      ...row,
+      prices: JSON.parse(row.prices),
+      violations: row.violations ? JSON.parse(row.violations) : []
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve and apply another admin's pending price change (ADMIN: owner, price-manager)
+app.post('/api/gold-price/changes/:id/approve', requireRole('price-manager'), async (req, res) => {
+  auditChange(res, { entityType: 'gold_price_changes', action: 'gold_price_changes.approve' });
+
+  try {
+    const [changes] = await db.execute('SELECT * FROM gold_price_changes WHERE id = ?', [req.params.id]);
+
+    if (changes.length === 0) {
+      return res.status(404).json({ error: 'Price change not found' });
+    }
+
+    if (changes[0].requested_by === req.admin.id) {
+      return res.status(403).json({ error: 'A price change must be approved by a different admin' });
+    }
+
+    const updates = Object.entries(JSON.parse(changes[0].prices));
+    const { changeId, quotes, details, timing } = await applyGoldPrices(updates, {
+      source: changes[0].source,
+      adminUserId: changes[0].requested_by,
+      approvedBy: req.admin.id
+    }, {
+      changeId: changes[0].id
+    });
+
+    res.json({
+      success: true,
+      message: `Gold price change approved: ${updates.map(([c, price]) => `${c} ${price} EGP/g`).join(', ')}`,
+      change_id: changeId,
+      prices: buildPriceBoard(quotes),
+      updated_products: details.length,
+      timing
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Reject a pending price change (ADMIN: owner, price-manager)
+app.post('/api/gold-price/changes/:id/reject', requireRole('price-manager'), async (req, res) => {
+  auditChange(res, { entityType: 'gold_price_changes', action: 'gold_price_changes.reject' });
+
+  try {
+    const [result] = await db.execute(
+      `UPDATE gold_price_changes SET status = 'rejected', approved_by = ? WHERE id = ? AND status = 'pending'`,
+      [req.admin.id, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'This price change is not pending' });
+    }
+
+    res.json({ success: true, message: 'Price change rejected' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll back the latest applied price change (ADMIN: owner, price-manager)
+app.post('/api/gold-price/changes/:id/rollback', requireRole('price-manager'), async (req, res) => {
+  auditChange(res, { entityType: 'gold_price_changes', action: 'gold_price_changes.rollback' });
+
+  try {
+    const { quotes, restoredPrices, details, skipped } = await rollbackGoldPriceChange(
+      parseInt(req.params.id),
+      req.admin.id
+    );
+
+    res.json({
+      success: true,
+      message: `Price change rolled back: ${Object.entries(restoredPrices)
+        .map(([c, price]) => `${c} ${price === null ? 'derived' : `${price} EGP/g`}`).join(', ')}`,
+      prices: buildPriceBoard(quotes),
+      restored_products: details.length,
+      skipped_products: skipped,
+      details
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Pricing rule sets and which categories use them (ADMIN: owner, price-manager)
+app.get('/api/pricing-rules', requireRole('price-manager'), async (req, res) => {
+  try {
+    const pricingRules = await getPricingRules();
+    const [usage] = await db.execute(
+      `SELECT pricing_rule_set_id as id, COUNT(*) as product_count
+       FROM products WHERE pricing_rule_set_id IS NOT NULL GROUP BY pricing_rule_set_id`
+    );
+    const productCounts = new Map(usage.map(row => [row.id, row.product_count]));
+
+    res.json({
+      rule_sets: [...pricingRules.byId.values()].map(rules => ({
+        ...rules,
+        product_count: productCounts.get(rules.id) || 0
+      })),
+      categories: Object.fromEntries(
+        [...pricingRules.byCategory.entries()].map(([category, rules]) => [category, rules.id])
+      )
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a pricing rule set (ADMIN: owner, price-manager)
+app.post('/api/pricing-rules', requireRole('price-manager'), async (req, res) => {
+  try {
+    const validationError = validatePricingRuleSet(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const id = await withTransaction(async (conn) => {
+      // Only one rule set can be the default
+      if (req.body.is_default) {
+        await conn.execute('UPDATE pricing_rule_sets SET is_default = FALSE');
+      }
+
+      const [result] = await conn.execute(
+        `INSERT INTO pricing_rule_sets
+         (name, making_charge_type, making_charge_value, making_charges_by_carat, margin_tiers,
+          minimum_price, vat_percent, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        pricingRuleSetValues(req.body)
+      );
+      return result.insertId;
+    });
+
+    // A new default applies to every product without its own rules
+    const updated = req.body.is_default ? await repriceWithCurrentGold() : [];
+
+    res.json({
+      success: true,
+      message: `Rule set ${req.body.name} created`,
+      id,
+      updated_products: updated.length
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A rule set with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a pricing rule set and reprice the catalog (ADMIN: owner, price-manager)
+app.put('/api/pricing-rules/:id', requireRole('price-manager'), async (req, res) => {
+  try {
+    const validationError = validatePricingRuleSet(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = await withTransaction(async (conn) => {
+      const [rows] = await conn.execute('SELECT * FROM pricing_rule_sets WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      if (req.body.is_default) {
+        await conn.execute('UPDATE pricing_rule_sets SET is_default = FALSE WHERE id <> ?', [req.params.id]);
+      }
+
+      await conn.execute(
+        `UPDATE pricing_rule_sets SET
+         name = ?, making_charge_type = ?, making_charge_value = ?, making_charges_by_carat = ?,
+         margin_tiers = ?, minimum_price = ?, vat_percent = ?, is_default = ?
+         WHERE id = ?`,
+        [...pricingRuleSetValues(req.body), req.params.id]
+      );
+      return rows[0];
+    });
+
+    if (!before) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    auditChange(res, { entityType: 'pricing_rule_sets', before });
+
+    const updated = await repriceWithCurrentGold();
+
+    res.json({
+      success: true,
+      message: `Rule set ${req.body.name} updated`,
+      updated_products: updated.length
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A rule set with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a pricing rule set - its products fall back to their category or the default
+// (ADMIN: owner, price-manager)
+app.delete('/api/pricing-rules/:id', requireRole('price-manager'), async (req, res) => {
+  try {
+    const before = await withTransaction(async (conn) => {
+      const [rows] = await conn.execute('SELECT * FROM pricing_rule_sets WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      await conn.execute(
+        'UPDATE products SET pricing_rule_set_id = NULL WHERE pricing_rule_set_id = ?',
+        [req.params.id]
+      );
+      await conn.execute('DELETE FROM pricing_rule_sets WHERE id = ?', [req.params.id]);
+      return rows[0];
+    });
+
+    if (!before) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    auditChange(res, { entityType: 'pricing_rule_sets', before, after: null });
+
+    const updated = await repriceWithCurrentGold();
+
+    res.json({ success: true, message: 'Rule set deleted', updated_products: updated.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Choose the rule set for a category, or null to use the default (ADMIN: owner, price-manager)
+app.put('/api/pricing-rules/categories/:category', requireRole('price-manager'), async (req, res) => {
+  try {
+    const { rule_set_id } = req.body;
+    const [current] = await db.execute(
+      'SELECT rule_set_id FROM category_pricing_rules WHERE category = ?',
+      [req.params.category]
+    );
+    auditChange(res, {
+      entityType: 'category_pricing_rules',
+      entityId: req.params.category,
+      before: { rule_set_id: current.length > 0 ? current[0].rule_set_id : null }
+    });
+
+    if (rule_set_id) {
+      const [rows] = await db.execute('SELECT id FROM pricing_rule_sets WHERE id = ?', [rule_set_id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      await db.execute(
+        `INSERT INTO category_pricing_rules (category, rule_set_id) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE rule_set_id = VALUES(rule_set_id)`,
+        [req.params.category, rule_set_id]
+      );
+    } else {
+      await db.execute('DELETE FROM category_pricing_rules WHERE category = ?', [req.params.category]);
+    }
+
+    const updated = await repriceWithCurrentGold();
+
+    res.json({
+      success: true,
+      message: `Pricing rules for ${req.params.category} updated`,
+      updated_products: updated.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current exchange rates for the currency switcher
+app.get('/api/exchange-rates', async (req, res) => {
+  try {
+    const rates = await getExchangeRates();
+
+    res.json({
+      settlement_currency: SETTLEMENT_CURRENCY,
+      rates: Object.values(rates).map(rate => ({
+        currency: rate.currency,
+        egp_per_unit: rate.egp_per_unit,
+        updated_at: rate.created_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange rate history (ADMIN: owner, price-manager)
+app.get('/api/exchange-rates/history', requireRole('price-manager'), async (req, res) => {
+  try {
+    let query = `SELECT er.*, u.username
+                 FROM exchange_rates er
+                 LEFT JOIN admin_users u ON er.admin_user_id = u.id`;
+    const params = [];
+
+    if (req.query.currency) {
+      query += ' WHERE er.currency = ?';
+      params.push(req.query.currency.toUpperCase());
+    }
+
+    query += ' ORDER BY er.created_at DESC, er.id DESC LIMIT 200';
+
+    const [rows] = await db.execute(query, params);
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set exchange rates as EGP per unit, e.g. { "rates": { "USD": 48.3 } } (ADMIN: owner, price-manager)
+app.post('/api/exchange-rates', requireRole('price-manager'), async (req, res) => {
+  try {
+    const updates = req.body.rates
+      ? Object.entries(req.body.rates)
+      : [[req.body.currency, req.body.egp_per_unit]];
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'rates must list at least one currency' });
+    }
+
+    for (const [currency, rate] of updates) {
+      if (!/^[A-Z]{3}$/.test(currency || '') || currency === SETTLEMENT_CURRENCY) {
+        return res.status(400).json({ error: `Invalid currency ${currency} - use a 3-letter code other than ${SETTLEMENT_CURRENCY}` });
+      }
+
+      if (!(parseFloat(rate) > 0)) {
+        return res.status(400).json({ error: `Valid rate is required for ${currency}` });
+      }
+    }
+
+    await db.query(
+      'INSERT INTO exchange_rates (currency, egp_per_unit, admin_user_id) VALUES ?',
+      [updates.map(([currency, rate]) => [currency, parseFloat(rate), req.admin.id])]
+    );
+
+    res.json({
+      success: true,
+      message: `Exchange rate updated: ${updates.map(([currency, rate]) => `1 ${currency} = ${rate} EGP`).join(', ')}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Price feed status and recent runs (ADMIN: owner, price-manager)
+app.get('/api/gold-price/feed', requireRole('price-manager'), (req, res) => {
+  res.json(priceFeed ? priceFeed.status() : { enabled: false, runs: [] });
+});
+
+// Poll the price feed now instead of waiting for the schedule (ADMIN: owner, price-manager)
+app.post('/api/gold-price/feed/run', requireRole('price-manager'), async (req, res) => {
+  if (!priceFeed) {
+    return res.status(400).json({ error: 'Price feed is not configured (set GOLD_FEED_PROVIDER)' });
+  }
+
+  const run = await priceFeed.runOnce();
+  res.json(run);
+});
+
+// Live price stream (Server-Sent Events)
+app.get('/api/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Listen for the disconnect before awaiting anything, so a client that
+  // leaves during the snapshot is never added
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    streamClients.delete(res);
+  });
+
+  // Start each (re)connection with the current prices so clients resync
+  res.write('retry: 5000\n\n');
+  try {
+    res.write(`event: gold-price\ndata: ${JSON.stringify(goldPriceEvent(await getGoldQuotes()))}\n\n`);
+  } catch (error) {
+    console.error('❌ Stream snapshot failed:', error.message);
+  }
+
+  if (!closed) {
+    streamClients.add(res);
+  }
+});
+
+// Get all products
+// Takes the same filters and sort as search; with page/page_size it returns
+// one page and the total in X-Total-Count
+app.get('/api/products', async (req, res) => {
+  try {
+    const rate = await getDisplayCurrency(req.query.currency);
+    let rows;
+
+    if (req.query.page || req.query.page_size) {
+      const result = await findProducts(req.query, rate);
+      rows = result.items;
+      res.set('X-Total-Count', String(result.pagination.total));
+    } else {
+      const sort = productSort(req.query, 'newest');
+      const { where, params } = productFilters(req.query, rate);
+      const { select, selectParams } = productSelect(sort, req.query);
+      const [matches] = await db.query(
+        `${select} WHERE ${where} ORDER BY ${PRODUCT_SORTS[sort]}`,
+        [...selectParams, ...params]
+      );
+      rows = matches.map(({ relevance, ...product }) => product);
+    }
+
+    const quotes = await getGoldQuotes();
+    const pricingRules = await getPricingRules();
+    const componentsByProduct = await getProductComponents(rows.map(product => product.id));
+
+    res.json(rows.map(product => withDisplayPrice({
+      ...parseImages(product),
+      price_breakdown: priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id))
+    }, rate)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// All products including inactive ones, for the admin catalog (ADMIN: owner, catalog-editor)
+// ?status=active|inactive narrows the list, ?q matches the English or Arabic name or SKU
+app.get('/api/admin/products', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+
+    if (req.query.status === 'active' || req.query.status === 'inactive') {
+      where.push('is_active = ?');
+      params.push(req.query.status === 'active');
+    }
+
+    if (req.query.q) {
+      where.push('(name LIKE ? OR name_ar LIKE ? OR sku LIKE ?)');
+      params.push(...Array(3).fill(`%${req.query.q}%`));
+    }
+
+    const [rows] = await db.query(
+      `SELECT * FROM products ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC`,
+      params
+    );
+    const quotes = await getGoldQuotes();
+    const pricingRules = await getPricingRules();
+    const componentsByProduct = await getProductComponents(rows.map(product => product.id));
+
+    res.json(rows.map(product => ({
+      ...parseImages(product),
+      is_active: Boolean(product.is_active),
+      components: componentsByProduct.get(product.id),
+      price_breakdown: priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id))
+    })));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Price an unsaved product for the admin form's live preview (ADMIN: owner, catalog-editor)
+// Takes the product fields as query parameters; ?id= prices with that product's components
+app.get('/api/products/price-preview', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const fieldsError = (!req.query.weight || !req.query.carat)
+      ? 'Weight and carat are required'
+      : validateProductFields(req.query);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    const productId = req.query.id ? parseInt(req.query.id) : null;
+    const componentsByProduct = await getProductComponents(productId ? [productId] : []);
+    const priceInfo = priceProduct(
+      {
+        weight: req.query.weight,
+        carat: req.query.carat,
+        making_charges: productNumber(req.query.making_charges, 5),
+        profit_margin: productNumber(req.query.profit_margin, 10),
+        category: req.query.category || 'Uncategorized',
+        pricing_rule_set_id: req.query.pricing_rule_set_id ? parseInt(req.query.pricing_rule_set_id) : null
+      },
+      await getGoldQuotes(),
+      await getPricingRules(),
+      componentsByProduct.get(productId)
+    );
+
+    res.json({ price_breakdown: priceInfo });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Export the catalog with current price breakdowns as CSV or JSON (ADMIN: owner, catalog-editor)
+app.get('/api/products/export', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const [rows] = await db.execute('SELECT * FROM products ORDER BY id');
+    const quotes = await getGoldQuotes();
+    const pricingRules = await getPricingRules();
+    const componentsByProduct = await getProductComponents(rows.map(product => product.id));
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(rows.map(product => {
+        const priceInfo = priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id));
+        return {
+          ...catalogExportRecord(product, priceInfo),
+          components: componentsByProduct.get(product.id),
+          price_breakdown: priceInfo
+        };
+      }));
+    }
+
+    res.type('text/csv').send(toCsv(
+      ['id', ...CATALOG_FIELDS, ...CATALOG_PRICE_FIELDS],
+      rows.map(product => catalogExportRecord(
+        product, priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id))
+      ))
+    ));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Bulk import products from CSV or JSON, matched on sku (ADMIN: owner, catalog-editor)
+// ?dry_run=true only validates and prices the rows; upsert=false refuses existing SKUs.
+// The batch is written in one transaction - any invalid row and nothing is imported.
+app.post('/api/products/import', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    // Options come from the query string, or from the body of a JSON import
+    const options = { ...(req.body?.products ? req.body : {}), ...req.query };
+    const flag = (value, fallback) => (value === undefined ? fallback : [true, 'true', '1'].includes(value));
+    const dryRun = flag(options.dry_run, false);
+    const upsert = flag(options.upsert, true);
+
+    // Log the outcome rather than the (possibly huge) uploaded file
+    auditChange(res, {
+      entityType: 'products',
+      action: dryRun ? 'products.import_preview' : 'products.import',
+      after: { dry_run: dryRun, upsert }
+    });
+
+    const rows = catalogImportRows(req.body);
+    const publicItem = ({ existing, product, priceInfo, ...item }) => item;
+
+    if (dryRun) {
+      const plan = await planCatalogImport(db, rows, { upsert });
+      auditChange(res, { after: { upsert, ...plan.summary } });
+
+      return res.json({
+        dry_run: true,
+        valid: plan.errors.length === 0,
+        summary: plan.summary,
+        items: plan.items.map(publicItem),
+        errors: plan.errors
+      });
+    }
+
+    const { plan, repriced } = await withTransaction(async (conn) => {
+      const plan = await planCatalogImport(conn, rows, { upsert, forUpdate: true });
+
+      if (plan.errors.length > 0) {
+        throw new HttpError(422, `${plan.errors.length} row(s) have errors - nothing was imported`, {
+          summary: plan.summary,
+          errors: plan.errors
+        });
+      }
+
+      return { plan, repriced: await writeCatalogImport(conn, plan.items, req.admin.id) };
+    });
+
+    auditChange(res, {
+      after: {
+        upsert,
+        ...plan.summary,
+        created: plan.items.filter(item => item.action === 'create').map(item => item.sku),
+        updated: plan.items.filter(item => item.action === 'update').map(item => item.sku)
+      }
+    });
+
+    if (repriced.length > 0) {
+      broadcastProductPrices(repriced);
+      checkPriceAlerts(await getGoldQuotes());
+    }
+
+    console.log(`📦 Catalog import: ${plan.summary.create} created, ${plan.summary.update} updated`);
+
+    res.json({
+      success: true,
+      message: `Imported ${plan.summary.create} new and ${plan.summary.update} updated products`,
+      summary: plan.summary,
+      items: plan.items.map(publicItem)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get single product
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM products WHERE id = ? AND is_active = TRUE',
+      [req.params.id]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+    
+    const rate = await getDisplayCurrency(req.query.currency);
+    const components = (await getProductComponents([rows[0].id])).get(rows[0].id);
+
+    res.json(withDisplayPrice({
+      ...parseImages(rows[0]),
+      components,
+      price_breakdown: priceProduct(rows[0], await getGoldQuotes(), await getPricingRules(), components)
+    }, rate));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add new product (ADMIN: owner, catalog-editor)
+app.post('/api/products', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const {
+      sku, name, name_ar, weight, carat, making_charges, profit_margin, category, description,
+      description_ar, stock_quantity, reorder_threshold, pricing_rule_set_id
+    } = req.body;
+    const components = req.body.components || [];
+    
+    const fieldsError = validateProductFields(req.body, true);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (sku && await skuTaken(sku)) {
+      return res.status(409).json({ error: `A product with sku ${sku} already exists` });
+    }
+
+    const componentsError = validateComponents(components);
+    if (componentsError) {
+      return res.status(400).json({ error: componentsError });
+    }
+    
+    const pricingRules = await getPricingRules();
+    const ruleSetId = requestRuleSetId(pricing_rule_set_id, pricingRules);
+
+    // Get current gold prices
+    const quotes = await getGoldQuotes();
+    
+    // Calculate selling price
+    const priceInfo = priceProduct(
+      {
+        weight,
+        carat,
+        making_charges: productNumber(making_charges, 5),
+        profit_margin: productNumber(profit_margin, 10),
+        category: category || 'Uncategorized',
+        pricing_rule_set_id: ruleSetId,
+        components: components.map(normalizeComponent)
+      },
+      quotes,
+      pricingRules
+    );
+    
+    // Insert product - opening stock goes through the ledger
+    const result = await withTransaction(async (conn) => {
+      const [insertResult] = await conn.execute(
+        `INSERT INTO products 
+         (sku, name, name_ar, description, description_ar, weight, carat, making_charges, profit_margin,
+          selling_price, category, reorder_threshold, pricing_rule_set_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          sku || null,
+          name,
+          name_ar || null,
+          description || '',
+          description_ar || null,
+          weight,
+          carat,
+          productNumber(making_charges, 5),
+          productNumber(profit_margin, 10),
+          priceInfo.sellingPrice,
+          category || 'Uncategorized',
+          reorder_threshold || 0,
+          ruleSetId
+        ]
+      );
+
+      await saveComponents(conn, insertResult.insertId, components);
+
+      if (stock_quantity > 0) {
+        await recordStockMovement(conn, {
+          productId: insertResult.insertId,
+          type: 'received',
+          quantity: parseInt(stock_quantity),
+          reason: 'Initial stock',
+          adminUserId: req.admin.id
+        });
+      }
+
+      return insertResult;
+    });
+    auditChange(res, { entityId: result.insertId });
+    
+    res.json({
+      success: true,
+      message: 'Product added successfully',
+      id: result.insertId,
+      selling_price: priceInfo.sellingPrice,
+      price_breakdown: priceInfo
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update product (ADMIN: owner, catalog-editor)
+app.put('/api/products/:id', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const {
+      sku, name, name_ar, weight, carat, making_charges, profit_margin, category, description,
+      description_ar, stock_quantity, expected_stock_quantity, reorder_threshold, is_active, stock_reason,
+      pricing_rule_set_id
+    } = req.body;
+    
+    // Get current product
+    const [productRows] = await db.execute(
+      'SELECT * FROM products WHERE id = ?',
+      [req.params.id]
+    );
+    
+    if (productRows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+
+    const fieldsError = validateProductFields(req.body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (sku && await skuTaken(sku, productRows[0].id)) {
+      return res.status(409).json({ error: `A product with sku ${sku} already exists` });
+    }
+    
+    // Update product - a new stock_quantity is recorded as a ledger adjustment.
+    // With expected_stock_quantity (the count the form was opened with) a stock
+    // change made meanwhile, e.g. by a checkout, is a 409 instead of being undone.
+    // The price is worked out from the locked row, so a reprice that committed
+    // since the form was loaded is kept unless a price field changed.
+    const { product, sellingPrice, repriced } = await withTransaction(async (conn) => {
+      const [lockedRows] = await conn.execute(
+        'SELECT * FROM products WHERE id = ? FOR UPDATE',
+        [productRows[0].id]
+      );
+      const product = lockedRows[0];
+
+      if (expected_stock_quantity !== undefined && expected_stock_quantity !== null &&
+          parseInt(expected_stock_quantity) !== product.stock_quantity) {
+        throw new HttpError(409, `Stock changed to ${product.stock_quantity} since this product was loaded - reload and try again`, {
+          code: 'stock_changed',
+          stock_quantity: product.stock_quantity
+        });
+      }
+
+      // If anything that feeds the price changed, recalculate it
+      // (pricing_rule_set_id: null switches back to the category/default rules)
+      let sellingPrice = parseFloat(product.selling_price);
+      let repriced = null;
+      const pricingRules = await getPricingRules(conn);
+      const ruleSetId = pricing_rule_set_id === undefined
+        ? product.pricing_rule_set_id
+        : requestRuleSetId(pricing_rule_set_id, pricingRules);
+
+      // (a zero making charge or margin counts as a change)
+      const priceFields = [weight, carat, making_charges, profit_margin, category];
+      const priceChanged = priceFields.some(value => value !== undefined && value !== null) || pricing_rule_set_id !== undefined;
+
+      if (priceChanged) {
+        const priceInfo = priceProduct(
+          {
+            id: product.id,
+            weight: weight ?? product.weight,
+            carat: carat ?? product.carat,
+            making_charges: making_charges ?? product.making_charges,
+            profit_margin: profit_margin ?? product.profit_margin,
+            category: category ?? product.category,
+            pricing_rule_set_id: ruleSetId
+          },
+          await getGoldQuotes(conn),
+          pricingRules,
+          (await getProductComponents([product.id], conn)).get(product.id)
+        );
+
+        sellingPrice = priceInfo.sellingPrice;
+
+        // Saved to price history when the price actually moved
+        if (sellingPrice !== parseFloat(product.selling_price)) {
+          repriced = { id: product.id, priceInfo };
+          await conn.execute(
+            'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram) VALUES (?, ?, ?, ?)',
+            [product.id, product.selling_price, sellingPrice, priceInfo.goldPricePerGram]
+          );
+        }
+      }
+
+      await conn.execute(
+        `UPDATE products SET
+         sku = COALESCE(?, sku),
+         name = COALESCE(?, name),
+         name_ar = COALESCE(?, name_ar),
+         description = COALESCE(?, description),
+         description_ar = COALESCE(?, description_ar),
+         weight = COALESCE(?, weight),
+         carat = COALESCE(?, carat),
+         making_charges = COALESCE(?, making_charges),
+         profit_margin = COALESCE(?, profit_margin),
+         selling_price = COALESCE(?, selling_price),
+         category = COALESCE(?, category),
+         reorder_threshold = COALESCE(?, reorder_threshold),
+         pricing_rule_set_id = ?,
+         is_active = COALESCE(?, is_active),
+         updated_at = NOW()
+         WHERE id = ?`,
+        [
+          sku || null, name ?? null, name_ar ?? null, description ?? null, description_ar ?? null,
+          weight ?? null, carat ?? null,
+          making_charges ?? null, profit_margin ?? null, priceChanged ? sellingPrice : null, category ?? null,
+          reorder_threshold ?? null, ruleSetId ?? null, is_active ?? null, product.id
+        ]
+      );
+
+      const delta = stock_quantity !== undefined && stock_quantity !== null
+        ? parseInt(stock_quantity) - product.stock_quantity
+        : 0;
+
+      if (delta !== 0) {
+        await recordStockMovement(conn, {
+          productId: product.id,
+          type: 'adjusted',
+          quantity: delta,
+          reason: stock_reason || 'Stock count edited',
+          adminUserId: req.admin.id
+        });
+      }
+
+      return { product, sellingPrice, repriced };
+    });
+    
+    if (repriced) {
+      broadcastProductPrices([repriced]);
+      checkPriceAlerts(await getGoldQuotes());
+    }
+
+    const [updatedRows] = await db.execute('SELECT * FROM products WHERE id = ?', [product.id]);
+    auditChange(res, { before: product, after: updatedRows[0] });
+    
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      new_price: sellingPrice,
+      ...(repriced && { price_breakdown: repriced.priceInfo })
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replace a product's stones, metals and fittings and reprice it (ADMIN: owner, catalog-editor)
+app.put('/api/products/:id/components', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const components = req.body.components;
+
+    const componentsError = validateComponents(components);
+    if (componentsError) {
+      return res.status(400).json({ error: componentsError });
+    }
+
+    const repriced = await withTransaction(async (conn) => {
+      const [productRows] = await conn.execute(
+        'SELECT * FROM products WHERE id = ? FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (productRows.length === 0) {
+        throw new HttpError(404, 'Product not found', { code: 'product_not_found' });
+      }
+
+      const product = productRows[0];
+      const [previous] = await conn.execute(
+        'SELECT * FROM product_components WHERE product_id = ? ORDER BY id',
+        [product.id]
+      );
+      await saveComponents(conn, product.id, components);
+
+      const priceInfo = priceProduct(
+        product, await getGoldQuotes(conn), await getPricingRules(conn), components.map(normalizeComponent)
+      );
+
+      await conn.execute(
+        'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram) VALUES (?, ?, ?, ?)',
+        [product.id, product.selling_price, priceInfo.sellingPrice, priceInfo.goldPricePerGram]
+      );
+      await conn.execute(
+        'UPDATE products SET selling_price = ?, updated_at = NOW() WHERE id = ?',
+        [priceInfo.sellingPrice, product.id]
+      );
+      auditChange(res, {
+        action: 'products.components.update',
+        before: { components: previous, selling_price: product.selling_price },
+        after: { components, selling_price: priceInfo.sellingPrice }
+      });
+
+      return { id: product.id, priceInfo };
+    });
+
+    broadcastProductPrices([repriced]);
+    checkPriceAlerts(await getGoldQuotes());
+
+    res.json({
+      success: true,
+      message: 'Product components updated',
+      new_price: repriced.priceInfo.sellingPrice,
+      price_breakdown: repriced.priceInfo
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Images of a product, primary first
+app.get('/api/products/:id/images', async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM product_images WHERE product_id = ? ORDER BY is_primary DESC, sort_order, id',
+      [req.params.id]
+    );
+    res.json(rows.map(formatImage));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload product images as multipart field "images" (ADMIN: owner, catalog-editor)
+app.post('/api/products/:id/images', requireRole('catalog-editor'), async (req, res) => {
+  const stored = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      uploadProductImages(req, res, (error) => (error ? reject(error) : resolve()));
+    });
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No images uploaded (use the "images" field)' });
+    }
+
+    const [productRows] = await db.execute('SELECT id FROM products WHERE id = ?', [req.params.id]);
+    if (productRows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+
+    for (const file of req.files) {
+      stored.push(await storeProductImage(req.params.id, file));
+    }
+
+    const images = await withTransaction(async (conn) => {
+      const [existing] = await conn.execute(
+        `SELECT COALESCE(MAX(sort_order), -1) as last_order, COALESCE(MAX(is_primary), 0) as has_primary
+         FROM product_images WHERE product_id = ?`,
+        [req.params.id]
+      );
+
+      // The first image of a product becomes its primary image
+      await conn.query(
+        `INSERT INTO product_images
+         (product_id, original_key, medium_key, thumbnail_key, content_type, width, height, size_bytes,
+          sort_order, is_primary)
+         VALUES ?`,
+        [stored.map((image, index) => [
+          req.params.id, image.original_key, image.medium_key, image.thumbnail_key, image.content_type,
+          image.width, image.height, image.size_bytes, existing[0].last_order + 1 + index,
+          !existing[0].has_primary && index === 0
+        ])]
+      );
+
+      return syncProductImages(conn, req.params.id);
+    });
+
+    res.json({
+      success: true,
+      message: `${stored.length} image(s) uploaded`,
+      images
+    });
+
+  } catch (error) {
+    await removeStoredFiles(stored.flatMap(imageKeys));
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Images must be ${IMAGE_MAX_MB} MB or smaller`
+          : error.message
+      });
+    }
+    sendError(res, error);
+  }
+});
+
+// Reorder a product's images (ADMIN: owner, catalog-editor)
+app.put('/api/products/:id/images/order', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { image_ids } = req.body;
+
+    if (!Array.isArray(image_ids) || image_ids.length === 0) {
+      return res.status(400).json({ error: 'image_ids must list the product images in their new order' });
+    }
+
+    const images = await withTransaction(async (conn) => {
+      const [rows] = await conn.execute(
+        'SELECT id FROM product_images WHERE product_id = ? FOR UPDATE',
+        [req.params.id]
+      );
+      const current = rows.map(row => row.id).sort((a, b) => a - b).join(',');
+      const requested = image_ids.map(id => parseInt(id)).sort((a, b) => a - b).join(',');
+
+      if (current !== requested) {
+        throw new HttpError(400, 'image_ids must contain each of the product\'s images exactly once');
+      }
+
+      await conn.query(
+        `UPDATE product_images SET sort_order = CASE id ${image_ids.map(() => 'WHEN ? THEN ?').join(' ')} END
+         WHERE product_id = ?`,
+        [...image_ids.flatMap((id, index) => [parseInt(id), index]), req.params.id]
+      );
+
+      return syncProductImages(conn, req.params.id);
+    });
+
+    res.json({ success: true, message: 'Image order saved', images });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Make an image the product's primary image (ADMIN: owner, catalog-editor)
+app.put('/api/products/:id/images/:imageId/primary', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const images = await withTransaction(async (conn) => {
+      const [rows] = await conn.execute(
+        'SELECT id FROM product_images WHERE id = ? AND product_id = ?',
+        [req.params.imageId, req.params.id]
+      );
+
+      if (rows.length === 0) {
+        throw new HttpError(404, 'Image not found');
+      }
+
+      await conn.execute(
+        'UPDATE product_images SET is_primary = (id = ?) WHERE product_id = ?',
+        [req.params.imageId, req.params.id]
+      );
+
+      return syncProductImages(conn, req.params.id);
+    });
+
+    res.json({ success: true, message: 'Primary image updated', images });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a product image and its files (ADMIN: owner, catalog-editor)
+app.delete('/api/products/:id/images/:imageId', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { removed, images } = await withTransaction(async (conn) => {
+      const [rows] = await conn.execute(
+        'SELECT * FROM product_images WHERE id = ? AND product_id = ? FOR UPDATE',
+        [req.params.imageId, req.params.id]
+      );
+
+      if (rows.length === 0) {
+        throw new HttpError(404, 'Image not found');
+      }
+
+      await conn.execute('DELETE FROM product_images WHERE id = ?', [rows[0].id]);
+
+      // Promote the next image when the primary one goes
+      if (rows[0].is_primary) {
+        await conn.execute(
+          'UPDATE product_images SET is_primary = TRUE WHERE product_id = ? ORDER BY sort_order, id LIMIT 1',
+          [req.params.id]
+        );
+      }
+
+      return { removed: rows[0], images: await syncProductImages(conn, req.params.id) };
+    });
+
+    await removeStoredFiles(imageKeys(removed));
+
+    res.json({ success: true, message: 'Image deleted', images });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Purge a product entered by mistake, with its image files (OWNER ONLY). Products
+// are removed from sale by deactivating them; only a deactivated product that
+// was never stocked or ordered can be purged, so no ledger or order loses it.
+app.delete('/api/products/:id', requireRole(), async (req, res) => {
+  try {
+    const removedImages = await withTransaction(async (conn) => {
+      const [productRows] = await conn.execute(
+        'SELECT * FROM products WHERE id = ? FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (productRows.length === 0) {
+        throw new HttpError(404, 'Product not found', { code: 'product_not_found' });
+      }
+
+      if (productRows[0].is_active) {
+        throw new HttpError(409, 'Deactivate the product before purging it');
+      }
+
+      const [[{ movements }]] = await conn.execute(
+        'SELECT COUNT(*) as movements FROM stock_movements WHERE product_id = ?',
+        [req.params.id]
+      );
+      const [[{ orderItems }]] = await conn.execute(
+        'SELECT COUNT(*) as orderItems FROM order_items WHERE product_id = ?',
+        [req.params.id]
+      );
+
+      if (movements > 0 || orderItems > 0) {
+        throw new HttpError(409, 'Product has stock movements or orders - keep it deactivated instead', {
+          stock_movements: movements,
+          order_items: orderItems
+        });
+      }
+
+      const [images] = await conn.execute(
+        'SELECT * FROM product_images WHERE product_id = ?',
+        [req.params.id]
+      );
+
+      await conn.execute('DELETE FROM products WHERE id = ?', [req.params.id]);
+      auditChange(res, { before: productRows[0], after: null });
+      return images;
+    });
+
+    await removeStoredFiles(removedImages.flatMap(imageKeys));
+
+    res.json({ success: true, message: 'Product purged', removed_images: removedImages.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get price history for a product
+app.get('/api/products/:id/price-history', async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ph.*, p.name as product_name 
+       FROM price_history ph
+       JOIN products p ON ph.product_id = p.id
+       WHERE ph.product_id = ?
+       ORDER BY ph.changed_at DESC
+       LIMIT 50`,
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search products
+app.get('/api/search/products', async (req, res) => {
+  try {
+    const rate = await getDisplayCurrency(req.query.currency);
+    const [result, facets, quotes, pricingRules] = await Promise.all([
+      findProducts(req.query, rate),
+      productFacets(req.query, rate),
+      getGoldQuotes(),
+      getPricingRules()
+    ]);
+    const componentsByProduct = await getProductComponents(result.items.map(product => product.id));
+
+    res.json({
+      items: result.items.map(product => withDisplayPrice({
+        ...parseImages(product),
+        price_breakdown: priceProduct(product, quotes, pricingRules, componentsByProduct.get(product.id))
+      }, rate)),
+      pagination: result.pagination,
+      facets
+    });
+    
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get categories
+app.get('/api/categories', async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND is_active = TRUE ORDER BY category'
+    );
+    res.json(rows.map(row => row.category));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Look up a cart by its token
+async function findCart(token, conn = db) {
+  const [rows] = await conn.execute('SELECT * FROM carts WHERE token = ?', [token]);
+
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Cart not found', { code: 'cart_not_found' });
+  }
+
+  return rows[0];
+}
+
+// Cart contents priced at the current gold price
+async function getCartSummary(cart) {
+  const [items] = await db.execute(
+    `SELECT ci.product_id, ci.quantity, p.id, p.name, p.name_ar, p.weight, p.carat, p.making_charges,
+            p.profit_margin, p.category, p.pricing_rule_set_id, p.stock_quantity, p.is_active
+     FROM cart_items ci
+     JOIN products p ON ci.product_id = p.id
+     WHERE ci.cart_id = ?
+     ORDER BY ci.added_at`,
+    [cart.id]
+  );
+
+  const quotes = await getGoldQuotes();
+  const pricingRules = await getPricingRules();
+  const componentsByProduct = await getProductComponents(items.map(item => item.product_id));
+
+  const lines = items.map(item => {
+    const priceInfo = priceProduct(item, quotes, pricingRules, componentsByProduct.get(item.product_id));
+
+    return {
+      product_id: item.product_id,
+      name: item.name,
+      name_ar: item.name_ar,
+      carat: item.carat,
+      weight: item.weight,
+      quantity: item.quantity,
+      available: Boolean(item.is_active) && item.stock_quantity >= item.quantity,
+      unit_price: priceInfo.sellingPrice,
+      line_total: Math.round(priceInfo.sellingPrice * item.quantity * 100) / 100,
+      price_breakdown: priceInfo
+    };
+  });
+
+  return {
+    token: cart.token,
+    items: lines,
+    item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+    total: Math.round(lines.reduce((sum, line) => sum + line.line_total, 0) * 100) / 100,
+    vat_total: Math.round(lines.reduce((sum, line) => sum + line.price_breakdown.vat * line.quantity, 0) * 100) / 100,
+    currency: 'EGP'
+  };
+}
+
+// Create a new cart
+app.post('/api/cart', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(16).toString('hex');
+    await db.execute('INSERT INTO carts (token) VALUES (?)', [token]);
+
+    res.json({ success: true, token, items: [], item_count: 0, total: 0, currency: 'EGP' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get cart contents
+app.get('/api/cart/:token', async (req, res) => {
+  try {
+    const cart = await findCart(req.params.token);
+    res.json(await getCartSummary(cart));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add product to cart
+app.post('/api/cart/:token/items', async (req, res) => {
+  try {
+    const { product_id } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    if (!product_id || !(quantity > 0)) {
+      return res.status(400).json({ error: 'Product and a positive quantity are required', code: 'invalid_quantity' });
+    }
+
+    const cart = await findCart(req.params.token);
+
+    const [productRows] = await db.execute(
+      'SELECT id, stock_quantity FROM products WHERE id = ? AND is_active = TRUE',
+      [product_id]
+    );
+
+    if (productRows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+
+    const [existing] = await db.execute(
+      'SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ?',
+      [cart.id, product_id]
+    );
+    const newQuantity = (existing[0]?.quantity || 0) + quantity;
+
+    if (newQuantity > productRows[0].stock_quantity) {
+      return res.status(409).json({
+        error: `Only ${productRows[0].stock_quantity} in stock`,
+        code: 'insufficient_stock',
+        available: productRows[0].stock_quantity
+      });
+    }
+
+    await db.execute(
+      `INSERT INTO cart_items (cart_id, product_id, quantity) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)`,
+      [cart.id, product_id, newQuantity]
+    );
+
+    res.json(await getCartSummary(cart));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Change quantity of a cart item (0 removes it)
+app.put('/api/cart/:token/items/:productId', async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity);
+
+    if (isNaN(quantity) || quantity < 0) {
+      return res.status(400).json({ error: 'Valid quantity is required', code: 'invalid_quantity' });
+    }
+
+    const cart = await findCart(req.params.token);
+
+    if (quantity === 0) {
+      await db.execute(
+        'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ?',
+        [cart.id, req.params.productId]
+      );
+      return res.json(await getCartSummary(cart));
+    }
+
+    const [productRows] = await db.execute(
+      'SELECT stock_quantity FROM products WHERE id = ? AND is_active = TRUE',
+      [req.params.productId]
+    );
+
+    if (productRows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+
+    if (quantity > productRows[0].stock_quantity) {
+      return res.status(409).json({
+        error: `Only ${productRows[0].stock_quantity} in stock`,
+        code: 'insufficient_stock',
+        available: productRows[0].stock_quantity
+      });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE cart_items SET quantity = ? WHERE cart_id = ? AND product_id = ?',
+      [quantity, cart.id, req.params.productId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Product is not in the cart', code: 'not_in_cart' });
+    }
+
+    res.json(await getCartSummary(cart));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove product from cart
+app.delete('/api/cart/:token/items/:productId', async (req, res) => {
+  try {
+    const cart = await findCart(req.params.token);
+
+    await db.execute(
+      'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ?',
+      [cart.id, req.params.productId]
+    );
+
+    res.json(await getCartSummary(cart));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Shape a stored quote for API responses
+function formatQuote(quote, quoteId) {
+  const expiresAt = new Date(quote.expires_at);
+
+  return {
+    quote_id: quoteId,
+    expires_at: expiresAt.toISOString(),
+    seconds_remaining: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)),
+    gold_price_id: quote.gold_price_id,
+    gold_price_per_gram: parseFloat(quote.gold_price_per_gram),
+    items: typeof quote.items === 'string' ? JSON.parse(quote.items) : quote.items,
+    total: parseFloat(quote.total_amount),
+    currency: 'EGP',
+    used: Boolean(quote.used_at)
+  };
+}
+
+// Request a time-limited price quote for the cart
+app.post('/api/cart/:token/quote', async (req, res) => {
+  try {
+    const cart = await findCart(req.params.token);
+
+    const [items] = await db.execute(
+      'SELECT product_id, quantity FROM cart_items WHERE cart_id = ? ORDER BY added_at',
+      [cart.id]
+    );
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty', code: 'cart_empty' });
+    }
+
+    const [productRows] = await db.query(
+      'SELECT * FROM products WHERE id IN (?) AND is_active = TRUE',
+      [items.map(item => item.product_id)]
+    );
+    const productsById = new Map(productRows.map(product => [product.id, product]));
+
+    const missing = items.filter(item => !productsById.has(item.product_id));
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: 'Some items in the cart are no longer available',
+        code: 'items_unavailable',
+        unavailable: missing.map(item => ({ product_id: item.product_id, requested: item.quantity, available: 0 }))
+      });
+    }
+
+    // Snapshot the gold quotes - each line keeps the price of its own carat
+    const quotes = await getGoldQuotes();
+    const reference = GoldPriceCalculator.getCaratPrice('24K', quotes);
+    const lines = buildOrderLines(
+      items, productsById, quotes, await getPricingRules(), await getProductComponents([...productsById.keys()])
+    );
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000);
+    expiresAt.setMilliseconds(0); // signed expiry has second precision
+
+    const quote = {
+      id,
+      cart_id: cart.id,
+      gold_price_id: reference.goldPriceId,
+      gold_price_per_gram: Math.round(reference.pricePerGram * 100) / 100,
+      items: lines,
+      total_amount: sumLines(lines),
+      expires_at: expiresAt
+    };
+
+    await db.execute(
+      `INSERT INTO price_quotes
+       (id, cart_id, gold_price_id, gold_price_per_gram, items, total_amount, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        quote.id, quote.cart_id, quote.gold_price_id, quote.gold_price_per_gram,
+        JSON.stringify(quote.items), quote.total_amount, quote.expires_at
+      ]
+    );
+
+    res.json({ success: true, ...formatQuote(quote, signQuote(id, expiresAt)) });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a quote (rejects expired or tampered quote IDs)
+app.get('/api/quotes/:quoteId', async (req, res) => {
+  try {
+    const quote = await verifyQuote(req.params.quoteId);
+    res.json(formatQuote(quote, req.params.quoteId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Checkout - turns the cart into a pending order and reserves the stock.
+// Signed-in customers get the order in their history and may ship to a saved address.
+app.post('/api/cart/:token/checkout', identifyCustomer, async (req, res) => {
+  try {
+    const { notes, quote_id, trade_in_reference, address_id } = req.body;
+    const account = req.customer;
+    const address = address_id ? await findCustomerAddress(account, address_id) : null;
+
+    // Missing contact details come from the address, then the account
+    const customer_name = req.body.customer_name || address?.recipient_name || account?.name;
+    const customer_phone = req.body.customer_phone || address?.phone || account?.phone;
+    const customer_email = req.body.customer_email || account?.email;
+
+    if (!customer_name || !customer_phone) {
+      return res.status(400).json({ error: 'Customer name and phone are required', code: 'customer_details_required' });
+    }
+
+    const order = await withTransaction(async (conn) => {
+      const cart = await findCart(req.params.token, conn);
+
+      const [items] = await conn.execute(
+        'SELECT product_id, quantity FROM cart_items WHERE cart_id = ? ORDER BY added_at',
+        [cart.id]
+      );
+
+      if (items.length === 0) {
+        throw new HttpError(400, 'Cart is empty', { code: 'cart_empty' });
+      }
+
+      // Lock the product rows so concurrent checkouts cannot oversell
+      const [productRows] = await conn.query(
+        'SELECT * FROM products WHERE id IN (?) FOR UPDATE',
+        [items.map(item => item.product_id)]
+      );
+      const productsById = new Map(productRows.map(product => [product.id, product]));
+
+      const unavailable = items
+        .filter(item => {
+          const product = productsById.get(item.product_id);
+          return !product || !product.is_active || product.stock_quantity < item.quantity;
+        })
+        .map(item => ({
+          product_id: item.product_id,
+          requested: item.quantity,
+          available: productsById.get(item.product_id)?.is_active
+            ? productsById.get(item.product_id).stock_quantity
+            : 0
+        }));
+
+      if (unavailable.length > 0) {
+        throw new HttpError(409, 'Some items are no longer available in the requested quantity', {
+          code: 'items_unavailable',
+          unavailable
+        });
+      }
+
+      // A valid quote locks in the prices it was issued with
+      let lines;
+      let quote = null;
+
+      if (quote_id) {
+        quote = await verifyQuote(quote_id, conn, true);
+
+        if (quote.cart_id !== cart.id) {
+          throw new HttpError(400, 'Quote was issued for a different cart', { code: 'quote_invalid' });
+        }
+
+        if (quote.used_at) {
+          throw new HttpError(409, 'Quote has already been used for an order', { code: 'quote_used' });
+        }
+
+        lines = JSON.parse(quote.items);
+
+        const quoted = lines.map(line => `${line.product_id}x${line.quantity}`).sort().join(',');
+        const current = items.map(item => `${item.product_id}x${item.quantity}`).sort().join(',');
+        if (quoted !== current) {
+          throw new HttpError(409, 'Cart has changed since the quote was issued - please request a new quote', {
+            code: 'quote_cart_changed'
+          });
+        }
+      } else {
+        lines = buildOrderLines(
+          items, productsById, await getGoldQuotes(conn), await getPricingRules(conn),
+          await getProductComponents([...productsById.keys()], conn)
+        );
+      }
+
+      const totalAmount = sumLines(lines);
+
+      const orderNumber = `GS-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+      const [orderResult] = await conn.execute(
+        `INSERT INTO orders
+         (order_number, customer_id, customer_name, customer_phone, customer_email, shipping_address,
+          notes, status, total_amount, quote_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        [
+          orderNumber, account ? account.id : null, customer_name, customer_phone, customer_email || null,
+          address ? JSON.stringify(addressSnapshot(address)) : null, notes || null,
+          totalAmount, quote ? quote.id : null
+        ]
+      );
+
+      for (const line of lines) {
+        await conn.execute(
+          `INSERT INTO order_items
+           (order_id, product_id, product_name, quantity, carat, weight, gold_price_per_gram,
+            making_charges_percent, profit_margin_percent, gold_value, making_charges, base_cost,
+            vat_amount, unit_price, line_total, price_breakdown)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            orderResult.insertId, line.product_id, line.product_name, line.quantity, line.carat,
+            line.weight, line.gold_price_per_gram, line.making_charges_percent,
+            line.profit_margin_percent, line.price_breakdown.goldValue,
+            line.price_breakdown.makingCharges, line.price_breakdown.baseCost,
+            line.price_breakdown.vat || 0, line.unit_price, line.line_total,
+            JSON.stringify(line.price_breakdown)
+          ]
+        );
+
+        await recordStockMovement(conn, {
+          productId: line.product_id,
+          type: 'sold',
+          quantity: line.quantity,
+          reason: 'Checkout',
+          reference: orderNumber
+        });
+      }
+
+      if (quote) {
+        await conn.execute(
+          'UPDATE price_quotes SET used_at = NOW(), order_id = ? WHERE id = ?',
+          [orderResult.insertId, quote.id]
+        );
+      }
+
+      await conn.execute(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, note) VALUES (?, NULL, ?, ?)',
+        [orderResult.insertId, 'pending', 'Order placed']
+      );
+
+      // Trade-in credit belongs to the customer who sold the gold
+      let tradeIn = null;
+
+      if (trade_in_reference) {
+        const [owners] = await conn.execute(
+          'SELECT customer_phone FROM buyback_transactions WHERE reference = ?',
+          [trade_in_reference]
+        );
+
+        if (owners.length === 0 || owners[0].customer_phone !== customer_phone) {
+          throw new HttpError(404, 'Trade-in not found for this customer', { code: 'trade_in_not_found' });
+        }
+
+        tradeIn = await applyTradeIn(conn, trade_in_reference, {
+          id: orderResult.insertId,
+          total_amount: totalAmount,
+          trade_in_id: null
+        });
+      }
+
+      await conn.execute('DELETE FROM cart_items WHERE cart_id = ?', [cart.id]);
+
+      return {
+        id: orderResult.insertId,
+        order_number: orderNumber,
+        total_amount: totalAmount,
+        trade_in_credit: tradeIn ? tradeIn.credit_applied : 0,
+        amount_due: tradeIn ? tradeIn.amount_due : totalAmount,
+        quote_id: quote ? quote_id : null
+      };
+    });
+
+    res.json({
+      success: true,
+      message: `Order ${order.order_number} placed successfully`,
+      order
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List orders (ADMIN: owner, catalog-editor)
+app.get('/api/orders', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = `SELECT o.*, COUNT(oi.id) as line_count, COALESCE(SUM(oi.quantity), 0) as item_count
+                 FROM orders o
+                 LEFT JOIN order_items oi ON oi.order_id = o.id`;
+    const params = [];
+
+    if (status) {
+      query += ' WHERE o.status = ?';
+      params.push(status);
+    }
+
+    query += ' GROUP BY o.id ORDER BY o.created_at DESC LIMIT 200';
+
+    const [rows] = await db.execute(query, params);
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single order with items and status history (ADMIN: owner, catalog-editor)
+app.get('/api/orders/:id', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const [orderRows] = await db.execute(
+      `SELECT o.*, b.reference as trade_in_reference, o.total_amount - o.trade_in_credit as amount_due
+       FROM orders o
+       LEFT JOIN buyback_transactions b ON o.trade_in_id = b.id
+       WHERE o.id = ?`,
+      [req.params.id]
+    );
+
+    if (orderRows.length === 0) {
+      return res.status(404).json({ error: 'Order not found', code: 'order_not_found' });
+    }
+
+    const [items] = await db.execute(
+      'SELECT * FROM order_items WHERE order_id = ? ORDER BY id',
+      [req.params.id]
+    );
+    const [history] = await db.execute(
+      `SELECT h.*, u.username
+       FROM order_status_history h
+       LEFT JOIN admin_users u ON h.admin_user_id = u.id
+       WHERE h.order_id = ?
+       ORDER BY h.changed_at, h.id`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...orderRows[0],
+      shipping_address: orderRows[0].shipping_address ? JSON.parse(orderRows[0].shipping_address) : null,
+      items,
+      status_history: history,
+      allowed_transitions: ORDER_STATUS_TRANSITIONS[orderRows[0].status] || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move an order to its next status (ADMIN: owner, catalog-editor)
+app.put('/api/orders/:id/status', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!ORDER_STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        error: `Status must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      const [orderRows] = await conn.execute(
+        'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (orderRows.length === 0) {
+        throw new HttpError(404, 'Order not found', { code: 'order_not_found' });
+      }
+
+      const order = orderRows[0];
+
+      if (!ORDER_STATUS_TRANSITIONS[order.status].includes(status)) {
+        throw new HttpError(409, `Cannot change order from ${order.status} to ${status}`, {
+          allowed_transitions: ORDER_STATUS_TRANSITIONS[order.status]
+        });
+      }
+
+      // Cancelled orders give their pieces back to stock
+      if (status === 'cancelled') {
+        const [items] = await conn.execute(
+          'SELECT product_id, quantity FROM order_items WHERE order_id = ? AND product_id IS NOT NULL',
+          [order.id]
+        );
+
+        for (const item of items) {
+          await recordStockMovement(conn, {
+            productId: item.product_id,
+            type: 'returned',
+            quantity: item.quantity,
+            reason: 'Order cancelled',
+            reference: order.order_number,
+            adminUserId: req.admin.id
+          });
+        }
+
+        // Tracked pieces handed over for the order are in stock again
+        await conn.execute(
+          "UPDATE product_pieces SET status = 'in_stock', order_id = NULL WHERE order_id = ? AND status = 'sold'",
+          [order.id]
+        );
+
+        // ...and their trade-in credit back to the customer
+        if (order.trade_in_id) {
+          await conn.execute(
+            'UPDATE buyback_transactions SET credit_remaining = credit_remaining + ? WHERE id = ?',
+            [order.trade_in_credit, order.trade_in_id]
+          );
+        }
+      }
+
+      await conn.execute('UPDATE orders SET status = ? WHERE id = ?', [status, order.id]);
+      await conn.execute(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, note, admin_user_id) VALUES (?, ?, ?, ?, ?)',
+        [order.id, order.status, status, note || null, req.admin.id]
+      );
+
+      return { order_number: order.order_number, from: order.status };
+    });
+    auditChange(res, { action: 'orders.status', before: { status: result.from }, after: { status, note: note || null } });
+
+    res.json({
+      success: true,
+      message: `Order ${result.order_number} changed from ${result.from} to ${status}`,
+      status,
+      allowed_transitions: ORDER_STATUS_TRANSITIONS[status]
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Public fields of a customer account
+function customerProfile(customer) {
+  return {
+    id: customer.id,
+    email: customer.email,
+    name: customer.name,
+    phone: customer.phone,
+    created_at: customer.created_at
+  };
+}
+
+// Sign a customer in - returns the session token the client sends as X-Customer-Token
+async function startCustomerSession(customerId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.execute(
+    'INSERT INTO customer_sessions (customer_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [customerId, hashToken(token), expiresAt]
+  );
+
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+// Returns an error message, or null when the address fields are valid
+function validateAddress(fields) {
+  for (const field of ['recipient_name', 'phone', 'address_line1', 'city']) {
+    if (!fields[field] || !String(fields[field]).trim()) {
+      return 'Recipient name, phone, address and city are required';
+    }
+  }
+
+  const limits = {
+    label: 50, recipient_name: 255, phone: 50, address_line1: 255,
+    address_line2: 255, city: 100, governorate: 100, postal_code: 20
+  };
+
+  for (const [field, limit] of Object.entries(limits)) {
+    if (fields[field] && String(fields[field]).length > limit) {
+      return `${field} must be at most ${limit} characters`;
+    }
+  }
+
+  return null;
+}
+
+// A saved address of the signed-in customer (checkout and address routes)
+async function findCustomerAddress(customer, addressId, conn = db) {
+  if (!customer) {
+    throw new HttpError(401, 'Please sign in to use a saved address', { code: 'customer_authentication_required' });
+  }
+
+  const [rows] = await conn.execute(
+    'SELECT * FROM customer_addresses WHERE id = ? AND customer_id = ?',
+    [addressId, customer.id]
+  );
+
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Address not found', { code: 'address_not_found' });
+  }
+
+  return rows[0];
+}
+
+// The address as stored on an order, so later edits do not change past orders
+function addressSnapshot(address) {
+  const { label, recipient_name, phone, address_line1, address_line2, city, governorate, postal_code } = address;
+  return { label, recipient_name, phone, address_line1, address_line2, city, governorate, postal_code };
+}
+
+async function getCustomerAddresses(customerId) {
+  const [rows] = await db.execute(
+    'SELECT * FROM customer_addresses WHERE customer_id = ? ORDER BY is_default DESC, created_at',
+    [customerId]
+  );
+  return rows;
+}
+
+// Wishlist items with the price each was saved at and how it has moved since,
+// from the price changes price_history recorded after the item was added
+async function getWishlist(customerId) {
+  const [rows] = await db.execute(
+    `SELECT w.product_id, w.price_when_added, w.added_at,
+            p.name, p.name_ar, p.carat, p.weight, p.category, p.selling_price, p.stock_quantity, p.is_active,
+            COUNT(ph.id) as price_changes, MIN(ph.new_price) as lowest_price, MAX(ph.new_price) as highest_price
+     FROM wishlist_items w
+     JOIN products p ON w.product_id = p.id
+     LEFT JOIN price_history ph ON ph.product_id = w.product_id AND ph.changed_at >= w.added_at
+     WHERE w.customer_id = ?
+     GROUP BY w.id, p.id
+     ORDER BY w.added_at DESC`,
+    [customerId]
+  );
+
+  return rows.map(row => {
+    const savedPrice = Number(row.price_when_added);
+    const currentPrice = Number(row.selling_price);
+    const change = Math.round((currentPrice - savedPrice) * 100) / 100;
+
+    return {
+      product_id: row.product_id,
+      name: row.name,
+      name_ar: row.name_ar,
+      carat: row.carat,
+      weight: row.weight,
+      category: row.category,
+      available: Boolean(row.is_active) && row.stock_quantity > 0,
+      added_at: row.added_at,
+      price_when_added: savedPrice,
+      current_price: currentPrice,
+      price_change: change,
+      price_change_percent: savedPrice > 0 ? Math.round(change / savedPrice * 10000) / 100 : 0,
+      price_changes_since_added: row.price_changes,
+      lowest_price_since_added: Math.min(savedPrice, Number(row.lowest_price ?? currentPrice)),
+      highest_price_since_added: Math.max(savedPrice, Number(row.highest_price ?? currentPrice))
+    };
+  });
+}
+
+// 409 for a registration with an email that already has an account, counted
+// against the IP so registration cannot be used to check emails in bulk
+function emailTaken(req, res) {
+  takenEmailsByIp.fail(req.ip);
+  return res.status(409).json({ error: 'An account with this email already exists', code: 'email_taken' });
+}
+
+// Customer registration - signs the new customer in
+app.post('/api/account/register', async (req, res) => {
+  try {
+    const { name, phone, password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!name || !String(name).trim() || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required', code: 'registration_details_required' });
+    }
+
+    if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+      return res.status(400).json({ error: 'Valid email is required', code: 'invalid_email' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        code: 'password_too_short',
+        min_length: MIN_PASSWORD_LENGTH
+      });
+    }
+
+    const retryAfter = takenEmailsByIp.retryAfter(req.ip);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const [existing] = await db.execute('SELECT id FROM customers WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      return emailTaken(req, res);
+    }
+
+    const [result] = await db.execute(
+      'INSERT INTO customers (email, password_hash, name, phone, last_login_at) VALUES (?, ?, ?, ?, NOW())',
+      [email, await hashPassword(String(password)), String(name).trim().slice(0, 255), phone ? String(phone).slice(0, 50) : null]
+    );
+    const [rows] = await db.execute('SELECT * FROM customers WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      ...(await startCustomerSession(result.insertId)),
+      customer: customerProfile(rows[0])
+    });
+
+  } catch (error) {
+    // Another registration for the email got in while the password was hashed
+    if (error.code === 'ER_DUP_ENTRY') {
+      return emailTaken(req, res);
+    }
+    sendError(res, error);
+  }
+});
+
+// Customer login
+app.post('/api/account/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required', code: 'credentials_required' });
+    }
+
+    const retryAfter = Math.max(loginFailuresByEmail.retryAfter(email), loginFailuresByIp.retryAfter(req.ip));
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const [rows] = await db.execute(
+      'SELECT * FROM customers WHERE email = ? AND is_active = TRUE',
+      [email]
+    );
+
+    if (rows.length === 0 || !(await verifyPassword(String(password), rows[0].password_hash))) {
+      loginFailuresByEmail.fail(email);
+      loginFailuresByIp.fail(req.ip);
+      return res.status(401).json({ error: 'Invalid email or password', code: 'invalid_credentials' });
+    }
+
+    loginFailuresByEmail.reset(email);
+    await db.execute('UPDATE customers SET last_login_at = NOW() WHERE id = ?', [rows[0].id]);
+
+    res.json({
+      success: true,
+      ...(await startCustomerSession(rows[0].id)),
+      customer: customerProfile(rows[0])
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Customer logout - revokes the current session
+app.post('/api/account/logout', authenticateCustomer, async (req, res) => {
+  try {
+    await db.execute('DELETE FROM customer_sessions WHERE id = ?', [req.customer.session_id]);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Current customer
+app.get('/api/account', authenticateCustomer, (req, res) => {
+  res.json({ ...customerProfile(req.customer), expires_at: req.customer.expires_at });
+});
+
+// Update name and phone
+app.put('/api/account', authenticateCustomer, async (req, res) => {
+  try {
+    const { name, phone } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty', code: 'registration_details_required' });
+    }
+
+    await db.execute(
+      'UPDATE customers SET name = COALESCE(?, name), phone = COALESCE(?, phone) WHERE id = ?',
+      [
+        name === undefined ? null : String(name).trim().slice(0, 255),
+        phone === undefined ? null : String(phone).slice(0, 50),
+        req.customer.id
+      ]
+    );
+    const [rows] = await db.execute('SELECT * FROM customers WHERE id = ?', [req.customer.id]);
+
+    res.json({ success: true, customer: customerProfile(rows[0]) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Saved addresses, default first
+app.get('/api/account/addresses', authenticateCustomer, async (req, res) => {
+  try {
+    res.json(await getCustomerAddresses(req.customer.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Save an address (the first one becomes the default)
+app.post('/api/account/addresses', authenticateCustomer, async (req, res) => {
+  try {
+    const invalid = validateAddress(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid, code: 'invalid_address' });
+    }
+
+    await withTransaction(async (conn) => {
+      const [[{ count }]] = await conn.execute(
+        'SELECT COUNT(*) as count FROM customer_addresses WHERE customer_id = ? FOR UPDATE',
+        [req.customer.id]
+      );
+
+      if (count >= MAX_CUSTOMER_ADDRESSES) {
+        throw new HttpError(409, `At most ${MAX_CUSTOMER_ADDRESSES} addresses can be saved`, { code: 'address_limit' });
+      }
+
+      const isDefault = count === 0 || Boolean(req.body.is_default);
+      if (isDefault) {
+        await conn.execute('UPDATE customer_addresses SET is_default = FALSE WHERE customer_id = ?', [req.customer.id]);
+      }
+
+      const { label, recipient_name, phone, address_line1, address_line2, city, governorate, postal_code } = req.body;
+      await conn.execute(
+        `INSERT INTO customer_addresses
+         (customer_id, label, recipient_name, phone, address_line1, address_line2, city, governorate, postal_code, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.customer.id, label || null, recipient_name, phone, address_line1, address_line2 || null,
+          city, governorate || null, postal_code || null, isDefault
+        ]
+      );
+    });
+
+    res.status(201).json({ success: true, addresses: await getCustomerAddresses(req.customer.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Edit a saved address
+app.put('/api/account/addresses/:id', authenticateCustomer, async (req, res) => {
+  try {
+    await withTransaction(async (conn) => {
+      const address = await findCustomerAddress(req.customer, req.params.id, conn);
+      const updated = { ...address, ...req.body };
+
+      const invalid = validateAddress(updated);
+      if (invalid) {
+        throw new HttpError(400, invalid, { code: 'invalid_address' });
+      }
+
+      if (req.body.is_default) {
+        await conn.execute('UPDATE customer_addresses SET is_default = FALSE WHERE customer_id = ?', [req.customer.id]);
+      }
+
+      await conn.execute(
+        `UPDATE customer_addresses SET
+         label = ?, recipient_name = ?, phone = ?, address_line1 = ?, address_line2 = ?,
+         city = ?, governorate = ?, postal_code = ?, is_default = ?
+         WHERE id = ?`,
+        [
+          updated.label || null, updated.recipient_name, updated.phone, updated.address_line1,
+          updated.address_line2 || null, updated.city, updated.governorate || null, updated.postal_code || null,
+          Boolean(req.body.is_default) || Boolean(address.is_default), address.id
+        ]
+      );
+    });
+
+    res.json({ success: true, addresses: await getCustomerAddresses(req.customer.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a saved address - the oldest remaining one becomes the default
+app.delete('/api/account/addresses/:id', authenticateCustomer, async (req, res) => {
+  try {
+    await withTransaction(async (conn) => {
+      const address = await findCustomerAddress(req.customer, req.params.id, conn);
+
+      await conn.execute('DELETE FROM customer_addresses WHERE id = ?', [address.id]);
+
+      if (address.is_default) {
+        await conn.execute(
+          'UPDATE customer_addresses SET is_default = TRUE WHERE customer_id = ? ORDER BY created_at, id LIMIT 1',
+          [req.customer.id]
+        );
+      }
+    });
+
+    res.json({ success: true, addresses: await getCustomerAddresses(req.customer.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Wishlist with each item's price movement since it was saved
+app.get('/api/account/wishlist', authenticateCustomer, async (req, res) => {
+  try {
+    res.json(await getWishlist(req.customer.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Save a product to the wishlist at its current price (saving it again keeps the original price)
+app.post('/api/account/wishlist', authenticateCustomer, async (req, res) => {
+  try {
+    const [products] = await db.execute(
+      'SELECT id, selling_price FROM products WHERE id = ? AND is_active = TRUE',
+      [parseInt(req.body.product_id) || 0]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+    }
+
+    await db.execute(
+      `INSERT INTO wishlist_items (customer_id, product_id, price_when_added) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = id`,
+      [req.customer.id, products[0].id, products[0].selling_price]
+    );
+
+    res.status(201).json({ success: true, wishlist: await getWishlist(req.customer.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove a product from the wishlist
+app.delete('/api/account/wishlist/:productId', authenticateCustomer, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'DELETE FROM wishlist_items WHERE customer_id = ? AND product_id = ?',
+      [req.customer.id, req.params.productId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Product is not in the wishlist', code: 'not_in_wishlist' });
+    }
+
+    res.json({ success: true, wishlist: await getWishlist(req.customer.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Order history of the signed-in customer, newest first
+app.get('/api/account/orders', authenticateCustomer, async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT o.id, o.order_number, o.status, o.total_amount, o.trade_in_credit,
+              o.total_amount - o.trade_in_credit as amount_due, o.currency, o.created_at,
+              COUNT(oi.id) as line_count, COALESCE(SUM(oi.quantity), 0) as item_count
+       FROM orders o
+       LEFT JOIN order_items oi ON oi.order_id = o.id
+       WHERE o.customer_id = ?
+       GROUP BY o.id
+       ORDER BY o.created_at DESC`,
+      [req.customer.id]
+    );
+    res.json(rows);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// One of the customer's orders with its items, address and status trail
+app.get('/api/account/orders/:id', authenticateCustomer, async (req, res) => {
+  try {
+    const [orderRows] = await db.execute(
+      `SELECT id, order_number, status, customer_name, customer_phone, customer_email, shipping_address,
+              notes, total_amount, trade_in_credit, total_amount - trade_in_credit as amount_due,
+              currency, created_at, updated_at
+       FROM orders
+       WHERE id = ? AND customer_id = ?`,
+      [req.params.id, req.customer.id]
+    );
+
+    if (orderRows.length === 0) {
+      return res.status(404).json({ error: 'Order not found', code: 'order_not_found' });
+    }
+
+    const [items] = await db.execute(
+      `SELECT product_id, product_name, quantity, carat, weight, unit_price, line_total, price_breakdown
+       FROM order_items WHERE order_id = ? ORDER BY id`,
+      [req.params.id]
+    );
+    const [history] = await db.execute(
+      `SELECT from_status, to_status, changed_at
+       FROM order_status_history
+       WHERE order_id = ?
+       ORDER BY changed_at, id`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...orderRows[0],
+      shipping_address: orderRows[0].shipping_address ? JSON.parse(orderRows[0].shipping_address) : null,
+      items: items.map(item => ({
+        ...item,
+        price_breakdown: item.price_breakdown ? JSON.parse(item.price_breakdown) : null
+      })),
+      status_history: history
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Subscribe to a price alert. Webhook URLs must reach a public address;
+// email alerts stay inactive until the link sent to the address is opened.
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const { email, webhook_url, carat, product_id, direction, threshold } = req.body;
+
+    if (Boolean(email) === Boolean(webhook_url)) {
+      return res.status(400).json({ error: 'Provide either an email or a webhook_url', code: 'alert_channel_required' });
+    }
+
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Valid email is required', code: 'invalid_email' });
+    }
+
+    if (webhook_url) {
+      try {
+        await assertPublicUrl(webhook_url);
+      } catch (error) {
+        return res.status(400).json({
+          error: `webhook_url must be a public http(s) URL: ${error.message}`,
+          code: 'invalid_webhook_url'
+        });
+      }
+    }
+
+    if (Boolean(carat) === Boolean(product_id)) {
+      return res.status(400).json({ error: 'Provide either a carat or a product_id to watch', code: 'alert_target_required' });
+    }
+
+    if (carat && !GoldPriceCalculator.CARAT_FACTORS[carat]) {
+      return res.status(400).json({
+        error: `Unknown carat ${carat}. Use one of: ${Object.keys(GoldPriceCalculator.CARAT_FACTORS).join(', ')}`,
+        code: 'unknown_carat'
+      });
+    }
+
+    if (!['above', 'below'].includes(direction)) {
+      return res.status(400).json({ error: 'Direction must be above or below', code: 'invalid_direction' });
+    }
+
+    if (!threshold || isNaN(threshold) || parseFloat(threshold) <= 0) {
+      return res.status(400).json({ error: 'Valid threshold price is required', code: 'invalid_threshold' });
+    }
+
+    let watched = { carat, product_id: null };
+
+    if (product_id) {
+      const [productRows] = await db.execute(
+        'SELECT id, name, selling_price, is_active as product_active FROM products WHERE id = ? AND is_active = TRUE',
+        [product_id]
+      );
+
+      if (productRows.length === 0) {
+        return res.status(404).json({ error: 'Product not found', code: 'product_not_found' });
+      }
+
+      watched = { carat: null, product_id: productRows[0].id, ...productRows[0] };
+    }
+
+    // Start in the current state, so the first notification is a real crossing
+    const currentPrice = alertPrice({ ...watched, product_active: true }, await getGoldQuotes());
+    const alreadyMet = alertConditionMet({ direction, threshold }, currentPrice);
+    const unsubscribeToken = crypto.randomBytes(16).toString('hex');
+    const confirmToken = email ? crypto.randomBytes(16).toString('hex') : null;
+
+    const [result] = await db.execute(
+      `INSERT INTO price_alerts
+       (channel, email, webhook_url, carat, product_id, direction, threshold, is_triggered,
+        unsubscribe_token, confirm_token, confirmed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${email ? 'NULL' : 'NOW()'})`,
+      [
+        email ? 'email' : 'webhook',
+        email || null,
+        webhook_url || null,
+        watched.carat,
+        watched.product_id,
+        direction,
+        parseFloat(threshold),
+        alreadyMet,
+        unsubscribeToken,
+        confirmToken
+      ]
+    );
+
+    // The confirm link only ever goes to the inbox, never back in this response
+    if (email) {
+      try {
+        await sendAlertConfirmation({ email, direction, threshold, watched, confirmToken });
+      } catch (error) {
+        await db.execute('DELETE FROM price_alerts WHERE id = ?', [result.insertId]);
+        console.error(`❌ Alert confirmation to ${email} failed:`, error.message);
+        throw new HttpError(503, 'Could not send the confirmation email - please try again later');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: email
+        ? `Check ${email} and open the link we sent to start this alert`
+        : alreadyMet
+          ? `The price is already ${direction} ${threshold} EGP. We will notify you the next time it crosses.`
+          : `We will notify you when the price goes ${direction} ${threshold} EGP`,
+      id: result.insertId,
+      current_price: currentPrice,
+      already_met: alreadyMet,
+      confirmation_required: Boolean(email),
+      unsubscribe_token: unsubscribeToken,
+      unsubscribe_url: `${PUBLIC_API_URL}/api/alerts/unsubscribe/${unsubscribeToken}`
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Confirm an email price alert (link sent when subscribing)
+app.get('/api/alerts/confirm/:token', async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE price_alerts SET confirmed_at = COALESCE(confirmed_at, NOW()) WHERE confirm_token = ? AND is_active = TRUE',
+      [req.params.token]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true, message: 'Your price alert is confirmed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unsubscribe from a price alert (link sent with every notification)
+app.get('/api/alerts/unsubscribe/:token', async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE price_alerts SET is_active = FALSE WHERE unsubscribe_token = ?',
+      [req.params.token]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true, message: 'You have been unsubscribed from this price alert' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List price alerts with delivery counts (OWNER ONLY)
+app.get('/api/admin/alerts', requireRole(), async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT a.id, a.channel, a.email, a.webhook_url, a.carat, a.product_id, a.direction,
+              a.threshold, a.is_active, a.confirmed_at, a.is_triggered, a.trigger_count,
+              a.last_triggered_at, a.created_at,
+              SUM(d.status = 'sent') as sent_count, SUM(d.status = 'failed') as failed_count
+       FROM price_alerts a
+       LEFT JOIN alert_deliveries d ON d.alert_id = a.id
+       GROUP BY a.id
+       ORDER BY a.created_at DESC
+       LIMIT 500`
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Receive goods into stock, optionally as individually weighed pieces (ADMIN: owner, catalog-editor)
+app.post('/api/inventory/receive', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { product_id, pieces, reason, reference } = req.body;
+    const quantity = pieces ? pieces.length : parseInt(req.body.quantity);
+    auditChange(res, { entityType: 'products', entityId: product_id, action: 'inventory.receive' });
+
+    if (!product_id || !(quantity > 0)) {
+      return res.status(400).json({ error: 'Product and a positive quantity (or a list of pieces) are required' });
+    }
+
+    if (pieces && pieces.some(piece => !piece.serial_number || !(parseFloat(piece.weight) > 0))) {
+      return res.status(400).json({ error: 'Every piece needs a serial_number and a positive weight' });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      const [productRows] = await conn.execute(
+        'SELECT id, stock_quantity FROM products WHERE id = ? FOR UPDATE',
+        [product_id]
+      );
+
+      if (productRows.length === 0) {
+        throw new HttpError(404, 'Product not found', { code: 'product_not_found' });
+      }
+
+      const movement = {
+        productId: product_id,
+        type: 'received',
+        reason: reason || 'Goods received',
+        reference,
+        adminUserId: req.admin.id
+      };
+
+      if (!pieces) {
+        await recordStockMovement(conn, { ...movement, quantity });
+        return { pieces: [] };
+      }
+
+      const received = [];
+
+      for (const piece of pieces) {
+        const [existing] = await conn.execute(
+          'SELECT id FROM product_pieces WHERE serial_number = ?',
+          [piece.serial_number]
+        );
+
+        if (existing.length > 0) {
+          throw new HttpError(409, `Serial number ${piece.serial_number} is already registered`);
+        }
+
+        const [pieceResult] = await conn.execute(
+          'INSERT INTO product_pieces (product_id, serial_number, weight) VALUES (?, ?, ?)',
+          [product_id, piece.serial_number, parseFloat(piece.weight)]
+        );
+
+        await recordStockMovement(conn, { ...movement, quantity: 1, pieceId: pieceResult.insertId });
+        received.push({ id: pieceResult.insertId, serial_number: piece.serial_number });
+      }
+
+      return { pieces: received };
+    });
+
+    res.json({
+      success: true,
+      message: `Received ${quantity} item(s) into stock`,
+      quantity,
+      pieces: result.pieces
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Record an adjustment, transfer out or return (ADMIN: owner, catalog-editor)
+app.post('/api/inventory/movements', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { product_id, type, reason, reference, piece_id } = req.body;
+    const quantity = piece_id ? 1 : parseInt(req.body.quantity);
+    auditChange(res, { entityType: 'products', entityId: product_id, action: `inventory.${String(type).slice(0, 50)}` });
+
+    // received and sold have their own flows (receiving and checkout)
+    if (!['adjusted', 'transferred', 'returned'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be adjusted, transferred or returned' });
+    }
+
+    if (!product_id || isNaN(quantity) || quantity === 0) {
+      return res.status(400).json({ error: 'Product and a non-zero quantity are required' });
+    }
+
+    if (type !== 'adjusted' && quantity < 0) {
+      return res.status(400).json({ error: 'Quantity must be positive for transfers and returns' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required for stock movements' });
+    }
+
+    if (type === 'adjusted' && piece_id) {
+      return res.status(400).json({ error: 'Adjust individual pieces by transferring or returning them' });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      const [productRows] = await conn.execute(
+        'SELECT id, stock_quantity FROM products WHERE id = ? FOR UPDATE',
+        [product_id]
+      );
+
+      if (productRows.length === 0) {
+        throw new HttpError(404, 'Product not found', { code: 'product_not_found' });
+      }
+
+      const delta = type === 'adjusted' ? quantity : STOCK_MOVEMENT_DIRECTIONS[type] * quantity;
+      if (productRows[0].stock_quantity + delta < 0) {
+        throw new HttpError(409, `Only ${productRows[0].stock_quantity} in stock`, {
+          available: productRows[0].stock_quantity
+        });
+      }
+
+      if (piece_id) {
+        const expected = type === 'transferred' ? 'in_stock' : null;
+        const [pieceRows] = await conn.execute(
+          'SELECT * FROM product_pieces WHERE id = ? AND product_id = ? FOR UPDATE',
+          [piece_id, product_id]
+        );
+
+        if (pieceRows.length === 0) {
+          throw new HttpError(404, 'Piece not found for this product');
+        }
+
+        if (expected ? pieceRows[0].status !== expected : pieceRows[0].status === 'in_stock') {
+          throw new HttpError(409, `Piece ${pieceRows[0].serial_number} is ${pieceRows[0].status}`);
+        }
+
+        await conn.execute(
+          'UPDATE product_pieces SET status = ? WHERE id = ?',
+          [type === 'transferred' ? 'transferred' : 'in_stock', piece_id]
+        );
+      }
+
+      await recordStockMovement(conn, {
+        productId: product_id,
+        type,
+        quantity,
+        reason,
+        reference,
+        pieceId: piece_id,
+        adminUserId: req.admin.id
+      });
+
+      return { stock_quantity: productRows[0].stock_quantity + delta };
+    });
+
+    res.json({
+      success: true,
+      message: `Stock ${type} recorded`,
+      stock_quantity: result.stock_quantity
+    });
+
+  } catch (error) {
+    sendError(res, error);
   }
-}
+});
 
-// Initialize with default data
-async function initializeDefaultData() {
+// Mark a tracked piece as the one handed over for an order (ADMIN: owner, catalog-editor)
+// The sale itself was already counted in the ledger at checkout.
+app.put('/api/inventory/pieces/:id', requireRole('catalog-editor'), async (req, res) => {
   try {
-    // Check if gold_prices has data
-    const [priceRows] = await db.execute('SELECT COUNT(*) as count FROM gold_prices');
-    if (priceRows[0].count === 0) {
-      await db.execute(
-        'INSERT INTO gold_prices (price_per_gram) VALUES (?)',
-        [3000.00]
-      );
-      console.log('💰 Default gold price inserted: 3000 EGP/g');
+    const { order_id } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({ error: 'order_id is required' });
     }
-    
-    // Check if products has data
-    const [productRows] = await db.execute('SELECT COUNT(*) as count FROM products');
-    if (productRows[0].count === 0) {
-      console.log('📦 No products found. Adding sample products...');
-      
-      const sampleProducts = [
-        ['24K Gold Necklace', 'Premium 24K gold necklace', 10.5, '24K', 7.5, 15.0, 'Necklace'],
-        ['22K Gold Bracelet', 'Elegant 22K gold bracelet', 8.2, '22K', 5.0, 12.0, 'Bracelet'],
-        ['18K Gold Ring', 'Beautiful 18K gold ring', 3.5, '18K', 10.0, 20.0, 'Ring'],
-        ['21K Gold Earrings', 'Stylish 21K gold earrings', 5.0, '21K', 8.0, 18.0, 'Earrings']
-      ];
-      
-      // Get current gold price
-      const [currentPrice] = await db.execute(
-        'SELECT price_per_gram FROM gold_prices ORDER BY updated_at DESC LIMIT 1'
+
+    const piece = await withTransaction(async (conn) => {
+      const [orderRows] = await conn.execute('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [order_id]);
+      if (orderRows.length === 0) {
+        throw new HttpError(404, 'Order not found', { code: 'order_not_found' });
+      }
+      if (orderRows[0].status === 'cancelled') {
+        throw new HttpError(409, 'Order is cancelled');
+      }
+
+      const [pieceRows] = await conn.execute('SELECT * FROM product_pieces WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (pieceRows.length === 0) {
+        throw new HttpError(404, 'Piece not found');
+      }
+      if (pieceRows[0].status !== 'in_stock') {
+        throw new HttpError(409, `Piece ${pieceRows[0].serial_number} is ${pieceRows[0].status}`);
+      }
+
+      // One piece per unit ordered
+      const [[{ ordered }]] = await conn.execute(
+        'SELECT COALESCE(SUM(quantity), 0) as ordered FROM order_items WHERE order_id = ? AND product_id = ?',
+        [order_id, pieceRows[0].product_id]
       );
-      const goldPrice = currentPrice[0]?.price_per_gram || 3000;
-      
-      for (const product of sampleProducts) {
-        const priceInfo = GoldPriceCalculator.calculatePrice(
-          {
-            weight: product[2],
-            carat: product[3],
-            making_charges: product[4],
-            profit_margin: product[5]
-          },
-          goldPrice
-        );
-        
-        await db.execute(
-          `INSERT INTO products 
-           (name, description, weight, carat, making_charges, profit_margin, selling_price, category)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [...product.slice(0, -1), priceInfo.sellingPrice, product[6]]
-        );
+      const [[{ assigned }]] = await conn.execute(
+        'SELECT COUNT(*) as assigned FROM product_pieces WHERE order_id = ? AND product_id = ?',
+        [order_id, pieceRows[0].product_id]
+      );
+
+      if (Number(ordered) === 0) {
+        throw new HttpError(409, 'The order does not contain this product');
+      }
+      if (assigned >= Number(ordered)) {
+        throw new HttpError(409, `All ${ordered} ordered pieces of this product are already assigned`);
       }
-      
-      console.log('✅ Sample products added');
-    }
-    
-  } catch (error) {
-    console.error('❌ Error initializing default data:', error.message);
-  }
-}
 
-// API Endpoints
+      await conn.execute(
+        "UPDATE product_pieces SET status = 'sold', order_id = ? WHERE id = ?",
+        [order_id, pieceRows[0].id]
+      );
+      return pieceRows[0];
+    });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: '✅ Online',
-    service: 'Gold E-Commerce API',
-    database: db ? 'Connected' : 'Disconnected',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
+    auditChange(res, {
+      entityType: 'product_pieces',
+      before: { status: 'in_stock' },
+      after: { status: 'sold', order_id }
+    });
+    res.json({ success: true, message: `Piece ${piece.serial_number} assigned to order` });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
-// Get current gold price
-app.get('/api/gold-price', async (req, res) => {
+// Stock ledger for a product (ADMIN: owner, catalog-editor)
+app.get('/api/products/:id/stock-movements', requireRole('catalog-editor'), async (req, res) => {
   try {
     const [rows] = await db.execute(
-      'SELECT * FROM gold_prices ORDER BY updated_at DESC LIMIT 1'
+      `SELECT m.*, u.username, pp.serial_number
+       FROM stock_movements m
+       LEFT JOIN admin_users u ON m.admin_user_id = u.id
+       LEFT JOIN product_pieces pp ON m.piece_id = pp.id
+       WHERE m.product_id = ?
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT 200`,
+      [req.params.id]
     );
-    res.json(rows[0] || { price_per_gram: 0, carat: '24K', currency: 'EGP' });
+    res.json(rows);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update gold price (ADMIN ONLY)
-app.post('/api/gold-price', async (req, res) => {
+// Individually tracked pieces of a product (ADMIN: owner, catalog-editor)
+app.get('/api/products/:id/pieces', requireRole('catalog-editor'), async (req, res) => {
   try {
-    const { price_per_gram, carat = '24K' } = req.body;
-    
-    if (!price_per_gram || isNaN(price_per_gram)) {
-      return res.status(400).json({ error: 'Valid price is required' });
-    }
-    
-    // Insert new price
-    await db.execute(
-      'INSERT INTO gold_prices (price_per_gram, carat) VALUES (?, ?)',
-      [parseFloat(price_per_gram), carat]
-    );
-    
-    // Get all active products
-    const [products] = await db.execute(
-      'SELECT * FROM products WHERE is_active = TRUE'
-    );
-    
-    const updateResults = [];
-    
-    for (const product of products) {
-      const priceInfo = GoldPriceCalculator.calculatePrice(
-        product,
-        parseFloat(price_per_gram)
-      );
-      
-      // Save to price history
-      await db.execute(
-        'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram) VALUES (?, ?, ?, ?)',
-        [product.id, product.selling_price, priceInfo.sellingPrice, price_per_gram]
-      );
-      
-      // Update product price
-      await db.execute(
-        'UPDATE products SET selling_price = ?, updated_at = NOW() WHERE id = ?',
-        [priceInfo.sellingPrice, product.id]
-      );
-      
-      updateResults.push({
-        id: product.id,
-        name: product.name,
-        old_price: product.selling_price,
-        new_price: priceInfo.sellingPrice,
-        change: ((priceInfo.sellingPrice - product.selling_price) / product.selling_price * 100).toFixed(2) + '%'
-      });
+    const { status } = req.query;
+
+    let query = 'SELECT * FROM product_pieces WHERE product_id = ?';
+    const params = [req.params.id];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
     }
-    
-    res.json({
-      success: true,
-      message: `Gold price updated to ${price_per_gram} EGP/g`,
-      updated_products: updateResults.length,
-      details: updateResults
-    });
-    
+
+    query += ' ORDER BY received_at DESC, id DESC';
+
+    const [rows] = await db.execute(query, params);
+    res.json(rows);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get all products
-app.get('/api/products', async (req, res) => {
+// Products at or below their reorder threshold (ADMIN: owner, catalog-editor)
+app.get('/api/inventory/low-stock', requireRole('catalog-editor'), async (req, res) => {
   try {
     const [rows] = await db.execute(
-      'SELECT * FROM products WHERE is_active = TRUE ORDER BY created_at DESC'
+      `SELECT id, name, category, carat, stock_quantity, reorder_threshold,
+              reorder_threshold - stock_quantity as shortfall
+       FROM products
+       WHERE is_active = TRUE AND reorder_threshold > 0 AND stock_quantity <= reorder_threshold
+       ORDER BY shortfall DESC, name`
     );
     res.json(rows);
   } catch (error) {
@@ -311,229 +5679,241 @@ app.get('/api/products', async (req, res) => {
   }
 });
 
-// Get single product
-app.get('/api/products/:id', async (req, res) => {
+// Compare stock_quantity with the ledger and tracked pieces (ADMIN: owner, catalog-editor)
+app.get('/api/inventory/reconcile', requireRole('catalog-editor'), async (req, res) => {
   try {
     const [rows] = await db.execute(
-      'SELECT * FROM products WHERE id = ? AND is_active = TRUE',
-      [req.params.id]
+      `SELECT p.id, p.name, p.stock_quantity,
+              COALESCE(m.ledger_quantity, 0) as ledger_quantity,
+              pc.tracked_pieces, pc.in_stock_pieces
+       FROM products p
+       LEFT JOIN (
+         SELECT product_id, SUM(quantity) as ledger_quantity FROM stock_movements GROUP BY product_id
+       ) m ON m.product_id = p.id
+       LEFT JOIN (
+         SELECT product_id, COUNT(*) as tracked_pieces, SUM(status = 'in_stock') as in_stock_pieces
+         FROM product_pieces GROUP BY product_id
+       ) pc ON pc.product_id = p.id
+       ORDER BY p.name`
     );
-    
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    
-    res.json(rows[0]);
+
+    const mismatches = rows.filter(row => (
+      row.stock_quantity !== Number(row.ledger_quantity) ||
+      (row.tracked_pieces > 0 && Number(row.in_stock_pieces) !== row.stock_quantity)
+    ));
+
+    res.json({
+      checked_products: rows.length,
+      mismatches: mismatches.map(row => ({
+        ...row,
+        ledger_quantity: Number(row.ledger_quantity),
+        in_stock_pieces: row.tracked_pieces > 0 ? Number(row.in_stock_pieces) : null
+      }))
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add new product (ADMIN)
-app.post('/api/products', async (req, res) => {
+// Buyback deductions (ADMIN: owner)
+app.get('/api/buyback/settings', requireRole(), async (req, res) => {
   try {
-    const { name, weight, carat, making_charges, profit_margin, category, description, stock_quantity } = req.body;
-    
-    // Validate required fields
-    if (!name || !weight || !carat) {
-      return res.status(400).json({ 
-        error: 'Name, weight, and carat are required' 
-      });
-    }
-    
-    // Get current gold price
-    const [priceRows] = await db.execute(
-      'SELECT price_per_gram FROM gold_prices ORDER BY updated_at DESC LIMIT 1'
-    );
-    const goldPrice = priceRows[0]?.price_per_gram || 3000;
-    
-    // Calculate selling price
-    const priceInfo = GoldPriceCalculator.calculatePrice(
-      { weight, carat, making_charges: making_charges || 5, profit_margin: profit_margin || 10 },
-      goldPrice
-    );
-    
-    // Insert product
-    const [result] = await db.execute(
-      `INSERT INTO products 
-       (name, description, weight, carat, making_charges, profit_margin, selling_price, category, stock_quantity)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        name,
-        description || '',
-        weight,
-        carat,
-        making_charges || 5.00,
-        profit_margin || 10.00,
-        priceInfo.sellingPrice,
-        category || 'Uncategorized',
-        stock_quantity || 0
-      ]
-    );
-    
-    res.json({
-      success: true,
-      message: 'Product added successfully',
-      id: result.insertId,
-      selling_price: priceInfo.sellingPrice,
-      price_breakdown: priceInfo
-    });
-    
+    res.json(await getSetting('buyback', DEFAULT_BUYBACK_SETTINGS));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update product (ADMIN)
-app.put('/api/products/:id', async (req, res) => {
+// Update buyback deductions (ADMIN: owner)
+app.put('/api/buyback/settings', requireRole(), async (req, res) => {
   try {
-    const { name, weight, carat, making_charges, profit_margin, category, description, stock_quantity, is_active } = req.body;
-    
-    // Get current product
-    const [productRows] = await db.execute(
-      'SELECT * FROM products WHERE id = ?',
-      [req.params.id]
-    );
-    
-    if (productRows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
+    const current = await getSetting('buyback', DEFAULT_BUYBACK_SETTINGS);
+    const settings = { ...current };
+
+    for (const field of ['melting_loss_percent', 'default_spread_percent', 'testing_fee']) {
+      if (req.body[field] !== undefined) {
+        const value = parseFloat(req.body[field]);
+        if (isNaN(value) || value < 0 || (field !== 'testing_fee' && value >= 100)) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        settings[field] = value;
+      }
     }
-    
-    const product = productRows[0];
-    
-    // If weight, carat, making_charges, or profit_margin changed, recalculate price
-    let sellingPrice = product.selling_price;
-    
-    if (weight || carat || making_charges || profit_margin) {
-      const [priceRows] = await db.execute(
-        'SELECT price_per_gram FROM gold_prices ORDER BY updated_at DESC LIMIT 1'
-      );
-      const goldPrice = priceRows[0]?.price_per_gram || 3000;
-      
-      const priceInfo = GoldPriceCalculator.calculatePrice(
-        {
-          weight: weight || product.weight,
-          carat: carat || product.carat,
-          making_charges: making_charges || product.making_charges,
-          profit_margin: profit_margin || product.profit_margin
-        },
-        goldPrice
-      );
-      
-      sellingPrice = priceInfo.sellingPrice;
-      
-      // Save to price history
-      await db.execute(
-        'INSERT INTO price_history (product_id, old_price, new_price, gold_price_per_gram) VALUES (?, ?, ?, ?)',
-        [product.id, product.selling_price, sellingPrice, goldPrice]
-      );
+
+    if (req.body.spread_percent !== undefined) {
+      const entries = Object.entries(req.body.spread_percent || {});
+      const invalid = entries.find(([carat, value]) => (
+        !GoldPriceCalculator.CARAT_FACTORS[carat] || !(parseFloat(value) >= 0 && parseFloat(value) < 100)
+      ));
+
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid spread for ${invalid[0]}` });
+      }
+
+      settings.spread_percent = Object.fromEntries(entries.map(([carat, value]) => [carat, parseFloat(value)]));
     }
-    
-    // Update product
-    await db.execute(
-      `UPDATE products SET
-       name = COALESCE(?, name),
-       description = COALESCE(?, description),
-       weight = COALESCE(?, weight),
-       carat = COALESCE(?, carat),
-       making_charges = COALESCE(?, making_charges),
-       profit_margin = COALESCE(?, profit_margin),
-       selling_price = ?,
-       category = COALESCE(?, category),
-       stock_quantity = COALESCE(?, stock_quantity),
-       is_active = COALESCE(?, is_active),
-       updated_at = NOW()
-       WHERE id = ?`,
-      [
-        name, description, weight, carat, making_charges, profit_margin,
-        sellingPrice, category, stock_quantity, is_active, req.params.id
-      ]
-    );
-    
-    res.json({
-      success: true,
-      message: 'Product updated successfully',
-      new_price: sellingPrice
-    });
-    
+
+    await saveSetting('buyback', settings, req.admin.id);
+    auditChange(res, { entityType: 'app_settings', entityId: 'buyback', before: current, after: settings });
+
+    res.json({ success: true, message: 'Buyback settings updated', settings });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get price history for a product
-app.get('/api/products/:id/price-history', async (req, res) => {
+// Value a customer's gold at the current price (no record is kept)
+app.post('/api/buyback/quote', async (req, res) => {
   try {
-    const [rows] = await db.execute(
-      `SELECT ph.*, p.name as product_name 
-       FROM price_history ph
-       JOIN products p ON ph.product_id = p.id
-       WHERE ph.product_id = ?
-       ORDER BY ph.changed_at DESC
-       LIMIT 50`,
-      [req.params.id]
-    );
-    res.json(rows);
+    const validationError = validateBuybackItem(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const item = { weight: parseFloat(req.body.weight), carat: req.body.carat };
+    const settings = await getSetting('buyback', DEFAULT_BUYBACK_SETTINGS);
+    const valuation = GoldPriceCalculator.calculateBuyback(item, await getGoldQuotes(), settings);
+
+    res.json({ ...item, valuation });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Search products
-app.get('/api/search/products', async (req, res) => {
+// Record an accepted buyback, paid out in cash or held as trade-in credit
+// (ADMIN: any role - buybacks happen at the counter)
+app.post('/api/buyback', requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
-    const { q, category, min_price, max_price, carat } = req.query;
-    
-    let query = 'SELECT * FROM products WHERE is_active = TRUE';
-    const params = [];
-    
-    if (q) {
-      query += ' AND (name LIKE ? OR description LIKE ?)';
-      params.push(`%${q}%`, `%${q}%`);
-    }
-    
-    if (category) {
-      query += ' AND category = ?';
-      params.push(category);
+    const { customer_name, customer_phone, description, notes, order_id } = req.body;
+    const settlement = req.body.settlement || (order_id ? 'credit' : 'cash');
+
+    const validationError = validateBuybackItem(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-    
-    if (carat) {
-      query += ' AND carat = ?';
-      params.push(carat);
+
+    if (!customer_name || !customer_phone) {
+      return res.status(400).json({ error: 'Customer name and phone are required', code: 'customer_details_required' });
     }
-    
-    if (min_price) {
-      query += ' AND selling_price >= ?';
-      params.push(parseFloat(min_price));
+
+    if (!['cash', 'credit'].includes(settlement)) {
+      return res.status(400).json({ error: 'Settlement must be cash or credit' });
     }
-    
-    if (max_price) {
-      query += ' AND selling_price <= ?';
-      params.push(parseFloat(max_price));
+
+    if (order_id && settlement !== 'credit') {
+      return res.status(400).json({ error: 'Only credit trade-ins can be applied to an order' });
     }
-    
-    query += ' ORDER BY created_at DESC';
-    
-    const [rows] = await db.execute(query, params);
-    res.json(rows);
-    
+
+    const item = { weight: parseFloat(req.body.weight), carat: req.body.carat };
+
+    const result = await withTransaction(async (conn) => {
+      const settings = await getSetting('buyback', DEFAULT_BUYBACK_SETTINGS, conn);
+      const valuation = GoldPriceCalculator.calculateBuyback(item, await getGoldQuotes(conn), settings);
+
+      if (valuation.payout <= 0) {
+        throw new HttpError(400, 'Item is worth less than the buyback deductions');
+      }
+
+      const reference = `BB-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+      await conn.execute(
+        `INSERT INTO buyback_transactions
+         (reference, customer_name, customer_phone, description, weight, carat, gold_price_per_gram,
+          gold_price_id, gold_value, melting_loss, spread_deduction, testing_fee, payout_amount,
+          settlement, credit_remaining, notes, admin_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          reference, customer_name, customer_phone, description || null, item.weight, item.carat,
+          valuation.goldPricePerGram, valuation.goldPriceId, valuation.goldValue,
+          valuation.meltingLoss, valuation.spreadDeduction, valuation.testingFee, valuation.payout,
+          settlement, settlement === 'credit' ? valuation.payout : 0, notes || null, req.admin.id
+        ]
+      );
+
+      let tradeIn = null;
+
+      if (order_id) {
+        const [orderRows] = await conn.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [order_id]);
+
+        if (orderRows.length === 0) {
+          throw new HttpError(404, 'Order not found', { code: 'order_not_found' });
+        }
+
+        if (orderRows[0].status !== 'pending') {
+          throw new HttpError(409, 'Trade-ins can only be applied to pending orders');
+        }
+
+        tradeIn = await applyTradeIn(conn, reference, orderRows[0]);
+      }
+
+      return { reference, valuation, trade_in: tradeIn };
+    });
+
+    res.json({
+      success: true,
+      message: settlement === 'cash'
+        ? `Buyback ${result.reference} recorded - pay out ${result.valuation.payout} EGP`
+        : `Trade-in ${result.reference} recorded - ${result.valuation.payout} EGP credit`,
+      ...item,
+      settlement,
+      ...result
+    });
+
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get categories
-app.get('/api/categories', async (req, res) => {
+// List buyback transactions (ADMIN: any role)
+app.get('/api/buyback', requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const [rows] = await db.execute(
-      'SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND is_active = TRUE ORDER BY category'
+      `SELECT b.*, u.username
+       FROM buyback_transactions b
+       LEFT JOIN admin_users u ON b.admin_user_id = u.id
+       ORDER BY b.created_at DESC
+       LIMIT 200`
     );
-    res.json(rows.map(row => row.category));
+    res.json(rows);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Apply trade-in credit to a pending order (ADMIN: owner, catalog-editor)
+app.post('/api/orders/:id/trade-in', requireRole('catalog-editor'), async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({ error: 'Trade-in reference is required' });
+    }
+
+    const tradeIn = await withTransaction(async (conn) => {
+      const [orderRows] = await conn.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [req.params.id]);
+
+      if (orderRows.length === 0) {
+        throw new HttpError(404, 'Order not found', { code: 'order_not_found' });
+      }
+
+      if (orderRows[0].status !== 'pending') {
+        throw new HttpError(409, 'Trade-ins can only be applied to pending orders');
+      }
+
+      return applyTradeIn(conn, reference, orderRows[0]);
+    });
+
+    res.json({
+      success: true,
+      message: `Applied ${tradeIn.credit_applied} EGP trade-in credit`,
+      trade_in: tradeIn
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Database status endpoint
 app.get('/api/db-status', async (req, res) => {
   try {
@@ -544,6 +5924,7 @@ app.get('/api/db-status', async (req, res) => {
       [dbConfig.database]
     );
     
+    const migrations = await new Migrator(db).status();
     const [goldPrice] = await db.execute('SELECT * FROM gold_prices ORDER BY updated_at DESC LIMIT 1');
     const [productCount] = await db.execute('SELECT COUNT(*) as count FROM products');
     const [activeProductCount] = await db.execute('SELECT COUNT(*) as count FROM products WHERE is_active = TRUE');
@@ -552,6 +5933,10 @@ app.get('/api/db-status', async (req, res) => {
       database: dbConfig.database,
       connection: 'Connected',
       tables: tables,
+      migrations: {
+        current: migrations.filter(m => m.applied_at).map(m => m.version).pop() || null,
+        pending: migrations.filter(m => !m.applied_at).map(m => m.version)
+      },
       current_gold_price: goldPrice[0],
       total_products: productCount[0].count,
       active_products: activeProductCount[0].count
@@ -577,13 +5962,33 @@ app.use((err, req, res, next) => {
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+  res.status(404).json({ error: 'Endpoint not found', code: 'endpoint_not_found' });
 });
 
 // Start server
 async function startServer() {
   try {
+    if (!process.env.QUOTE_SECRET) {
+      console.warn('⚠️  QUOTE_SECRET is not set - price quotes will not survive a restart');
+    }
+
     await connectDB();
+
+    // Price alert delivery (console transport unless configured)
+    alertNotifiers = createNotifiersFromEnv(process.env);
+
+    // Heartbeat lets clients notice a dead stream
+    setInterval(() => broadcast('ping', { at: new Date().toISOString() }), STREAM_HEARTBEAT_SECONDS * 1000);
+
+    // Automatic gold price feed (optional)
+    priceFeed = createPriceFeedFromEnv(process.env, {
+      caratFactors: GoldPriceCalculator.CARAT_FACTORS,
+      getReferencePrice: async () => GoldPriceCalculator.getCaratPrice('24K', await getGoldQuotes()).pricePerGram,
+      applyPrices: applyFeedPrices
+    });
+    if (priceFeed) {
+      priceFeed.start();
+    }
     
     app.listen(PORT, () => {
       console.log(`
@@ -607,4 +6012,10 @@ async function startServer() {
   }
 }
 
-startServer();
+// node server.js starts the API; migrate.js borrows seedHooks and the tests
+// the import row checks
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { seedHooks, parseCatalogRow, validateProductFields };
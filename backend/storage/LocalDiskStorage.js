@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keeps files under a local directory; server.js serves it at /uploads
+class LocalDiskStorage {
+  constructor({ directory, baseUrl }) {
+    this.directory = path.resolve(directory);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  get name() {
+    return `local:${this.directory}`;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,23 @@
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+// A storage backend is anything with a `name`, async `save(key, buffer, contentType)`,
+// async `remove(key)` and `url(key)`. Keys look like "products/12/ab12cd-medium.webp".
+const BACKENDS = {
+  local: (env, publicUrl) => new LocalDiskStorage({
+    directory: env.UPLOAD_DIR || 'uploads',
+    baseUrl: `${publicUrl}/uploads`
+  })
+};
+
+// Chosen by STORAGE_BACKEND (local disk unless an object store is added here)
+function createStorageFromEnv(env, publicUrl) {
+  const backend = env.STORAGE_BACKEND || 'local';
+
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return BACKENDS[backend](env, publicUrl);
+}
+
+module.exports = { createStorageFromEnv };
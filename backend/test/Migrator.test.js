@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../migrations/Migrator');
+
+// A directory of migration files that log their up/down calls on the connection
+function migrationsDirectory(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, file), source || `
+      module.exports = {
+        async up(conn) { conn.log.push('up ${file}'); },
+        async down(conn) { conn.log.push('down ${file}'); }
+      };
+    `);
+  }
+
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+// Just enough of a mysql2 pool for Migrator: schema_migrations rows and the named lock
+function stubDb({ applied = [], lockFree = true } = {}) {
+  const rows = applied.map(version => ({ version, name: 'applied', applied_at: new Date() }));
+  const conn = {
+    log: [],
+    released: false,
+    lockHeld: false,
+
+    async query(sql, params = []) {
+      if (sql.startsWith('SELECT GET_LOCK')) {
+        conn.lockHeld = lockFree;
+        return [[{ locked: lockFree ? 1 : 0 }]];
+      }
+      if (sql.startsWith('SELECT RELEASE_LOCK')) {
+        conn.lockHeld = false;
+        return [[]];
+      }
+      if (sql.startsWith('SELECT * FROM schema_migrations')) {
+        return [[...rows].sort((a, b) => a.version.localeCompare(b.version))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        rows.push({ version: params[0], name: params[1], applied_at: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        rows.splice(rows.findIndex(row => row.version === params[0]), 1);
+        return [{ affectedRows: 1 }];
+      }
+      return [[]];
+    },
+
+    release() {
+      conn.released = true;
+    }
+  };
+
+  return {
+    conn,
+    rows,
+    query: (...args) => conn.query(...args),
+    getConnection: async () => conn
+  };
+}
+
+const quiet = () => {};
+
+test('migrate applies pending migrations in version order and records them', async () => {
+  // Written out of order, plus a file that is not a migration
+  const directory = migrationsDirectory({
+    '010_third.js': null,
+    '002_second.js': null,
+    '001_first.js': null,
+    'README.md': 'not a migration'
+  });
+  const db = stubDb({ applied: ['001'] });
+  const migrator = new Migrator(db, { directory, log: quiet });
+
+  assert.deepStrictEqual(await migrator.migrate(), ['002', '010']);
+  assert.deepStrictEqual(db.conn.log, ['up 002_second.js', 'up 010_third.js']);
+  assert.deepStrictEqual(db.rows.map(row => row.version), ['001', '002', '010']);
+  assert.strictEqual(db.conn.lockHeld, false);
+  assert.strictEqual(db.conn.released, true);
+
+  assert.deepStrictEqual(await migrator.migrate(), []);
+  assert.deepStrictEqual(await migrator.pending(), []);
+});
+
+test('rollback undoes the newest applied migrations first', async () => {
+  const directory = migrationsDirectory({ '001_first.js': null, '002_second.js': null, '003_third.js': null });
+  const db = stubDb({ applied: ['001', '002', '003'] });
+  const migrator = new Migrator(db, { directory, log: quiet });
+
+  assert.deepStrictEqual(await migrator.rollback(2), ['003', '002']);
+  assert.deepStrictEqual(db.conn.log, ['down 003_third.js', 'down 002_second.js']);
+  assert.deepStrictEqual(db.rows.map(row => row.version), ['001']);
+
+  assert.deepStrictEqual(await migrator.rollback(5), ['001']);
+  assert.deepStrictEqual(await migrator.rollback(), []);
+});
+
+test('rollback skips pending migrations', async () => {
+  const directory = migrationsDirectory({ '001_first.js': null, '002_second.js': null });
+  const db = stubDb({ applied: ['001'] });
+
+  assert.deepStrictEqual(await new Migrator(db, { directory, log: quiet }).rollback(), ['001']);
+  assert.deepStrictEqual(db.conn.log, ['down 001_first.js']);
+});
+
+test('a failing migration is not recorded and stops the ones after it', async () => {
+  const directory = migrationsDirectory({
+    '001_first.js': null,
+    '002_broken.js': `
+      module.exports = {
+        async up() { throw new Error('syntax error near ALTER'); },
+        async down() {}
+      };
+    `,
+    '003_third.js': null
+  });
+  const db = stubDb();
+  const migrator = new Migrator(db, { directory, log: quiet });
+
+  await assert.rejects(migrator.migrate(), /syntax error near ALTER/);
+  assert.deepStrictEqual(db.conn.log, ['up 001_first.js']);
+  assert.deepStrictEqual(db.rows.map(row => row.version), ['001']);
+  assert.strictEqual(db.conn.lockHeld, false);
+  assert.strictEqual(db.conn.released, true);
+});
+
+test('rollback refuses when an applied migration has no file', async () => {
+  const directory = migrationsDirectory({ '001_first.js': null });
+  const db = stubDb({ applied: ['001', '002'] });
+
+  await assert.rejects(new Migrator(db, { directory, log: quiet }).rollback(), /002 have no file here/);
+  assert.deepStrictEqual(db.conn.log, []);
+});
+
+test('two files with the same version are refused', async () => {
+  const directory = migrationsDirectory({ '001_first.js': null, '001_other.js': null });
+
+  assert.throws(() => new Migrator(stubDb(), { directory, log: quiet }).load(), /share version 001/);
+});
+
+test('a migration without down() is refused', async () => {
+  const directory = migrationsDirectory({ '001_first.js': 'module.exports = { async up() {} };' });
+
+  assert.throws(() => new Migrator(stubDb(), { directory, log: quiet }).load(), /must export up\(\) and down\(\)/);
+});
+
+test('nothing runs while another process holds the lock', async () => {
+  const directory = migrationsDirectory({ '001_first.js': null });
+  const db = stubDb({ lockFree: false });
+
+  await assert.rejects(new Migrator(db, { directory, log: quiet }).migrate(), /Another process is running migrations/);
+  assert.deepStrictEqual(db.conn.log, []);
+  assert.strictEqual(db.conn.released, true);
+});
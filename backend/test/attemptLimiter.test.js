@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AttemptLimiter } = require('../attemptLimiter');
+
+// A limiter on a clock the test moves by hand
+function limiter(maxAttempts = 3) {
+  const clock = { time: 0 };
+  const attempts = new AttemptLimiter({ maxAttempts, windowMinutes: 15, now: () => clock.time });
+  return { attempts, clock };
+}
+
+test('a key is blocked once it reaches the limit', () => {
+  const { attempts } = limiter();
+
+  attempts.fail('a@example.com');
+  attempts.fail('a@example.com');
+  assert.strictEqual(attempts.retryAfter('a@example.com'), 0);
+
+  attempts.fail('a@example.com');
+  assert.strictEqual(attempts.retryAfter('a@example.com'), 15 * 60);
+  assert.strictEqual(attempts.retryAfter('b@example.com'), 0);
+});
+
+test('the block lifts when the window runs out', () => {
+  const { attempts, clock } = limiter(1);
+
+  attempts.fail('10.0.0.1');
+  clock.time = 10 * 60 * 1000;
+  assert.strictEqual(attempts.retryAfter('10.0.0.1'), 5 * 60);
+
+  clock.time = 15 * 60 * 1000;
+  assert.strictEqual(attempts.retryAfter('10.0.0.1'), 0);
+
+  // A new window starts from the next failure
+  attempts.fail('10.0.0.1');
+  assert.strictEqual(attempts.retryAfter('10.0.0.1'), 15 * 60);
+});
+
+test('reset clears the failures of a key', () => {
+  const { attempts } = limiter(2);
+
+  attempts.fail('a@example.com');
+  attempts.reset('a@example.com');
+  attempts.fail('a@example.com');
+  assert.strictEqual(attempts.retryAfter('a@example.com'), 0);
+});
+
+test('expired windows are swept', () => {
+  const { attempts, clock } = limiter();
+
+  attempts.fail('a@example.com');
+  clock.time = 15 * 60 * 1000;
+  attempts.sweep();
+  assert.strictEqual(attempts.attempts.size, 0);
+});
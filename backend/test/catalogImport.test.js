@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv } = require('../csv');
+const { parseCatalogRow } = require('../server');
+
+const pricingRules = { byId: new Map([[1, { id: 1 }]]) };
+
+// The errors of each CSV row, as a new product
+function rowErrors(csv) {
+  return parseCsv(csv).map(row => parseCatalogRow(row, null, pricingRules).errors);
+}
+
+test('a complete row parses without errors', () => {
+  const [row] = parseCsv('sku,name,weight,carat,making_charges,stock_quantity,is_active\nA1,Ring,3.5,21k,12,4,yes\n');
+  const { sku, fields, errors } = parseCatalogRow(row, null, pricingRules);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(sku, 'A1');
+  assert.deepStrictEqual(fields, {
+    name: 'Ring', carat: '21K', weight: 3.5, making_charges: 12, stock_quantity: 4, is_active: true
+  });
+});
+
+test('values the product columns cannot hold are reported on their row', () => {
+  const long = 'x'.repeat(256);
+  const errors = rowErrors([
+    'sku,name,name_ar,category,weight,carat,making_charges,profit_margin',
+    `A1,${long},${long},${'c'.repeat(101)},100000,21K,1000,1000`,
+    'A2,Ring,,,99999.999,21K,999.99,999.99'
+  ].join('\n'));
+
+  assert.deepStrictEqual(errors[0], [
+    'Name must be at most 255 characters',
+    'Arabic name must be at most 255 characters',
+    'Category must be at most 100 characters',
+    'Weight must be a positive number of grams',
+    'making_charges must be between 0 and 999.99',
+    'profit_margin must be between 0 and 999.99'
+  ]);
+  assert.deepStrictEqual(errors[1], []);
+});
+
+test('every bad field of a row is reported, not just the first', () => {
+  const [errors] = rowErrors('sku,name,weight,carat,stock_quantity\nA1,Ring,heavy,25K,-1\n');
+
+  assert.deepStrictEqual(errors, [
+    'Carat must be one of: 24K, 22K, 21K, 18K, 14K, 10K',
+    'Weight must be a positive number of grams',
+    'stock_quantity must be a whole number, zero or more'
+  ]);
+});
+
+test('a new product needs a SKU, name, weight and carat; an existing one does not', () => {
+  const [row] = parseCsv('sku,name\n,Ring\n');
+
+  assert.deepStrictEqual(parseCatalogRow(row, null, pricingRules).errors, [
+    'sku is required, or the id of an existing product',
+    'weight is required for a new product',
+    'carat is required for a new product'
+  ]);
+  assert.deepStrictEqual(parseCatalogRow(row, { id: 7, sku: null }, pricingRules).errors, []);
+});
+
+test('an unknown pricing rule set is an error', () => {
+  const [errors] = rowErrors('sku,name,weight,carat,pricing_rule_set_id\nA1,Ring,3,21K,9\n');
+  assert.deepStrictEqual(errors, ['Pricing rule set 9 not found']);
+});
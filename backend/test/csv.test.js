@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv } = require('../csv');
+
+test('rows are keyed by the trimmed, lower-cased header', () => {
+  assert.deepStrictEqual(parseCsv(' SKU ,Name\nA1, Ring \n'), [{ sku: 'A1', name: 'Ring' }]);
+});
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  const rows = parseCsv('sku,description\r\nA1,"Gold, 21K ""Cleopatra""\r\nwith box"\r\n');
+  assert.deepStrictEqual(rows, [{ sku: 'A1', description: 'Gold, 21K "Cleopatra"\r\nwith box' }]);
+});
+
+test('LF, CRLF and a missing final newline all end rows', () => {
+  const expected = [{ a: '1', b: '2' }, { a: '3', b: '4' }];
+  assert.deepStrictEqual(parseCsv('a,b\n1,2\n3,4'), expected);
+  assert.deepStrictEqual(parseCsv('a,b\r\n1,2\r\n3,4\r\n'), expected);
+});
+
+test('a byte order mark and blank lines are ignored', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFsku\n\nA1\n  \nA2\n'), [{ sku: 'A1' }, { sku: 'A2' }]);
+});
+
+test('short rows get empty strings for the missing columns', () => {
+  assert.deepStrictEqual(parseCsv('sku,name,weight\nA1,Ring\n'), [{ sku: 'A1', name: 'Ring', weight: '' }]);
+});
+
+test('an unterminated quote is an error', () => {
+  assert.throws(() => parseCsv('sku,name\nA1,"Ring\n'), /Unterminated quoted field/);
+});
+
+test('toCsv quotes only the fields that need it and leaves null blank', () => {
+  const csv = toCsv(['sku', 'name', 'weight', 'category'], [
+    { sku: 'A1', name: 'Ring, "classic"', weight: 3.5, category: null }
+  ]);
+  assert.strictEqual(csv, 'sku,name,weight,category\r\nA1,"Ring, ""classic""",3.5,\r\n');
+});
+
+test('cells that a spreadsheet would run as formulas are escaped', () => {
+  const csv = toCsv(['name', 'description'], [
+    { name: '=HYPERLINK("http://evil.example","Click")', description: '@SUM(A1)' },
+    { name: '+20 1234', description: '-discount' }
+  ]);
+  const lines = csv.split('\r\n');
+
+  assert.strictEqual(lines[1], '"\'=HYPERLINK(""http://evil.example"",""Click"")",\'@SUM(A1)');
+  assert.strictEqual(lines[2], "'+20 1234,'-discount");
+});
+
+test('an export reads back to the same values', () => {
+  const records = [
+    { sku: 'A1', name: '=1+1', description: 'Line one\nline two, with "quotes"', weight: '3.5' },
+    { sku: 'A2', name: 'عقد ذهب', description: '-', weight: '10' }
+  ];
+
+  assert.deepStrictEqual(parseCsv(toCsv(['sku', 'name', 'description', 'weight'], records)), records);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkPriceGuardrails } = require('../priceGuardrails');
+
+const quotes = {
+  '24K': { id: 7, carat: '24K', price_per_gram: 4000 },
+  '21K': { id: null, carat: '21K', price_per_gram: 3500 }
+};
+
+const guardrails = {
+  max_change_percent: 5,
+  carat_bounds: { '24K': { min: 3000, max: 5000 } }
+};
+
+test('prices inside the bounds and the allowed move pass', () => {
+  assert.deepStrictEqual(checkPriceGuardrails([['24K', 4100]], quotes, guardrails), []);
+});
+
+test('bounds are inclusive', () => {
+  const wide = { max_change_percent: null, carat_bounds: guardrails.carat_bounds };
+
+  assert.deepStrictEqual(checkPriceGuardrails([['24K', 3000], ['24K', 5000]], quotes, wide), []);
+  assert.deepStrictEqual(
+    checkPriceGuardrails([['24K', 2999.99], ['24K', 5000.01]], quotes, wide).map(violation => violation.rule),
+    ['min', 'max']
+  );
+});
+
+test('a move of exactly the limit passes and anything more is reported', () => {
+  assert.deepStrictEqual(checkPriceGuardrails([['24K', 4200]], quotes, guardrails), []);
+
+  const [violation] = checkPriceGuardrails([['24K', 4201]], quotes, guardrails);
+  assert.strictEqual(violation.rule, 'max_change');
+  assert.strictEqual(violation.previous_price, 4000);
+  assert.strictEqual(violation.change_percent, 5.03);
+  assert.strictEqual(violation.limit, 5);
+});
+
+test('falling prices are checked like rising ones', () => {
+  const [violation] = checkPriceGuardrails([['24K', 3700]], quotes, guardrails);
+  assert.strictEqual(violation.rule, 'max_change');
+  assert.strictEqual(violation.change_percent, 7.5);
+});
+
+test('one update can break a bound and the move limit together', () => {
+  const rules = checkPriceGuardrails([['24K', 6000]], quotes, guardrails).map(violation => violation.rule);
+  assert.deepStrictEqual(rules, ['max', 'max_change']);
+});
+
+test('carats without a stored price or bounds skip those checks', () => {
+  // 21K is derived from 24K (no gold_prices row) and 18K has no quote at all
+  assert.deepStrictEqual(checkPriceGuardrails([['21K', 9000], ['18K', 1]], quotes, guardrails), []);
+});
+
+test('a null max_change_percent turns the move check off', () => {
+  const boundsOnly = { max_change_percent: null, carat_bounds: {} };
+  assert.deepStrictEqual(checkPriceGuardrails([['24K', 8000]], quotes, boundsOnly), []);
+});
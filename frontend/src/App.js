@@ -1,191 +1,548 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import { Routes, Route, Link, NavLink } from 'react-router-dom';
+import api, {
+  getAdminToken, setAdminToken, getCartToken, setCartToken, onUnauthorized,
+  getCustomerToken, onCustomerUnauthorized, getDisplayCurrency, setDisplayCurrency
+} from './api';
+import { SETTLEMENT_CURRENCY, indicativePrice } from './currency';
+import AdminLogin from './components/AdminLogin';
+import AdminOrders from './components/AdminOrders';
+import AdminInventory from './components/AdminInventory';
+import AdminProducts from './components/AdminProducts';
+import AdminBuyback from './components/AdminBuyback';
+import PricingRules from './components/PricingRules';
+import ExchangeRates from './components/ExchangeRates';
+import ProductImages from './components/ProductImages';
+import CatalogImport from './components/CatalogImport';
+import Cart from './components/Cart';
+import PriceFeedStatus from './components/PriceFeedStatus';
+import RepricePreview from './components/RepricePreview';
+import PriceChanges from './components/PriceChanges';
+import ActivityLog from './components/ActivityLog';
+import GoldPriceHistory from './components/GoldPriceHistory';
+import PriceAlertForm from './components/PriceAlertForm';
+import Catalog from './components/Catalog';
+import CategoryList from './components/CategoryList';
+import CategoryPage from './components/CategoryPage';
+import ProductDetail from './components/ProductDetail';
+import Account from './components/Account';
+import useLivePrices from './useLivePrices';
+import { useI18n, LANGUAGES } from './i18n';
 import './App.css';
 
-// Use environment variable for API URL
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-
 function App() {
+  const { t, lang, setLang, locale, formatNumber, formatPrice, localized, errorMessage } = useI18n();
   const [goldPrice, setGoldPrice] = useState(0);
+  const [priceBoard, setPriceBoard] = useState([]);
   const [products, setProducts] = useState([]);
   const [newPrice, setNewPrice] = useState('');
+  const [newCarat, setNewCarat] = useState('24K');
   const [loading, setLoading] = useState(false);
+  const [pricePreview, setPricePreview] = useState(null);
+  const [priceChangesVersion, setPriceChangesVersion] = useState(0);
   const [message, setMessage] = useState('');
+  const [admin, setAdmin] = useState(null);
+  const [cart, setCart] = useState(null);
+  const [customer, setCustomer] = useState(null);
+  const [cartNotice, setCartNotice] = useState('');
+  const [rates, setRates] = useState([]);
+  const [currency, setCurrency] = useState(getDisplayCurrency());
+
+  // Rate for the selected display currency, or null when showing EGP
+  const displayRate = rates.find(rate => rate.currency === currency) || null;
+
+  const canManagePrices = admin && ['owner', 'price-manager'].includes(admin.role);
+  const canManageCatalog = admin && ['owner', 'catalog-editor'].includes(admin.role);
 
   useEffect(() => {
     fetchData();
   }, []);
 
+  // Live updates from the server - no reload needed when prices change
+  const streamStatus = useLivePrices({
+    onGoldPrice: (data) => {
+      setGoldPrice(data.price_per_gram);
+      setPriceBoard(data.prices);
+    },
+    onProductPrices: (updates) => {
+      const byId = new Map(updates.map(update => [update.id, update]));
+      setProducts(current => current.map(product => (
+        byId.has(product.id)
+          ? { ...product, selling_price: byId.get(product.id).selling_price }
+          : product
+      )));
+    }
+  });
+
+  // Restore the cart saved in this browser
+  useEffect(() => {
+    const token = getCartToken();
+    if (token) {
+      api.get(`/api/cart/${token}`)
+        .then(response => setCart(response.data))
+        .catch(() => setCartToken(null));
+    }
+  }, []);
+
+  // Restore the customer's account session, and drop it when the server rejects the token
+  useEffect(() => {
+    onCustomerUnauthorized(() => setCustomer(null));
+
+    if (getCustomerToken()) {
+      api.get('/api/account')
+        .then(response => setCustomer(response.data))
+        .catch(() => setCustomer(null));
+    }
+  }, []);
+
+  // Restore the admin session, and drop it when the server rejects the token
+  useEffect(() => {
+    onUnauthorized(() => {
+      setAdmin(null);
+      setMessage(`⚠️ ${t('admin.sessionExpired')}`);
+    });
+
+    if (getAdminToken()) {
+      api.get('/api/auth/me')
+        .then(response => setAdmin(response.data))
+        .catch(() => setAdmin(null));
+    }
+  }, []);
+
   const fetchData = async () => {
     try {
-      const [priceRes, productsRes] = await Promise.all([
-        axios.get(`${API_URL}/api/gold-price`),
-        axios.get(`${API_URL}/api/products`)
+      const [priceRes, productsRes, ratesRes] = await Promise.all([
+        api.get('/api/gold-price'),
+        api.get('/api/products'),
+        api.get('/api/exchange-rates')
       ]);
       
       setGoldPrice(priceRes.data.price_per_gram || 0);
+      setPriceBoard(priceRes.data.prices || []);
       setProducts(productsRes.data);
+      setRates(ratesRes.data.rates);
     } catch (error) {
       console.error('Error fetching data:', error);
-      setMessage('⚠️ Cannot connect to server. Please check backend URL.');
+      setMessage(`⚠️ ${t('errors.network')}`);
     }
   };
 
   const updateGoldPrice = async () => {
     if (!newPrice) {
-      setMessage('⚠️ Please enter a price');
+      setMessage(`⚠️ ${t('admin.enterPrice')}`);
       return;
     }
     
     setLoading(true);
     try {
-      const response = await axios.post(`${API_URL}/api/gold-price`, {
-        price_per_gram: parseFloat(newPrice)
+      const response = await api.post('/api/gold-price', {
+        price_per_gram: parseFloat(newPrice),
+        carat: newCarat,
+        dry_run: true
       });
-      
-      setMessage(`✅ ${response.data.message}`);
+
+      setPricePreview({ ...response.data, carat: newCarat, price_per_gram: parseFloat(newPrice) });
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apply exactly the previewed change - the server refuses if anything moved since.
+  // Changes outside the guardrails need an override reason.
+  const confirmGoldPrice = async (overrideReason) => {
+    setLoading(true);
+    try {
+      const response = await api.post('/api/gold-price', {
+        price_per_gram: pricePreview.price_per_gram,
+        carat: pricePreview.carat,
+        preview_token: pricePreview.preview_token,
+        ...(overrideReason ? { override: true, override_reason: overrideReason } : {})
+      });
+
+      setMessage(`✅ ${response.data.message} (${t('admin.repriced', {
+        count: formatNumber(response.data.updated_products),
+        ms: formatNumber(response.data.timing.total_ms)
+      })})`);
       setNewPrice('');
+      setPricePreview(null);
+      setPriceChangesVersion(version => version + 1);
       fetchData();
     } catch (error) {
-      setMessage(`❌ Error: ${error.response?.data?.error || error.message}`);
+      setMessage(`❌ ${errorMessage(error)}`);
+      if ([409, 410].includes(error.response?.status)) {
+        setPricePreview(null);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const addSampleProduct = async () => {
-    const products = [
-      { name: "24K Gold Necklace", weight: 10.5, carat: "24K", category: "Necklace" },
-      { name: "22K Gold Bracelet", weight: 8.2, carat: "22K", category: "Bracelet" },
-      { name: "18K Gold Ring", weight: 3.5, carat: "18K", category: "Ring" },
-      { name: "21K Gold Earrings", weight: 5.0, carat: "21K", category: "Earrings" }
-    ];
-    
-    const randomProduct = products[Math.floor(Math.random() * products.length)];
-    
+  const requestPriceApproval = async () => {
+    setLoading(true);
     try {
-      await axios.post(`${API_URL}/api/products`, {
-        ...randomProduct,
-        making_charges: 5,
-        profit_margin: 10
+      const response = await api.post('/api/gold-price', {
+        price_per_gram: pricePreview.price_per_gram,
+        carat: pricePreview.carat,
+        request_approval: true
       });
-      setMessage('✅ Sample product added!');
-      fetchData();
+
+      setMessage(`✅ ${response.data.message}`);
+      setNewPrice('');
+      setPricePreview(null);
+      setPriceChangesVersion(version => version + 1);
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addToCart = async (product) => {
+    try {
+      let token = getCartToken();
+      if (!token) {
+        const created = await api.post('/api/cart');
+        token = created.data.token;
+        setCartToken(token);
+      }
+
+      const response = await api.post(`/api/cart/${token}/items`, { product_id: product.id, quantity: 1 });
+      setCart(response.data);
+      setCartNotice(`🛒 ${t('cart.added', { name: localized(product, 'name') })}`);
     } catch (error) {
-      setMessage('❌ Error adding product');
+      // The saved cart may have been removed on the server - start a new one next time
+      if (error.response?.data?.code === 'cart_not_found') {
+        setCartToken(null);
+      }
+      setCartNotice(`❌ ${errorMessage(error)}`);
     }
   };
 
+  const addToWishlist = async (product) => {
+    if (!customer) {
+      setCartNotice(`❤️ ${t('wishlist.signInFirst')}`);
+      return;
+    }
+
+    try {
+      await api.post('/api/account/wishlist', { product_id: product.id });
+      setCartNotice(`❤️ ${t('wishlist.added', { name: localized(product, 'name') })}`);
+    } catch (error) {
+      setCartNotice(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  const changeCurrency = (value) => {
+    setCurrency(value);
+    setDisplayCurrency(value);
+  };
+
+  const logout = async () => {
+    try {
+      await api.post('/api/auth/logout');
+    } catch (error) {
+      // The session is discarded locally either way
+    }
+    setAdminToken(null);
+    setAdmin(null);
+    setMessage('');
+  };
+
+  const cartPanel = (
+    <Cart cart={cart} onCartChange={setCart} notice={cartNotice} displayRate={displayRate} customer={customer} />
+  );
+
   return (
     <div className="app">
       <header className="header">
-        <div className="logo">
+        <Link to="/" className="logo">
           <i className="fas fa-gem"></i>
-          <h1>Egypt Gold Store</h1>
-        </div>
+          <h1>{t('app.title')}</h1>
+        </Link>
+        <nav className="main-nav">
+          <NavLink to="/" end>{t('nav.shop')}</NavLink>
+          <NavLink to="/categories">{t('nav.categories')}</NavLink>
+          <NavLink to="/account">
+            <i className="fas fa-user"></i> {customer ? customer.name : t('nav.signIn')}
+          </NavLink>
+        </nav>
         <div className="live-price">
-          <span className="label">Live Gold Price:</span>
-          <span className="price">{goldPrice} EGP/g</span>
+          <span className="label">{t('header.livePrice')}</span>
+          <span className="price">{t('unit.perGram', { price: formatPrice(goldPrice) })}</span>
+          {displayRate && (
+            <span className="indicative" title={t('currency.indicativeHint')}>
+              {t('unit.perGram', { price: indicativePrice(goldPrice, displayRate, locale) })}
+            </span>
+          )}
+          {rates.length > 0 && (
+            <select
+              className="currency-switcher"
+              value={displayRate ? currency : SETTLEMENT_CURRENCY}
+              onChange={(e) => changeCurrency(e.target.value)}
+            >
+              <option value={SETTLEMENT_CURRENCY}>{SETTLEMENT_CURRENCY}</option>
+              {rates.map(rate => (
+                <option key={rate.currency} value={rate.currency}>{rate.currency}</option>
+              ))}
+            </select>
+          )}
+          <span
+            className={`stream-status ${streamStatus}`}
+            title={streamStatus === 'stale' ? t('stream.staleHint') : ''}
+          >
+            {streamStatus === 'live' && <><i className="fas fa-circle"></i> {t('stream.live')}</>}
+            {streamStatus === 'connecting' && t('stream.connecting')}
+            {streamStatus === 'stale' && <><i className="fas fa-exclamation-triangle"></i> {t('stream.stale')}</>}
+          </span>
+          <select
+            className="language-switcher"
+            value={lang}
+            onChange={(e) => setLang(e.target.value)}
+            aria-label={t('header.language')}
+          >
+            {Object.entries(LANGUAGES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
         </div>
       </header>
 
-      <main className="main">
-        {/* Admin Section */}
-        <section className="admin-section">
-          <h2><i className="fas fa-cog"></i> Admin Control Panel</h2>
-          
-          <div className="card">
-            <h3>Update Gold Price</h3>
-            <p>Changing this price will update ALL product prices automatically</p>
-            
-            <div className="input-group">
-              <input
-                type="number"
-                value={newPrice}
-                onChange={(e) => setNewPrice(e.target.value)}
-                placeholder="Enter new gold price per gram"
-              />
-              <button 
-                onClick={updateGoldPrice} 
-                disabled={loading}
-                className="btn-primary"
-              >
-                {loading ? 'Updating...' : 'Update Price'}
-              </button>
-            </div>
-            
-            <div className="actions">
-              <button onClick={addSampleProduct} className="btn-secondary">
-                <i className="fas fa-plus"></i> Add Sample Product
-              </button>
-              <button onClick={fetchData} className="btn-secondary">
-                <i className="fas fa-sync"></i> Refresh Data
-              </button>
+      {priceBoard.length > 0 && (
+        <div className="price-board">
+          {priceBoard.map(price => (
+            <div
+              key={price.carat}
+              className={`board-item ${price.source}`}
+              title={price.source === 'derived'
+                ? t('board.derived', { carat: price.derived_from })
+                : price.entered_via === 'feed'
+                  ? t('board.feedQuote', { provider: price.provider })
+                  : t('board.manualQuote')}
+            >
+              <span className="carat-badge">{price.carat}</span>
+              <strong>{formatNumber(price.price_per_gram)}</strong> {t('unit.egpPerGram')}
+              {displayRate && (
+                <div className="indicative">
+                  {t('unit.perGram', { price: indicativePrice(price.price_per_gram, displayRate, locale) })}
+                </div>
+              )}
             </div>
-            
-            {message && (
-              <div className="message">
-                {message}
-              </div>
-            )}
-          </div>
-        </section>
+          ))}
+        </div>
+      )}
 
-        {/* Products Section */}
-        <section className="products-section">
-          <h2><i className="fas fa-shopping-bag"></i> Products ({products.length})</h2>
+      <main className="main">
+        <Routes>
+          <Route
+            path="/"
+            element={(
+              <>
+            {/* Admin Section */}
+            <section className="admin-section">
+              <h2><i className="fas fa-cog"></i> {t('admin.title')}</h2>
           
-          {products.length === 0 ? (
-            <div className="empty-state">
-              <i className="fas fa-box-open"></i>
-              <p>No products yet. Add some using the admin panel!</p>
-            </div>
-          ) : (
-            <div className="products-grid">
-              {products.map(product => (
-                <div key={product.id} className="product-card">
-                  <div className="product-header">
-                    <h3>{product.name}</h3>
-                    <span className="carat-badge">{product.carat}</span>
-                  </div>
-                  
-                  <div className="product-details">
-                    <div className="detail">
-                      <span>Weight:</span>
-                      <strong>{product.weight}g</strong>
-                    </div>
-                    <div className="detail">
-                      <span>Making Charges:</span>
-                      <strong>{product.making_charges}%</strong>
-                    </div>
-                    <div className="detail">
-                      <span>Profit Margin:</span>
-                      <strong>{product.profit_margin}%</strong>
+              {!admin ? (
+                <>
+                  <AdminLogin onLogin={(user) => { setAdmin(user); setMessage(''); }} />
+                  {message && (
+                    <div className="message">
+                      {message}
                     </div>
+                  )}
+                </>
+              ) : (
+                <div className="card">
+                  <div className="admin-bar">
+                    <span>
+                      <i className="fas fa-user-shield"></i> {t('admin.signedInAs')} <strong>{admin.username}</strong> ({admin.role})
+                    </span>
+                    <button onClick={logout} className="btn-secondary">
+                      <i className="fas fa-sign-out-alt"></i> {t('admin.logout')}
+                    </button>
                   </div>
+
+                  {canManagePrices && (
+                    <>
+                      <h3>{t('admin.updatePrice')}</h3>
+                      <p>{t('admin.updatePriceIntro')}</p>
                   
-                  <div className="product-price">
-                    <div className="final-price">
-                      {product.selling_price?.toLocaleString()} EGP
-                    </div>
-                    <div className="price-breakdown">
-                      Gold value: {Math.round(product.weight * goldPrice * 0.916)} EGP
-                    </div>
+                      <div className="input-group">
+                        <select value={newCarat} onChange={(e) => setNewCarat(e.target.value)}>
+                          {(priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']).map(carat => (
+                            <option key={carat} value={carat}>{carat}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          value={newPrice}
+                          onChange={(e) => setNewPrice(e.target.value)}
+                          placeholder={t('admin.newPrice', { carat: newCarat })}
+                        />
+                        <button 
+                          onClick={updateGoldPrice} 
+                          disabled={loading || !!pricePreview}
+                          className="btn-primary"
+                        >
+                          {loading && !pricePreview ? t('admin.calculating') : t('admin.previewPrice')}
+                        </button>
+                      </div>
+
+                      {pricePreview && (
+                        <RepricePreview
+                          preview={pricePreview}
+                          applying={loading}
+                          onConfirm={confirmGoldPrice}
+                          onRequestApproval={requestPriceApproval}
+                          onCancel={() => setPricePreview(null)}
+                        />
+                      )}
+
+                      <PriceFeedStatus onPriceApplied={fetchData} />
+                    </>
+                  )}
+              
+                  <div className="actions">
+                    <button onClick={fetchData} className="btn-secondary">
+                      <i className="fas fa-sync"></i> {t('admin.refresh')}
+                    </button>
                   </div>
-                  
-                  <button className="buy-btn">
-                    <i className="fas fa-shopping-cart"></i> Add to Cart
-                  </button>
+              
+                  {message && (
+                    <div className="message">
+                      {message}
+                    </div>
+                  )}
                 </div>
-              ))}
-            </div>
-          )}
-        </section>
+              )}
+
+              {canManageCatalog && <AdminOrders />}
+              {canManagePrices && (
+                <PriceChanges
+                  admin={admin}
+                  carats={priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']}
+                  refreshKey={priceChangesVersion}
+                  onPricesChange={fetchData}
+                />
+              )}
+              {canManagePrices && (
+                <PricingRules
+                  categories={[...new Set(products.map(product => product.category))].sort()}
+                  onRulesChange={fetchData}
+                />
+              )}
+              {canManagePrices && <ExchangeRates rates={rates} onRatesChange={fetchData} />}
+              {canManageCatalog && (
+                <AdminProducts
+                  carats={priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']}
+                  onProductsChange={fetchData}
+                />
+              )}
+              {canManageCatalog && <AdminInventory products={products} onStockChange={fetchData} />}
+              {canManageCatalog && <ProductImages products={products} onImagesChange={fetchData} />}
+              {canManageCatalog && <CatalogImport onImport={fetchData} />}
+              {admin?.role === 'owner' && <ActivityLog />}
+              {admin && (
+                <AdminBuyback carats={priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']} />
+              )}
+            </section>
+
+            {cartPanel}
+
+            <GoldPriceHistory
+              carats={priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']}
+              refreshKey={goldPrice}
+            />
+
+            {/* Products Section */}
+            <section className="products-section">
+              <h2><i className="fas fa-shopping-bag"></i> {t('products.title')}</h2>
+          
+              {products.length === 0 ? (
+                <div className="empty-state">
+                  <i className="fas fa-box-open"></i>
+                  <p>{t('products.empty')}</p>
+                </div>
+              ) : (
+                <Catalog
+                  refreshKey={products}
+                  displayRate={displayRate}
+                  onAddToCart={addToCart}
+                  onAddToWishlist={addToWishlist}
+                />
+              )}
+            </section>
+
+            <PriceAlertForm
+              carats={priceBoard.length > 0 ? priceBoard.map(price => price.carat) : ['24K']}
+              products={products}
+            />
+              </>
+            )}
+          />
+          <Route
+            path="/categories"
+            element={(
+              <>
+                {cartPanel}
+                <CategoryList />
+              </>
+            )}
+          />
+          <Route
+            path="/category/:category"
+            element={(
+              <>
+                {cartPanel}
+                <CategoryPage
+                  refreshKey={products}
+                  displayRate={displayRate}
+                  onAddToCart={addToCart}
+                  onAddToWishlist={addToWishlist}
+                />
+              </>
+            )}
+          />
+          <Route
+            path="/products/:id"
+            element={(
+              <>
+                {cartPanel}
+                <ProductDetail
+                  refreshKey={products}
+                  displayRate={displayRate}
+                  onAddToCart={addToCart}
+                  onAddToWishlist={addToWishlist}
+                />
+              </>
+            )}
+          />
+          <Route
+            path="/account"
+            element={(
+              <>
+                {cartPanel}
+                <Account customer={customer} onCustomerChange={setCustomer} />
+              </>
+            )}
+          />
+          <Route
+            path="*"
+            element={(
+              <div className="empty-state">
+                <i className="fas fa-compass"></i>
+                <p>{t('notFound.text')} <Link to="/">{t('notFound.back')}</Link></p>
+              </div>
+            )}
+          />
+        </Routes>
       </main>
 
       <footer className="footer">
-        <p>© 2024 Egypt Gold Store - Live Gold Pricing System</p>
-        <p>Automatically updates prices based on gold market rates</p>
+        <p>{t('footer.copyright')}</p>
+        <p>{t('footer.tagline')}</p>
       </footer>
     </div>
   );
@@ -0,0 +1,104 @@
+import axios from 'axios';
+
+// Use environment variable for API URL
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const TOKEN_KEY = 'goldStoreAdminToken';
+const CART_KEY = 'goldStoreCartToken';
+const CUSTOMER_KEY = 'goldStoreCustomerToken';
+const CURRENCY_KEY = 'goldStoreCurrency';
+const LANGUAGE_KEY = 'goldStoreLanguage';
+
+let unauthorizedHandler = null;
+let customerUnauthorizedHandler = null;
+
+export const getAdminToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAdminToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+export const getCustomerToken = () => localStorage.getItem(CUSTOMER_KEY);
+
+export const setCustomerToken = (token) => {
+  if (token) {
+    localStorage.setItem(CUSTOMER_KEY, token);
+  } else {
+    localStorage.removeItem(CUSTOMER_KEY);
+  }
+};
+
+export const getCartToken = () => localStorage.getItem(CART_KEY);
+
+export const setCartToken = (token) => {
+  if (token) {
+    localStorage.setItem(CART_KEY, token);
+  } else {
+    localStorage.removeItem(CART_KEY);
+  }
+};
+
+// Display currency picked in the switcher (prices are always charged in EGP)
+export const getDisplayCurrency = () => localStorage.getItem(CURRENCY_KEY) || 'EGP';
+
+export const setDisplayCurrency = (currency) => {
+  localStorage.setItem(CURRENCY_KEY, currency);
+};
+
+// Interface language - defaults to Arabic for Arabic-language browsers
+export const getLanguage = () => localStorage.getItem(LANGUAGE_KEY)
+  || (navigator.language?.startsWith('ar') ? 'ar' : 'en');
+
+export const setLanguage = (language) => {
+  localStorage.setItem(LANGUAGE_KEY, language);
+};
+
+// Called when the server rejects our admin session (expired or revoked)
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Called when the server rejects the customer's session
+export const onCustomerUnauthorized = (handler) => {
+  customerUnauthorizedHandler = handler;
+};
+
+const api = axios.create({ baseURL: API_URL });
+
+// Send the admin and customer session tokens with every request
+api.interceptors.request.use((config) => {
+  const token = getAdminToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+
+  const customerToken = getCustomerToken();
+  if (customerToken) {
+    config.headers['X-Customer-Token'] = customerToken;
+  }
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const code = error.response?.status === 401 && error.response.data?.code;
+
+    // Customer and admin sessions are rejected with their own codes - a failed
+    // login is not a rejected session
+    if (['customer_authentication_required', 'customer_session_expired'].includes(code) && getCustomerToken()) {
+      setCustomerToken(null);
+      if (customerUnauthorizedHandler) customerUnauthorizedHandler();
+    } else if (['authentication_required', 'session_expired'].includes(code) && getAdminToken()) {
+      setAdminToken(null);
+      if (unauthorizedHandler) unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default api;
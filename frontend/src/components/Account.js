@@ -0,0 +1,51 @@
+import React from 'react';
+import api, { setCustomerToken } from '../api';
+import { useI18n } from '../i18n';
+import CustomerAuth from './CustomerAuth';
+import OrderHistory from './OrderHistory';
+import Wishlist from './Wishlist';
+import AddressBook from './AddressBook';
+
+// The customer's account page - sign in, or orders, wishlist and addresses
+function Account({ customer, onCustomerChange }) {
+  const { t } = useI18n();
+
+  const logout = async () => {
+    try {
+      await api.post('/api/account/logout');
+    } catch (error) {
+      // The session is discarded locally either way
+    }
+    setCustomerToken(null);
+    onCustomerChange(null);
+  };
+
+  return (
+    <section className="products-section account-section">
+      <h2><i className="fas fa-user"></i> {t('account.title')}</h2>
+
+      {!customer ? (
+        <CustomerAuth onLogin={onCustomerChange} />
+      ) : (
+        <>
+          <div className="card">
+            <div className="admin-bar">
+              <span>
+                {t('account.signedInAs')} <strong>{customer.name}</strong> ({customer.email})
+              </span>
+              <button onClick={logout} className="btn-secondary">
+                <i className="fas fa-sign-out-alt"></i> {t('account.signOut')}
+              </button>
+            </div>
+          </div>
+
+          <OrderHistory />
+          <Wishlist />
+          <AddressBook />
+        </>
+      )}
+    </section>
+  );
+}
+
+export default Account;
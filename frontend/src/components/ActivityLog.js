@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const EMPTY_FILTERS = {
+  username: '',
+  entity_type: '',
+  entity_id: '',
+  action: '',
+  outcome: '',
+  from: '',
+  to: ''
+};
+
+// Fields whose value differs between the before and after snapshots
+const changedFields = (before, after) => {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+    return null;
+  }
+
+  return Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+};
+
+const show = (value) => (value === undefined || value === null ? '-' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Who changed what - the owner's view of the audit log
+function ActivityLog() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [log, setLog] = useState({ items: [], pagination: { page: 1, total: 0, total_pages: 0 } });
+  const [expanded, setExpanded] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchLog = useCallback(async () => {
+    const params = Object.fromEntries(Object.entries(applied).filter(([, value]) => value !== ''));
+
+    try {
+      const response = await api.get('/api/audit-log', { params: { ...params, page } });
+      setLog(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, [applied, page]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  const update = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const search = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+    setPage(1);
+  };
+
+  const reset = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  return (
+    <div className="card">
+      <h3>Activity</h3>
+
+      <form className="inventory-form" onSubmit={search}>
+        <input type="text" value={filters.username} onChange={update('username')} placeholder="Admin username" />
+        <input type="text" value={filters.entity_type} onChange={update('entity_type')} placeholder="Entity (e.g. products)" />
+        <input type="text" value={filters.entity_id} onChange={update('entity_id')} placeholder="Entity ID" />
+        <input type="text" value={filters.action} onChange={update('action')} placeholder="Action (e.g. products.update)" />
+        <select value={filters.outcome} onChange={update('outcome')}>
+          <option value="">All outcomes</option>
+          <option value="success">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <input type="date" value={filters.from} onChange={update('from')} />
+        <input type="date" value={filters.to} onChange={update('to')} />
+        <button type="submit" className="btn-primary">Filter</button>
+        <button type="button" onClick={reset} className="btn-secondary">Reset</button>
+      </form>
+
+      {log.items.length > 0 ? (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Admin</th>
+              <th>Action</th>
+              <th>Target</th>
+              <th>Result</th>
+              <th>IP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {log.items.map(entry => {
+              const changed = changedFields(entry.before_value, entry.after_value);
+
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr>
+                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>{entry.admin_username || '-'}</td>
+                    <td>
+                      <button className="link-btn" onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}>
+                        {entry.action}
+                      </button>
+                      <div className="hint">{entry.method} {entry.route}</div>
+                    </td>
+                    <td>{entry.entity_type}{entry.entity_id && ` #${entry.entity_id}`}</td>
+                    <td className={entry.status_code >= 400 ? 'change-down' : ''}>{entry.status_code}</td>
+                    <td>{entry.ip_address}</td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="audit-details">
+                      <td colSpan="6">
+                        {changed ? (
+                          changed.length > 0 ? (
+                            <table className="data-table">
+                              <thead>
+                                <tr><th>Field</th><th>Before</th><th>After</th></tr>
+                              </thead>
+                              <tbody>
+                                {changed.map(field => (
+                                  <tr key={field}>
+                                    <td>{field}</td>
+                                    <td>{show(entry.before_value[field])}</td>
+                                    <td>{show(entry.after_value[field])}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : <span className="hint">No field changed</span>
+                        ) : (
+                          <>
+                            {entry.before_value && <pre>Before: {JSON.stringify(entry.before_value, null, 2)}</pre>}
+                            <pre>{entry.before_value ? 'After' : 'Request'}: {JSON.stringify(entry.after_value, null, 2)}</pre>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="hint">No activity matches these filters.</p>
+      )}
+
+      {log.pagination.total_pages > 1 && (
+        <div className="pagination">
+          <button className="btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span>Page {log.pagination.page} of {log.pagination.total_pages} ({log.pagination.total} entries)</span>
+          <button
+            className="btn-secondary"
+            disabled={page >= log.pagination.total_pages}
+            onClick={() => setPage(page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ActivityLog;
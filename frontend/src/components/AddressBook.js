@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { useI18n } from '../i18n';
+
+const EMPTY_ADDRESS = {
+  label: '',
+  recipient_name: '',
+  phone: '',
+  address_line1: '',
+  address_line2: '',
+  city: '',
+  governorate: '',
+  postal_code: '',
+  is_default: false
+};
+
+const FIELDS = ['label', 'recipient_name', 'phone', 'address_line1', 'address_line2', 'city', 'governorate', 'postal_code'];
+const REQUIRED_FIELDS = ['recipient_name', 'phone', 'address_line1', 'city'];
+
+// Saved delivery addresses - add, edit, delete and pick the default
+function AddressBook() {
+  const { t, errorMessage } = useI18n();
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.get('/api/account/addresses')
+      .then(response => setAddresses(response.data))
+      .catch(error => setMessage(`❌ ${errorMessage(error)}`));
+  }, [errorMessage]);
+
+  const request = async (send) => {
+    try {
+      const response = await send();
+      setAddresses(response.data.addresses);
+      setForm(null);
+      setEditingId(null);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  const startEdit = (address) => {
+    setEditingId(address.id);
+    setForm(Object.fromEntries(FIELDS.map(field => [field, address[field] || ''])));
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    request(() => (editingId
+      ? api.put(`/api/account/addresses/${editingId}`, form)
+      : api.post('/api/account/addresses', form)));
+  };
+
+  return (
+    <div className="card">
+      <h3><i className="fas fa-map-marker-alt"></i> {t('addresses.title')}</h3>
+
+      {addresses.length === 0 && !form && <p className="hint">{t('addresses.empty')}</p>}
+
+      <div className="address-list">
+        {addresses.map(address => (
+          <div key={address.id} className={`address-tile ${address.is_default ? 'default' : ''}`}>
+            <strong>{address.label || address.recipient_name}</strong>
+            {address.is_default && <span className="hint"> · {t('addresses.default')}</span>}
+            <div>{address.recipient_name} · {address.phone}</div>
+            <div>{[address.address_line1, address.address_line2].filter(Boolean).join(', ')}</div>
+            <div>{[address.city, address.governorate, address.postal_code].filter(Boolean).join(', ')}</div>
+            <div className="address-actions">
+              <button className="link-btn" onClick={() => startEdit(address)}>{t('addresses.edit')}</button>
+              {!address.is_default && (
+                <button
+                  className="link-btn"
+                  onClick={() => request(() => api.put(`/api/account/addresses/${address.id}`, { is_default: true }))}
+                >
+                  {t('addresses.makeDefault')}
+                </button>
+              )}
+              <button
+                className="link-btn"
+                onClick={() => request(() => api.delete(`/api/account/addresses/${address.id}`))}
+              >
+                <i className="fas fa-trash"></i>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {form ? (
+        <form className="inventory-form" onSubmit={save}>
+          {FIELDS.map(field => (
+            <input
+              key={field}
+              type={field === 'phone' ? 'tel' : 'text'}
+              value={form[field]}
+              onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+              placeholder={t(`addresses.${field}`)}
+              required={REQUIRED_FIELDS.includes(field)}
+            />
+          ))}
+          {!editingId && (
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={form.is_default}
+                onChange={(e) => setForm({ ...form, is_default: e.target.checked })}
+              />
+              {t('addresses.makeDefault')}
+            </label>
+          )}
+          <button type="submit" className="btn-primary">{t('addresses.save')}</button>
+          <button type="button" className="btn-secondary" onClick={() => { setForm(null); setEditingId(null); }}>
+            {t('addresses.cancel')}
+          </button>
+        </form>
+      ) : (
+        <button className="btn-secondary" onClick={() => setForm(EMPTY_ADDRESS)}>
+          <i className="fas fa-plus"></i> {t('addresses.add')}
+        </button>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddressBook;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const EMPTY_FORM = {
+  weight: '',
+  carat: '21K',
+  customer_name: '',
+  customer_phone: '',
+  description: '',
+  settlement: 'cash'
+};
+
+function AdminBuyback({ carats }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [valuation, setValuation] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const update = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    if (field === 'weight' || field === 'carat') {
+      setValuation(null);
+    }
+  };
+
+  const fetchTransactions = useCallback(async () => {
+    try {
+      const response = await api.get('/api/buyback');
+      setTransactions(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const value = async () => {
+    try {
+      const response = await api.post('/api/buyback/quote', {
+        weight: parseFloat(form.weight),
+        carat: form.carat
+      });
+      setValuation(response.data.valuation);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const record = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await api.post('/api/buyback', {
+        ...form,
+        weight: parseFloat(form.weight)
+      });
+      setMessage(`✅ ${response.data.message}`);
+      setForm(EMPTY_FORM);
+      setValuation(null);
+      fetchTransactions();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Buyback &amp; Trade-in</h3>
+
+      <form className="inventory-form" onSubmit={record}>
+        <input
+          type="number"
+          step="0.01"
+          value={form.weight}
+          onChange={update('weight')}
+          placeholder="Weight (g)"
+          required
+        />
+        <select value={form.carat} onChange={update('carat')}>
+          {carats.map(carat => (
+            <option key={carat} value={carat}>{carat}</option>
+          ))}
+        </select>
+        <button type="button" onClick={value} disabled={!form.weight} className="btn-secondary">
+          Value
+        </button>
+
+        {valuation && (
+          <table className="data-table">
+            <tbody>
+              <tr><td>Gold value ({valuation.goldPricePerGram} EGP/g)</td><td>{valuation.goldValue} EGP</td></tr>
+              <tr><td>Melting loss ({valuation.meltingLossPercent}%)</td><td>-{valuation.meltingLoss} EGP</td></tr>
+              <tr><td>Buyback spread ({valuation.spreadPercent}%)</td><td>-{valuation.spreadDeduction} EGP</td></tr>
+              <tr><td>Testing fee</td><td>-{valuation.testingFee} EGP</td></tr>
+              <tr><td><strong>Payout</strong></td><td><strong>{valuation.payout} EGP</strong></td></tr>
+            </tbody>
+          </table>
+        )}
+
+        <input
+          type="text"
+          value={form.customer_name}
+          onChange={update('customer_name')}
+          placeholder="Customer name"
+          required
+        />
+        <input
+          type="tel"
+          value={form.customer_phone}
+          onChange={update('customer_phone')}
+          placeholder="Customer phone"
+          required
+        />
+        <input
+          type="text"
+          value={form.description}
+          onChange={update('description')}
+          placeholder="Item description (optional)"
+        />
+        <select value={form.settlement} onChange={update('settlement')}>
+          <option value="cash">Pay cash</option>
+          <option value="credit">Trade-in credit</option>
+        </select>
+        <button type="submit" disabled={!valuation} className="btn-primary">Accept</button>
+      </form>
+
+      {transactions.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Reference</th>
+              <th>Customer</th>
+              <th>Item</th>
+              <th>Payout</th>
+              <th>Settlement</th>
+              <th>Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map(transaction => (
+              <tr key={transaction.id}>
+                <td>{transaction.reference}</td>
+                <td>{transaction.customer_name}<div className="hint">{transaction.customer_phone}</div></td>
+                <td>{transaction.carat} / {transaction.weight}g</td>
+                <td>{Number(transaction.payout_amount).toLocaleString()} EGP</td>
+                <td>
+                  {transaction.settlement === 'cash'
+                    ? 'Cash'
+                    : `Credit (${Number(transaction.credit_remaining).toLocaleString()} EGP left)`}
+                </td>
+                <td>{new Date(transaction.created_at).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminBuyback;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const MOVEMENT_LABELS = {
+  received: 'Received',
+  sold: 'Sold',
+  returned: 'Returned',
+  adjusted: 'Adjusted',
+  transferred: 'Transferred'
+};
+
+function AdminInventory({ products, onStockChange }) {
+  const [lowStock, setLowStock] = useState([]);
+  const [productId, setProductId] = useState('');
+  const [movements, setMovements] = useState([]);
+  const [form, setForm] = useState({ type: 'received', quantity: '', reason: '', reference: '', serials: '' });
+  const [message, setMessage] = useState('');
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const fetchLowStock = useCallback(async () => {
+    try {
+      const response = await api.get('/api/inventory/low-stock');
+      setLowStock(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, []);
+
+  const fetchMovements = useCallback(async () => {
+    if (!productId) {
+      setMovements([]);
+      return;
+    }
+
+    try {
+      const response = await api.get(`/api/products/${productId}/stock-movements`);
+      setMovements(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchLowStock();
+  }, [fetchLowStock]);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [fetchMovements]);
+
+  // One "serial:weight" pair per line registers individually tracked pieces
+  const parsePieces = () => form.serials
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [serial_number, weight] = line.split(':').map(part => part.trim());
+      return { serial_number, weight: parseFloat(weight) };
+    });
+
+  const submit = async (e) => {
+    e.preventDefault();
+
+    try {
+      let response;
+
+      if (form.type === 'received') {
+        const pieces = parsePieces();
+        response = await api.post('/api/inventory/receive', {
+          product_id: parseInt(productId),
+          quantity: parseInt(form.quantity),
+          pieces: pieces.length > 0 ? pieces : undefined,
+          reason: form.reason || undefined,
+          reference: form.reference || undefined
+        });
+      } else {
+        response = await api.post('/api/inventory/movements', {
+          product_id: parseInt(productId),
+          type: form.type,
+          quantity: parseInt(form.quantity),
+          reason: form.reason,
+          reference: form.reference || undefined
+        });
+      }
+
+      setMessage(`✅ ${response.data.message}`);
+      setForm({ ...form, quantity: '', reason: '', reference: '', serials: '' });
+      fetchMovements();
+      fetchLowStock();
+      onStockChange();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Inventory</h3>
+        <button onClick={fetchLowStock} className="link-btn">Refresh</button>
+      </div>
+
+      <h4>Low stock</h4>
+      {lowStock.length === 0 ? (
+        <p className="hint">Nothing is at or below its reorder threshold.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Carat</th>
+              <th>In Stock</th>
+              <th>Reorder At</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lowStock.map(product => (
+              <tr key={product.id} className="clickable" onClick={() => setProductId(String(product.id))}>
+                <td>{product.name}</td>
+                <td>{product.carat}</td>
+                <td>{product.stock_quantity}</td>
+                <td>{product.reorder_threshold}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="inventory-form" onSubmit={submit}>
+        <select value={productId} onChange={(e) => setProductId(e.target.value)} required>
+          <option value="">Select product</option>
+          {products.map(product => (
+            <option key={product.id} value={product.id}>
+              {product.name} ({product.stock_quantity} in stock)
+            </option>
+          ))}
+        </select>
+        <select value={form.type} onChange={update('type')}>
+          <option value="received">Receive goods</option>
+          <option value="adjusted">Adjust (+/-)</option>
+          <option value="transferred">Transfer out</option>
+          <option value="returned">Customer return</option>
+        </select>
+        <input
+          type="number"
+          value={form.quantity}
+          onChange={update('quantity')}
+          placeholder="Quantity"
+          required={!(form.type === 'received' && form.serials.trim())}
+        />
+        <input
+          type="text"
+          value={form.reason}
+          onChange={update('reason')}
+          placeholder={form.type === 'received' ? 'Reason (optional)' : 'Reason'}
+          required={form.type !== 'received'}
+        />
+        <input
+          type="text"
+          value={form.reference}
+          onChange={update('reference')}
+          placeholder="Reference (invoice, branch...)"
+        />
+        {form.type === 'received' && (
+          <textarea
+            value={form.serials}
+            onChange={update('serials')}
+            placeholder="Optional serialized pieces, one per line: SERIAL:weight"
+            rows="3"
+          />
+        )}
+        <button type="submit" className="btn-primary">Record</button>
+      </form>
+
+      {movements.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Qty</th>
+              <th>Reason</th>
+              <th>Reference</th>
+              <th>By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {movements.map(movement => (
+              <tr key={movement.id}>
+                <td>{new Date(movement.created_at).toLocaleString()}</td>
+                <td>{MOVEMENT_LABELS[movement.movement_type]}</td>
+                <td className={movement.quantity < 0 ? 'qty-out' : 'qty-in'}>
+                  {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                </td>
+                <td>
+                  {movement.reason}
+                  {movement.serial_number && <div className="hint">#{movement.serial_number}</div>}
+                </td>
+                <td>{movement.reference}</td>
+                <td>{movement.username || 'system'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminInventory;
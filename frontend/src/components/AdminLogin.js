@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import api, { setAdminToken } from '../api';
+import { useI18n } from '../i18n';
+
+function AdminLogin({ onLogin }) {
+  const { t, errorMessage } = useI18n();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post('/api/auth/login', { username, password });
+      setAdminToken(response.data.token);
+      setPassword('');
+      onLogin(response.data.user);
+    } catch (err) {
+      setError(`❌ ${errorMessage(err)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>{t('login.title')}</h3>
+      <p>{t('login.intro')}</p>
+
+      <form className="login-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder={t('login.username')}
+          autoComplete="username"
+          required
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={t('login.password')}
+          autoComplete="current-password"
+          required
+        />
+        <button type="submit" disabled={loading} className="btn-primary">
+          {loading ? t('login.signingIn') : t('login.submit')}
+        </button>
+      </form>
+
+      {error && (
+        <div className="message">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminLogin;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  paid: 'Paid',
+  ready_for_pickup: 'Ready for Pickup',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+function AdminOrders() {
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [message, setMessage] = useState('');
+  const [tradeInReference, setTradeInReference] = useState('');
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const response = await api.get('/api/orders', { params: { status: statusFilter || undefined } });
+      setOrders(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const openOrder = async (id) => {
+    if (selected?.id === id) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const response = await api.get(`/api/orders/${id}`);
+      setSelected(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const changeStatus = async (status) => {
+    try {
+      const response = await api.put(`/api/orders/${selected.id}/status`, { status });
+      setMessage(`✅ ${response.data.message}`);
+      const refreshed = await api.get(`/api/orders/${selected.id}`);
+      setSelected(refreshed.data);
+      fetchOrders();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const applyTradeIn = async () => {
+    try {
+      const response = await api.post(`/api/orders/${selected.id}/trade-in`, { reference: tradeInReference });
+      setMessage(`✅ ${response.data.message}`);
+      setTradeInReference('');
+      const refreshed = await api.get(`/api/orders/${selected.id}`);
+      setSelected(refreshed.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Orders</h3>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="">All statuses</option>
+          {Object.entries(STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {orders.length === 0 ? (
+        <p>No orders found.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Order</th>
+              <th>Customer</th>
+              <th>Items</th>
+              <th>Total</th>
+              <th>Status</th>
+              <th>Placed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => (
+              <tr
+                key={order.id}
+                className={`clickable ${selected?.id === order.id ? 'selected' : ''}`}
+                onClick={() => openOrder(order.id)}
+              >
+                <td>{order.order_number}</td>
+                <td>{order.customer_name}<div className="hint">{order.customer_phone}</div></td>
+                <td>{order.item_count}</td>
+                <td>{Number(order.total_amount).toLocaleString()} EGP</td>
+                <td><span className={`status-badge status-${order.status}`}>{STATUS_LABELS[order.status]}</span></td>
+                <td>{new Date(order.created_at).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && (
+        <div className="order-details">
+          <h3>{selected.order_number}</h3>
+          {selected.shipping_address && (
+            <p className="hint">
+              <i className="fas fa-truck"></i> {selected.shipping_address.recipient_name},
+              {' '}{[
+                selected.shipping_address.address_line1,
+                selected.shipping_address.address_line2,
+                selected.shipping_address.city,
+                selected.shipping_address.governorate,
+                selected.shipping_address.postal_code
+              ].filter(Boolean).join(', ')} ({selected.shipping_address.phone})
+            </p>
+          )}
+
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Qty</th>
+                <th>Carat / Weight</th>
+                <th>Gold Price</th>
+                <th>Gold Value</th>
+                <th>Making</th>
+                <th>Unit Price</th>
+                <th>Line Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.items.map(item => (
+                <tr key={item.id}>
+                  <td>{item.product_name}</td>
+                  <td>{item.quantity}</td>
+                  <td>{item.carat} / {item.weight}g</td>
+                  <td>{item.gold_price_per_gram} EGP/g</td>
+                  <td>{item.gold_value} EGP</td>
+                  <td>{item.making_charges} EGP</td>
+                  <td>{item.unit_price} EGP</td>
+                  <td>{item.line_total} EGP</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {Number(selected.trade_in_credit) > 0 ? (
+            <p>
+              Trade-in {selected.trade_in_reference}: -{selected.trade_in_credit} EGP
+              {' '}— amount due <strong>{selected.amount_due} EGP</strong>
+            </p>
+          ) : selected.status === 'pending' && (
+            <div className="input-group">
+              <input
+                type="text"
+                value={tradeInReference}
+                onChange={(e) => setTradeInReference(e.target.value)}
+                placeholder="Trade-in reference (BB-...)"
+              />
+              <button onClick={applyTradeIn} disabled={!tradeInReference} className="btn-secondary">
+                Apply Credit
+              </button>
+            </div>
+          )}
+
+          <ul className="status-history">
+            {selected.status_history.map(entry => (
+              <li key={entry.id}>
+                {new Date(entry.changed_at).toLocaleString()} — {STATUS_LABELS[entry.to_status]}
+                {entry.username && ` by ${entry.username}`}
+                {entry.note && ` (${entry.note})`}
+              </li>
+            ))}
+          </ul>
+
+          <div className="actions">
+            {selected.allowed_transitions.map(status => (
+              <button key={status} onClick={() => changeStatus(status)} className="btn-secondary">
+                Mark as {STATUS_LABELS[status]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminOrders;
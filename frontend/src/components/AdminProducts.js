@@ -0,0 +1,405 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const EMPTY_FORM = {
+  sku: '',
+  name: '',
+  name_ar: '',
+  weight: '',
+  carat: '21K',
+  making_charges: '5',
+  profit_margin: '10',
+  category: '',
+  stock_quantity: '0',
+  reorder_threshold: '0',
+  description: '',
+  description_ar: ''
+};
+
+const PREVIEW_DELAY_MS = 400;
+
+// Same rules as the server - returns { field: message } for every invalid field
+const validate = (form) => {
+  const errors = {};
+  const number = (field) => parseFloat(form[field]);
+  const wholeNumber = (field) => form[field] === '' || (Number.isInteger(Number(form[field])) && Number(form[field]) >= 0);
+
+  if (!form.name.trim()) errors.name = 'Name is required';
+  if (form.name.length > 255) errors.name = 'At most 255 characters';
+  if (form.name_ar.length > 255) errors.name_ar = 'At most 255 characters';
+  if (form.sku.length > 64) errors.sku = 'At most 64 characters';
+  if (!(number('weight') > 0 && number('weight') < 100000)) errors.weight = 'Weight must be a positive number of grams';
+  if (form.making_charges !== '' && !(number('making_charges') >= 0 && number('making_charges') < 1000)) {
+    errors.making_charges = 'Between 0 and 999.99';
+  }
+  if (form.profit_margin !== '' && !(number('profit_margin') >= 0 && number('profit_margin') < 1000)) {
+    errors.profit_margin = 'Between 0 and 999.99';
+  }
+  if (form.category.length > 100) errors.category = 'At most 100 characters';
+  if (!wholeNumber('stock_quantity')) errors.stock_quantity = 'A whole number, zero or more';
+  if (!wholeNumber('reorder_threshold')) errors.reorder_threshold = 'A whole number, zero or more';
+
+  return errors;
+};
+
+// Admin catalog: every product including inactive ones, create/edit with a
+// live price preview, deactivate/restore and price history
+function AdminProducts({ carats, onProductsChange }) {
+  const [products, setProducts] = useState([]);
+  const [status, setStatus] = useState('all');
+  const [query, setQuery] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const errors = validate(form);
+  const isValid = Object.keys(errors).length === 0;
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const fetchProducts = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/products', {
+        params: { status: status === 'all' ? undefined : status, q: query || undefined }
+      });
+      setProducts(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, [status, query]);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  // Re-price the form a moment after typing stops
+  const { weight, carat, making_charges, profit_margin, category } = form;
+  const pricedFieldsValid = !errors.weight && !errors.making_charges && !errors.profit_margin;
+  useEffect(() => {
+    if (!showForm || !pricedFieldsValid) {
+      setPreview(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/api/products/price-preview', {
+          params: {
+            id: editing?.id,
+            weight,
+            carat,
+            making_charges: making_charges || undefined,
+            profit_margin: profit_margin || undefined,
+            category: category || undefined,
+            pricing_rule_set_id: editing?.pricing_rule_set_id || undefined
+          }
+        });
+        setPreview(response.data.price_breakdown);
+      } catch (error) {
+        setPreview(null);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [showForm, pricedFieldsValid, editing, weight, carat, making_charges, profit_margin, category]);
+
+  const startCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const startEdit = (product) => {
+    setEditing(product);
+    setForm({
+      sku: product.sku || '',
+      name: product.name,
+      name_ar: product.name_ar || '',
+      weight: String(parseFloat(product.weight)),
+      carat: product.carat,
+      making_charges: String(parseFloat(product.making_charges)),
+      profit_margin: String(parseFloat(product.profit_margin)),
+      category: product.category || '',
+      stock_quantity: String(product.stock_quantity),
+      reorder_threshold: String(product.reorder_threshold || 0),
+      description: product.description || '',
+      description_ar: product.description_ar || ''
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const afterChange = (text) => {
+    setMessage(`✅ ${text}`);
+    fetchProducts();
+    onProductsChange();
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+
+    // On edit the stock count is only sent when it was changed here, together with
+    // the count it was changed from, so a sale made meanwhile is not overwritten
+    const stockEdited = !editing || parseInt(form.stock_quantity) !== editing.stock_quantity;
+
+    const body = {
+      sku: form.sku.trim() || undefined,
+      name: form.name.trim(),
+      name_ar: form.name_ar.trim(),
+      weight: parseFloat(form.weight),
+      carat: form.carat,
+      making_charges: form.making_charges === '' ? undefined : parseFloat(form.making_charges),
+      profit_margin: form.profit_margin === '' ? undefined : parseFloat(form.profit_margin),
+      category: form.category.trim() || undefined,
+      stock_quantity: form.stock_quantity === '' || !stockEdited ? undefined : parseInt(form.stock_quantity),
+      expected_stock_quantity: editing && stockEdited ? editing.stock_quantity : undefined,
+      reorder_threshold: form.reorder_threshold === '' ? undefined : parseInt(form.reorder_threshold),
+      description: form.description,
+      description_ar: form.description_ar
+    };
+
+    try {
+      const response = editing
+        ? await api.put(`/api/products/${editing.id}`, body)
+        : await api.post('/api/products', body);
+      closeForm();
+      afterChange(response.data.message);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const setActive = async (product, isActive) => {
+    try {
+      await api.put(`/api/products/${product.id}`, { is_active: isActive });
+      afterChange(`${product.name} ${isActive ? 'restored' : 'deactivated'}`);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const showHistory = async (product) => {
+    if (history?.product.id === product.id) {
+      setHistory(null);
+      return;
+    }
+
+    try {
+      const response = await api.get(`/api/products/${product.id}/price-history`);
+      setHistory({ product, entries: response.data });
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const field = (name, input) => (
+    <label className="form-field">
+      {input}
+      {errors[name] && form[name] !== EMPTY_FORM[name] && <span className="field-error">{errors[name]}</span>}
+    </label>
+  );
+
+  return (
+    <div className="card">
+      <h3>Products</h3>
+
+      <div className="input-group">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name or SKU"
+        />
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="all">All products</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+        <button onClick={startCreate} className="btn-primary">
+          <i className="fas fa-plus"></i> New Product
+        </button>
+      </div>
+
+      {showForm && (
+        <form className="inventory-form" onSubmit={save}>
+          <h4>{editing ? `Edit ${editing.name}` : 'New product'}</h4>
+          {field('name', <input type="text" value={form.name} onChange={update('name')} placeholder="Name" />)}
+          {field('name_ar', (
+            <input type="text" dir="rtl" value={form.name_ar} onChange={update('name_ar')} placeholder="Arabic name (optional)" />
+          ))}
+          {field('sku', <input type="text" value={form.sku} onChange={update('sku')} placeholder="SKU (optional)" />)}
+          {field('weight', (
+            <input type="number" step="0.001" value={form.weight} onChange={update('weight')} placeholder="Weight (g)" />
+          ))}
+          <select value={form.carat} onChange={update('carat')}>
+            {carats.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          {field('making_charges', (
+            <input
+              type="number"
+              step="0.01"
+              value={form.making_charges}
+              onChange={update('making_charges')}
+              placeholder="Making charges (%)"
+            />
+          ))}
+          {field('profit_margin', (
+            <input
+              type="number"
+              step="0.01"
+              value={form.profit_margin}
+              onChange={update('profit_margin')}
+              placeholder="Profit margin (%)"
+            />
+          ))}
+          {field('category', (
+            <input
+              type="text"
+              list="product-categories"
+              value={form.category}
+              onChange={update('category')}
+              placeholder="Category"
+            />
+          ))}
+          <datalist id="product-categories">
+            {[...new Set(products.map(product => product.category).filter(Boolean))].sort().map(option => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+          {field('stock_quantity', (
+            <input type="number" value={form.stock_quantity} onChange={update('stock_quantity')} placeholder="Stock" />
+          ))}
+          {field('reorder_threshold', (
+            <input
+              type="number"
+              value={form.reorder_threshold}
+              onChange={update('reorder_threshold')}
+              placeholder="Reorder at"
+            />
+          ))}
+          <textarea value={form.description} onChange={update('description')} placeholder="Description" />
+          <textarea
+            dir="rtl"
+            value={form.description_ar}
+            onChange={update('description_ar')}
+            placeholder="Arabic description (optional)"
+          />
+
+          {preview && (
+            <table className="data-table">
+              <tbody>
+                <tr><td>Gold ({preview.goldPricePerGram} EGP/g)</td><td>{preview.goldValue.toLocaleString()} EGP</td></tr>
+                <tr><td>Making charges</td><td>{preview.makingCharges.toLocaleString()} EGP</td></tr>
+                <tr><td>Profit ({preview.profitMarginPercent}%)</td><td>{preview.profit.toLocaleString()} EGP</td></tr>
+                {preview.componentsValue > 0 && (
+                  <tr><td>Stones &amp; fittings</td><td>{preview.componentsValue.toLocaleString()} EGP</td></tr>
+                )}
+                {preview.vat > 0 && <tr><td>VAT ({preview.vatPercent}%)</td><td>{preview.vat.toLocaleString()} EGP</td></tr>}
+                <tr>
+                  <td>
+                    <strong>Selling price</strong>
+                    {preview.pricingRuleSet && <div className="hint">Rule set: {preview.pricingRuleSet}</div>}
+                  </td>
+                  <td><strong>{preview.sellingPrice.toLocaleString()} EGP</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+
+          <button type="submit" disabled={!isValid} className="btn-primary">
+            {editing ? 'Save Product' : 'Add Product'}
+          </button>
+          <button type="button" onClick={closeForm} className="btn-secondary">Cancel</button>
+        </form>
+      )}
+
+      {products.length > 0 ? (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Carat / Weight</th>
+              <th>Category</th>
+              <th>Stock</th>
+              <th>Price</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map(product => (
+              <tr key={product.id} className={product.is_active ? '' : 'unavailable'}>
+                <td>
+                  {product.name}
+                  {product.sku && <div className="hint">{product.sku}</div>}
+                  {!product.is_active && <div className="hint">Inactive</div>}
+                </td>
+                <td>{product.carat} / {parseFloat(product.weight)}g</td>
+                <td>{product.category}</td>
+                <td>{product.stock_quantity}</td>
+                <td>{Number(product.selling_price).toLocaleString()} EGP</td>
+                <td>
+                  <button className="link-btn" onClick={() => startEdit(product)}>Edit</button>{' '}
+                  <button className="link-btn" onClick={() => showHistory(product)}>History</button>{' '}
+                  {product.is_active
+                    ? <button className="link-btn" onClick={() => setActive(product, false)}>Deactivate</button>
+                    : <button className="link-btn" onClick={() => setActive(product, true)}>Restore</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="hint">No products found</p>
+      )}
+
+      {history && (
+        <>
+          <h4>Price history: {history.product.name}</h4>
+          {history.entries.length > 0 ? (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Old Price</th>
+                  <th>New Price</th>
+                  <th>Gold (EGP/g)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{new Date(entry.changed_at).toLocaleString()}</td>
+                    <td>{entry.old_price === null ? '-' : `${Number(entry.old_price).toLocaleString()} EGP`}</td>
+                    <td>{Number(entry.new_price).toLocaleString()} EGP</td>
+                    <td>{entry.gold_price_per_gram ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="hint">No price changes recorded yet</p>
+          )}
+        </>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminProducts;
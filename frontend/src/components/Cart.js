@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { indicativePrice } from '../currency';
+import { useI18n } from '../i18n';
+
+const EMPTY_DETAILS = {
+  customer_name: '', customer_phone: '', customer_email: '', trade_in_reference: '', address_id: ''
+};
+
+function Cart({ cart, onCartChange, notice, displayRate, customer }) {
+  const { t, locale, formatNumber, formatPrice, localized, errorMessage } = useI18n();
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [addresses, setAddresses] = useState([]);
+  const [placing, setPlacing] = useState(false);
+  const [message, setMessage] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  // Signed-in customers start from their account details and default address
+  useEffect(() => {
+    if (!customer) {
+      setAddresses([]);
+      return;
+    }
+
+    api.get('/api/account/addresses')
+      .then(response => {
+        const address = response.data.find(item => item.is_default);
+        setAddresses(response.data);
+        setDetails(current => ({
+          ...current,
+          customer_name: current.customer_name || address?.recipient_name || customer.name,
+          customer_phone: current.customer_phone || address?.phone || customer.phone || '',
+          customer_email: current.customer_email || customer.email,
+          address_id: address ? String(address.id) : ''
+        }));
+      })
+      .catch(() => setAddresses([]));
+  }, [customer]);
+
+  const chooseAddress = (addressId) => {
+    const address = addresses.find(item => String(item.id) === addressId);
+    setDetails({
+      ...details,
+      address_id: addressId,
+      ...(address ? { customer_name: address.recipient_name, customer_phone: address.phone } : {})
+    });
+  };
+
+  // Any change to the cart invalidates the locked prices
+  useEffect(() => {
+    setQuote(null);
+  }, [cart]);
+
+  // Count down the quote's remaining lifetime
+  useEffect(() => {
+    if (!quote) return undefined;
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.floor((new Date(quote.expires_at) - Date.now()) / 1000)));
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [quote]);
+
+  const requestQuote = async () => {
+    try {
+      const response = await api.post(`/api/cart/${cart.token}/quote`);
+      setQuote(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  const updateQuantity = async (productId, quantity) => {
+    try {
+      const response = await api.put(`/api/cart/${cart.token}/items/${productId}`, { quantity });
+      onCartChange(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  const checkout = async (e) => {
+    e.preventDefault();
+
+    // First step: lock the prices, second step: confirm the order
+    if (!quote || secondsLeft === 0) {
+      await requestQuote();
+      return;
+    }
+
+    setPlacing(true);
+
+    try {
+      const response = await api.post(`/api/cart/${cart.token}/checkout`, {
+        ...details,
+        trade_in_reference: details.trade_in_reference || undefined,
+        address_id: details.address_id || undefined,
+        quote_id: quote.quote_id
+      });
+      const placed = response.data.order;
+      const credit = placed.trade_in_credit > 0
+        ? ` ${t('cart.tradeInCredit', { credit: formatPrice(placed.trade_in_credit), due: formatPrice(placed.amount_due) })}`
+        : '';
+      setMessage(`✅ ${t('cart.orderPlaced', {
+        order: placed.order_number,
+        total: formatPrice(placed.total_amount)
+      })}${credit}`);
+      setDetails(customer ? { ...details, trade_in_reference: '' } : EMPTY_DETAILS);
+
+      const refreshed = await api.get(`/api/cart/${cart.token}`);
+      onCartChange(refreshed.data);
+    } catch (error) {
+      const unavailable = error.response?.data?.unavailable;
+      const details = unavailable
+        ? ` (${unavailable.map(item => t('cart.itemLeft', {
+          id: item.product_id,
+          available: formatNumber(item.available)
+        })).join(', ')})`
+        : '';
+      setMessage(`❌ ${errorMessage(error)}${details}`);
+
+      // Expired or stale quotes need to be requested again
+      if ([400, 404, 409, 410].includes(error.response?.status)) {
+        setQuote(null);
+      }
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  const feedback = message || notice;
+
+  if (!cart || cart.items.length === 0) {
+    return feedback ? <div className="message">{feedback}</div> : null;
+  }
+
+  return (
+    <section className="cart-section">
+      <h2><i className="fas fa-shopping-cart"></i> {t('cart.title', { count: formatNumber(cart.item_count) })}</h2>
+
+      <div className="card">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>{t('cart.product')}</th>
+              <th>{t('cart.unitPrice')}</th>
+              <th>{t('cart.quantity')}</th>
+              <th>{t('cart.total')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {cart.items.map(item => (
+              <tr key={item.product_id} className={item.available ? '' : 'unavailable'}>
+                <td>
+                  {localized(item, 'name')} <span className="carat-badge">{item.carat}</span>
+                  <div className="hint">
+                    {t('cart.goldAt', {
+                      weight: formatNumber(item.weight),
+                      price: formatPrice(item.price_breakdown.goldPricePerGram)
+                    })}
+                  </div>
+                  {item.price_breakdown.componentsValue > 0 && (
+                    <div className="hint">
+                      + {item.price_breakdown.components.map(component => component.name).join(', ')}
+                      {' '}({formatPrice(item.price_breakdown.componentsValue)})
+                    </div>
+                  )}
+                  {item.price_breakdown.vat > 0 && (
+                    <div className="hint">
+                      {t('cart.itemVat', {
+                        percent: formatNumber(item.price_breakdown.vatPercent),
+                        vat: formatPrice(item.price_breakdown.vat)
+                      })}
+                    </div>
+                  )}
+                  {!item.available && <div className="hint">{t('cart.notEnoughStock')}</div>}
+                </td>
+                <td>{formatPrice(item.unit_price)}</td>
+                <td>
+                  <div className="quantity-control">
+                    <button onClick={() => updateQuantity(item.product_id, item.quantity - 1)}>−</button>
+                    <span>{formatNumber(item.quantity)}</span>
+                    <button onClick={() => updateQuantity(item.product_id, item.quantity + 1)}>+</button>
+                  </div>
+                </td>
+                <td>{formatPrice(item.line_total)}</td>
+                <td>
+                  <button className="link-btn" onClick={() => updateQuantity(item.product_id, 0)}>
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="cart-total">
+          {t('cart.totalLabel')} <strong>{formatPrice(cart.total)}</strong>
+          {displayRate && (
+            <div className="indicative">
+              {indicativePrice(cart.total, displayRate, locale)} - {t('cart.indicativeNote')}
+            </div>
+          )}
+          {cart.vat_total > 0 && <div className="hint">{t('cart.vatTotal', { vat: formatPrice(cart.vat_total) })}</div>}
+        </div>
+
+        {quote && (
+          <div className={`quote-box ${secondsLeft === 0 ? 'expired' : ''}`}>
+            {secondsLeft > 0 ? (
+              <>
+                <i className="fas fa-lock"></i> {t('cart.quoteLocked')}{' '}
+                <strong>{formatPrice(quote.total)}</strong>
+                {' '}{t('cart.quoteFor', {
+                  time: `${formatNumber(Math.floor(secondsLeft / 60))}:${formatNumber(secondsLeft % 60, { minimumIntegerDigits: 2 })}`
+                })}
+              </>
+            ) : (
+              <>
+                <i className="fas fa-clock"></i> {t('cart.quoteExpired')}
+              </>
+            )}
+          </div>
+        )}
+
+        <form className="checkout-form" onSubmit={checkout}>
+          <h3>{t('cart.checkout')}</h3>
+          <input
+            type="text"
+            value={details.customer_name}
+            onChange={(e) => setDetails({ ...details, customer_name: e.target.value })}
+            placeholder={t('cart.fullName')}
+            required
+          />
+          <input
+            type="tel"
+            value={details.customer_phone}
+            onChange={(e) => setDetails({ ...details, customer_phone: e.target.value })}
+            placeholder={t('cart.phone')}
+            required
+          />
+          <input
+            type="email"
+            value={details.customer_email}
+            onChange={(e) => setDetails({ ...details, customer_email: e.target.value })}
+            placeholder={t('cart.email')}
+          />
+          {addresses.length > 0 && (
+            <select value={details.address_id} onChange={(e) => chooseAddress(e.target.value)}>
+              <option value="">{t('cart.pickup')}</option>
+              {addresses.map(address => (
+                <option key={address.id} value={address.id}>
+                  {t('cart.shipTo', { address: address.label || `${address.address_line1}, ${address.city}` })}
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={details.trade_in_reference}
+            onChange={(e) => setDetails({ ...details, trade_in_reference: e.target.value })}
+            placeholder={t('cart.tradeInReference')}
+          />
+          <button type="submit" disabled={placing} className="btn-primary">
+            {placing
+              ? t('cart.placing')
+              : quote && secondsLeft > 0 ? t('cart.confirm') : t('cart.lockPrice')}
+          </button>
+        </form>
+
+        {feedback && (
+          <div className="message">
+            {feedback}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default Cart;
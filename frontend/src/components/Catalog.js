@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import ProductFilters from './ProductFilters';
+import ProductCard from './ProductCard';
+import { useI18n } from '../i18n';
+
+const EMPTY_FILTERS = { q: '', category: [], carat: [], price: null, sort: '', page: 1 };
+
+// Searchable product grid with filters and pages. With `category` the grid
+// is limited to that category. refreshKey changes (e.g. live repricing) search again.
+function Catalog({ category, refreshKey, displayRate, onAddToCart, onAddToWishlist }) {
+  const { t, formatNumber, errorMessage } = useI18n();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [results, setResults] = useState({
+    items: [],
+    pagination: { page: 1, total: 0, total_pages: 0 },
+    facets: { category: [], carat: [], price: [] }
+  });
+  const [message, setMessage] = useState('');
+
+  // A different category page starts from scratch
+  useEffect(() => {
+    setFilters(EMPTY_FILTERS);
+  }, [category]);
+
+  const searchProducts = useCallback(async () => {
+    try {
+      const response = await api.get('/api/search/products', {
+        params: {
+          q: filters.q || undefined,
+          category: category || filters.category.join(',') || undefined,
+          carat: filters.carat.join(',') || undefined,
+          min_price: filters.price?.min || undefined,
+          max_price: filters.price?.max || undefined,
+          sort: filters.sort || undefined,
+          page: filters.page
+        }
+      });
+      setResults(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  }, [filters, category, errorMessage]);
+
+  useEffect(() => {
+    searchProducts();
+  }, [searchProducts, refreshKey]);
+
+  return (
+    <div className="catalog">
+      <ProductFilters
+        key={category || ''}
+        filters={filters}
+        facets={category ? { ...results.facets, category: [] } : results.facets}
+        onChange={setFilters}
+      />
+
+      <div>
+        {message && (
+          <div className="message">
+            {message}
+          </div>
+        )}
+        {results.items.length > 0 && <p className="hint">{t('catalog.count', { count: formatNumber(results.pagination.total) })}</p>}
+        {results.items.length === 0 && (
+          <div className="empty-state">
+            <i className="fas fa-search"></i>
+            <p>{t('catalog.noMatches')}</p>
+          </div>
+        )}
+        <div className="products-grid">
+          {results.items.map(product => (
+            <ProductCard
+              key={product.id}
+              product={product}
+              displayRate={displayRate}
+              onAddToCart={onAddToCart}
+              onAddToWishlist={onAddToWishlist}
+            />
+          ))}
+        </div>
+
+        {results.pagination.total_pages > 1 && (
+          <div className="pagination">
+            <button
+              className="btn-secondary"
+              disabled={filters.page <= 1}
+              onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+            >
+              {t('catalog.previous')}
+            </button>
+            <span>
+              {t('catalog.page', {
+                page: formatNumber(results.pagination.page),
+                pages: formatNumber(results.pagination.total_pages)
+              })}
+            </span>
+            <button
+              className="btn-secondary"
+              disabled={filters.page >= results.pagination.total_pages}
+              onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+            >
+              {t('catalog.next')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Catalog;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import api from '../api';
+
+const ACTION_LABELS = { create: 'New', update: 'Update', unchanged: 'Unchanged' };
+
+// Bulk CSV/JSON catalog import (checked with a dry run first) and export
+function CatalogImport({ onImport }) {
+  const [file, setFile] = useState(null);
+  const [upsert, setUpsert] = useState(true);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const chooseFile = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setMessage('');
+  };
+
+  const send = async (dryRun) => {
+    const text = await file.text();
+    const params = { dry_run: dryRun, upsert };
+
+    if (file.name.toLowerCase().endsWith('.json')) {
+      const parsed = JSON.parse(text);
+      return api.post('/api/products/import', Array.isArray(parsed) ? { products: parsed } : parsed, { params });
+    }
+
+    return api.post('/api/products/import', text, { params, headers: { 'Content-Type': 'text/csv' } });
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+
+    try {
+      const response = await send(dryRun);
+      setReport(response.data);
+      setMessage(dryRun
+        ? (response.data.valid ? '✅ Every row is valid' : `❌ ${response.data.errors.length} row(s) have errors`)
+        : `✅ ${response.data.message}`);
+
+      if (!dryRun) {
+        onImport();
+      }
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setReport(error.response.data);
+      }
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+
+    setBusy(false);
+  };
+
+  const download = async (format) => {
+    try {
+      const response = await api.get('/api/products/export', { params: { format }, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Catalog Import &amp; Export</h3>
+      <p>
+        CSV or JSON with the export's columns. Rows are matched on <code>sku</code>; blank cells keep the current value.
+        Check the file first - nothing is imported unless every row is valid.
+      </p>
+
+      <div className="inventory-form">
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={chooseFile} />
+        <label className="checkbox-label">
+          <input type="checkbox" checked={upsert} onChange={(e) => { setUpsert(e.target.checked); setReport(null); }} />
+          Update existing SKUs
+        </label>
+        <button type="button" onClick={() => run(true)} disabled={!file || busy} className="btn-secondary">Check</button>
+        <button
+          type="button"
+          onClick={() => run(false)}
+          disabled={!report?.dry_run || !report.valid || busy}
+          className="btn-primary"
+        >
+          Import
+        </button>
+        <button type="button" onClick={() => download('csv')} className="btn-secondary">Export CSV</button>
+        <button type="button" onClick={() => download('json')} className="btn-secondary">Export JSON</button>
+      </div>
+
+      {report?.summary && (
+        <p className="hint">
+          {report.summary.rows} rows: {report.summary.create} new, {report.summary.update} updated,
+          {' '}{report.summary.unchanged} unchanged, {report.summary.errors} with errors
+        </p>
+      )}
+
+      {report?.errors?.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>SKU</th>
+              <th>Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.errors.map(row => (
+              <tr key={row.row}>
+                <td>{row.row}</td>
+                <td>{row.sku || '-'}</td>
+                <td>{row.errors.join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {report?.items?.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>SKU</th>
+              <th>Product</th>
+              <th>Action</th>
+              <th>Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.items.map(item => (
+              <tr key={item.row}>
+                <td>{item.row}</td>
+                <td>{item.sku}</td>
+                <td>{item.name}</td>
+                <td>
+                  {ACTION_LABELS[item.action]}
+                  {item.changes.length > 0 && <div className="hint">{item.changes.join(', ')}</div>}
+                </td>
+                <td>
+                  {item.old_price !== null && item.old_price !== item.selling_price && (
+                    <span className="hint">{item.old_price.toLocaleString()} → </span>
+                  )}
+                  {item.selling_price.toLocaleString()} EGP
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CatalogImport;
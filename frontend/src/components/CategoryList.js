@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { useI18n } from '../i18n';
+
+// Every category with active products, from GET /api/categories
+function CategoryList() {
+  const { t, errorMessage } = useI18n();
+  const [categories, setCategories] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.get('/api/categories')
+      .then(response => setCategories(response.data))
+      .catch(error => setMessage(`❌ ${errorMessage(error)}`));
+  }, [errorMessage]);
+
+  return (
+    <section className="products-section">
+      <h2><i className="fas fa-th-large"></i> {t('nav.categories')}</h2>
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+
+      {categories?.length === 0 && (
+        <div className="empty-state">
+          <i className="fas fa-box-open"></i>
+          <p>{t('categories.empty')}</p>
+        </div>
+      )}
+
+      {categories?.length > 0 && (
+        <div className="category-grid">
+          {categories.map(category => (
+            <Link key={category} to={`/category/${encodeURIComponent(category)}`} className="category-tile">
+              {category}
+            </Link>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default CategoryList;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Catalog from './Catalog';
+import { useI18n } from '../i18n';
+
+function CategoryPage({ refreshKey, displayRate, onAddToCart, onAddToWishlist }) {
+  const { t } = useI18n();
+  const { category } = useParams();
+
+  return (
+    <section className="products-section">
+      <nav className="breadcrumbs">
+        <Link to="/">{t('nav.home')}</Link> / <Link to="/categories">{t('nav.categories')}</Link> / {category}
+      </nav>
+      <h2><i className="fas fa-shopping-bag"></i> {category}</h2>
+
+      <Catalog
+        category={category}
+        refreshKey={refreshKey}
+        displayRate={displayRate}
+        onAddToCart={onAddToCart}
+        onAddToWishlist={onAddToWishlist}
+      />
+    </section>
+  );
+}
+
+export default CategoryPage;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import api, { setCustomerToken } from '../api';
+import { useI18n } from '../i18n';
+
+const EMPTY_FORM = { name: '', email: '', phone: '', password: '' };
+
+// Customer sign-in and registration
+function CustomerAuth({ onLogin }) {
+  const { t, errorMessage } = useI18n();
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = mode === 'login'
+        ? await api.post('/api/account/login', { email: form.email, password: form.password })
+        : await api.post('/api/account/register', form);
+      setCustomerToken(response.data.token);
+      setForm(EMPTY_FORM);
+      onLogin(response.data.customer);
+    } catch (err) {
+      setError(`❌ ${errorMessage(err)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError('');
+  };
+
+  return (
+    <div className="card account-auth">
+      <h3>{mode === 'login' ? t('account.signInTitle') : t('account.registerTitle')}</h3>
+      <p>{t('account.intro')}</p>
+
+      <form className="login-form" onSubmit={handleSubmit}>
+        {mode === 'register' && (
+          <input type="text" value={form.name} onChange={update('name')} placeholder={t('account.name')} required />
+        )}
+        <input
+          type="email"
+          value={form.email}
+          onChange={update('email')}
+          placeholder={t('account.email')}
+          autoComplete="email"
+          required
+        />
+        {mode === 'register' && (
+          <input type="tel" value={form.phone} onChange={update('phone')} placeholder={t('account.phone')} />
+        )}
+        <input
+          type="password"
+          value={form.password}
+          onChange={update('password')}
+          placeholder={t('account.password')}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          minLength={mode === 'register' ? 8 : undefined}
+          required
+        />
+        <button type="submit" disabled={loading} className="btn-primary">
+          {loading ? t('common.loading') : mode === 'login' ? t('account.signIn') : t('account.register')}
+        </button>
+      </form>
+
+      <button type="button" className="link-btn" onClick={switchMode}>
+        {mode === 'login' ? t('account.needAccount') : t('account.haveAccount')}
+      </button>
+
+      {error && (
+        <div className="message">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CustomerAuth;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+function ExchangeRates({ rates, onRatesChange }) {
+  const [currency, setCurrency] = useState('USD');
+  const [rate, setRate] = useState('');
+  const [history, setHistory] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await api.get('/api/exchange-rates/history');
+      setHistory(response.data.slice(0, 10));
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const save = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await api.post('/api/exchange-rates', {
+        currency: currency.trim().toUpperCase(),
+        egp_per_unit: parseFloat(rate)
+      });
+      setMessage(`✅ ${response.data.message}`);
+      setRate('');
+      fetchHistory();
+      onRatesChange();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Exchange Rates</h3>
+      <p>Used for indicative prices in other currencies. Orders are always charged in EGP.</p>
+
+      {rates.length > 0 && (
+        <div className="price-board">
+          {rates.map(current => (
+            <div key={current.currency} className="board-item">
+              1 {current.currency} = <strong>{current.egp_per_unit}</strong> EGP
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form className="input-group" onSubmit={save}>
+        <input
+          type="text"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          placeholder="Currency (e.g. SAR)"
+          maxLength="3"
+          required
+        />
+        <input
+          type="number"
+          step="0.0001"
+          value={rate}
+          onChange={(e) => setRate(e.target.value)}
+          placeholder="EGP per unit"
+          required
+        />
+        <button type="submit" className="btn-primary">Set Rate</button>
+      </form>
+
+      {history.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Currency</th>
+              <th>EGP per Unit</th>
+              <th>Set By</th>
+              <th>Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(entry => (
+              <tr key={entry.id}>
+                <td>{entry.currency}</td>
+                <td>{entry.egp_per_unit}</td>
+                <td>{entry.username || '-'}</td>
+                <td>{new Date(entry.created_at).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExchangeRates;
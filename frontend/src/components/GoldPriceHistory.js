@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import PriceChart from './PriceChart';
+import { useI18n } from '../i18n';
+
+const INTERVALS = ['hour', 'day', 'week'];
+
+function GoldPriceHistory({ carats, refreshKey }) {
+  const { t, formatNumber, formatPrice, formatDate, formatDateTime, errorMessage } = useI18n();
+  const [carat, setCarat] = useState('24K');
+  const [interval, setBucketInterval] = useState('day');
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get('/api/gold-price/history', { params: { carat, interval } })
+      .then(response => {
+        setHistory(response.data);
+        setError('');
+      })
+      .catch(err => setError(errorMessage(err)));
+  }, [carat, interval, refreshKey, errorMessage]);
+
+  const summary = history?.summary;
+
+  const formatLabel = (iso) => (interval === 'hour'
+    ? formatDateTime(iso, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : formatDate(iso, { month: 'short', day: 'numeric' }));
+
+  return (
+    <section className="history-section">
+      <h2><i className="fas fa-chart-line"></i> {t('history.title')}</h2>
+
+      <div className="card">
+        <div className="card-header">
+          <div className="chart-summary">
+            {summary && (
+              <>
+                <strong>{t('unit.perGram', { price: formatPrice(summary.close) })}</strong>
+                <span className={summary.change_percent >= 0 ? 'up' : 'down'}>
+                  {summary.change_percent >= 0 ? '▲' : '▼'} {formatNumber(Math.abs(summary.change_percent) / 100, { style: 'percent', maximumFractionDigits: 2 })}
+                </span>
+                <span className="hint">
+                  {t('history.range', { high: formatNumber(summary.high), low: formatNumber(summary.low) })}
+                </span>
+              </>
+            )}
+          </div>
+          <div className="chart-filters">
+            <select value={carat} onChange={(e) => setCarat(e.target.value)}>
+              {carats.map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+            <select value={interval} onChange={(e) => setBucketInterval(e.target.value)}>
+              {INTERVALS.map(value => (
+                <option key={value} value={value}>{t(`history.interval.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && <div className="message">❌ {error}</div>}
+
+        {history && (
+          <PriceChart
+            unit={t('unit.egpPerGram')}
+            points={history.buckets.map(bucket => ({
+              label: formatLabel(bucket.start),
+              close: bucket.close,
+              high: bucket.high,
+              low: bucket.low
+            }))}
+          />
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default GoldPriceHistory;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { useI18n } from '../i18n';
+import PriceBreakdown from './PriceBreakdown';
+
+// The signed-in customer's orders, with items and status trail of the one opened
+function OrderHistory() {
+  const { t, formatNumber, formatPrice, formatDate, formatDateTime, errorMessage } = useI18n();
+  const [orders, setOrders] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.get('/api/account/orders')
+      .then(response => setOrders(response.data))
+      .catch(error => setMessage(`❌ ${errorMessage(error)}`));
+  }, [errorMessage]);
+
+  const openOrder = async (id) => {
+    if (selected?.id === id) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const response = await api.get(`/api/account/orders/${id}`);
+      setSelected(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  const statusBadge = (status) => (
+    <span className={`status-badge status-${status}`}>{t(`orders.status.${status}`)}</span>
+  );
+
+  return (
+    <div className="card">
+      <h3><i className="fas fa-receipt"></i> {t('orders.title')}</h3>
+
+      {orders.length === 0 ? (
+        <p className="hint">{t('orders.empty')}</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>{t('orders.number')}</th>
+              <th>{t('orders.date')}</th>
+              <th>{t('orders.items')}</th>
+              <th>{t('cart.total')}</th>
+              <th>{t('orders.statusColumn')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => (
+              <tr key={order.id}>
+                <td>
+                  <button className="link-btn" onClick={() => openOrder(order.id)}>{order.order_number}</button>
+                </td>
+                <td>{formatDate(order.created_at)}</td>
+                <td>{formatNumber(order.item_count)}</td>
+                <td>{formatPrice(order.amount_due)}</td>
+                <td>{statusBadge(order.status)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && (
+        <div className="order-details">
+          <h3>{selected.order_number} {statusBadge(selected.status)}</h3>
+
+          {selected.shipping_address ? (
+            <p className="hint">
+              <i className="fas fa-truck"></i> {selected.shipping_address.recipient_name},
+              {' '}{[
+                selected.shipping_address.address_line1,
+                selected.shipping_address.address_line2,
+                selected.shipping_address.city,
+                selected.shipping_address.governorate
+              ].filter(Boolean).join(', ')}
+            </p>
+          ) : (
+            <p className="hint"><i className="fas fa-store"></i> {t('orders.pickup')}</p>
+          )}
+
+          {selected.items.map((item, index) => (
+            <details key={index} className="order-item">
+              <summary>
+                {item.product_name} <span className="carat-badge">{item.carat}</span>
+                {' '}× {formatNumber(item.quantity)} — {formatPrice(item.line_total)}
+              </summary>
+              {/* Orders from before components were priced have a shorter breakdown */}
+              {item.price_breakdown?.components && (
+                <PriceBreakdown breakdown={item.price_breakdown} carat={item.carat} />
+              )}
+            </details>
+          ))}
+
+          {Number(selected.trade_in_credit) > 0 && (
+            <p>
+              {t('orders.tradeIn', {
+                credit: formatPrice(selected.trade_in_credit),
+                due: formatPrice(selected.amount_due)
+              })}
+            </p>
+          )}
+
+          <ul className="status-history">
+            {selected.status_history.map((entry, index) => (
+              <li key={index}>
+                {formatDateTime(entry.changed_at)} — {t(`orders.status.${entry.to_status}`)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrderHistory;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { useI18n } from '../i18n';
+
+function PriceAlertForm({ carats, products }) {
+  const { t, formatPrice, localized, errorMessage } = useI18n();
+  const [form, setForm] = useState({ email: '', target: 'carat:21K', direction: 'below', threshold: '' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const subscribe = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const [type, value] = form.target.split(':');
+
+    try {
+      const response = await api.post('/api/alerts', {
+        email: form.email,
+        direction: form.direction,
+        threshold: parseFloat(form.threshold),
+        ...(type === 'carat' ? { carat: value } : { product_id: parseInt(value) })
+      });
+      if (response.data.confirmation_required) {
+        setMessage(`📧 ${t('alerts.checkEmail', { email: form.email })}`);
+      } else {
+        setMessage(`✅ ${t(response.data.already_met ? 'alerts.alreadyMet' : 'alerts.saved', {
+          direction: t(`alerts.${form.direction}`),
+          threshold: formatPrice(form.threshold)
+        })}`);
+      }
+      setForm({ ...form, threshold: '' });
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="alerts-section">
+      <h2><i className="fas fa-bell"></i> {t('alerts.title')}</h2>
+
+      <div className="card">
+        <p>{t('alerts.intro')}</p>
+
+        <form className="alert-form" onSubmit={subscribe}>
+          <select value={form.target} onChange={update('target')}>
+            <optgroup label={t('alerts.goldGroup')}>
+              {carats.map(carat => (
+                <option key={carat} value={`carat:${carat}`}>{t('alerts.caratGold', { carat })}</option>
+              ))}
+            </optgroup>
+            {products.length > 0 && (
+              <optgroup label={t('alerts.productGroup')}>
+                {products.map(product => (
+                  <option key={product.id} value={`product:${product.id}`}>{localized(product, 'name')}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <select value={form.direction} onChange={update('direction')}>
+            <option value="below">{t('alerts.below')}</option>
+            <option value="above">{t('alerts.above')}</option>
+          </select>
+          <input
+            type="number"
+            value={form.threshold}
+            onChange={update('threshold')}
+            placeholder={t('alerts.threshold')}
+            min="1"
+            required
+          />
+          <input
+            type="email"
+            value={form.email}
+            onChange={update('email')}
+            placeholder={t('alerts.email')}
+            required
+          />
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? t('common.saving') : t('alerts.submit')}
+          </button>
+        </form>
+
+        {message && (
+          <div className="message">
+            {message}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default PriceAlertForm;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// The server's price calculation for a product, line by line
+function PriceBreakdown({ breakdown, carat }) {
+  const { t, formatNumber, formatPrice } = useI18n();
+
+  return (
+    <table className="data-table price-breakdown-table">
+      <tbody>
+        <tr>
+          <td>
+            {t('breakdown.goldValue')}
+            <div className="hint">
+              {t('unit.perGram', { price: formatPrice(breakdown.goldPricePerGram) })} {carat}
+              {breakdown.goldPriceSource === 'derived' && ` ${t('breakdown.derived')}`}
+            </div>
+          </td>
+          <td>{formatPrice(breakdown.goldValue)}</td>
+        </tr>
+        <tr>
+          <td>
+            {t('breakdown.makingCharges')}
+            <div className="hint">
+              {breakdown.makingChargeType === 'per_gram'
+                ? t('unit.perGram', { price: formatPrice(breakdown.makingChargeRate) })
+                : t('breakdown.percentOfGold', { percent: formatNumber(breakdown.makingChargeRate) })}
+            </div>
+          </td>
+          <td>{formatPrice(breakdown.makingCharges)}</td>
+        </tr>
+        <tr>
+          <td>{t('breakdown.margin', { percent: formatNumber(breakdown.profitMarginPercent) })}</td>
+          <td>{formatPrice(breakdown.profit)}</td>
+        </tr>
+        {breakdown.components.map((component, index) => (
+          <tr key={index}>
+            <td>{component.name}{component.quantity > 1 && ` × ${formatNumber(component.quantity)}`}</td>
+            <td>{formatPrice(component.value)}</td>
+          </tr>
+        ))}
+        {breakdown.minimumPriceApplied && (
+          <tr>
+            <td>{t('breakdown.minimumPrice')}</td>
+            <td>{formatPrice(breakdown.minimumPrice)}</td>
+          </tr>
+        )}
+        {breakdown.vat > 0 && (
+          <tr>
+            <td>{t('breakdown.vat', { percent: formatNumber(breakdown.vatPercent) })}</td>
+            <td>{formatPrice(breakdown.vat)}</td>
+          </tr>
+        )}
+        <tr>
+          <td><strong>{t('breakdown.price')}</strong></td>
+          <td><strong>{formatPrice(breakdown.sellingPrice)}</strong></td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+export default PriceBreakdown;
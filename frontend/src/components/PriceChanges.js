@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for approval',
+  applied: 'Applied',
+  rejected: 'Rejected',
+  rolled_back: 'Rolled back'
+};
+
+const formatPrices = (prices) => Object.entries(prices)
+  .map(([carat, price]) => `${carat} ${price} EGP/g`)
+  .join(', ');
+
+// Guardrails for gold price updates, pending approvals and rollback
+function PriceChanges({ admin, carats, refreshKey, onPricesChange }) {
+  const [guardrails, setGuardrails] = useState({ max_change_percent: '', carat_bounds: {} });
+  const [changes, setChanges] = useState([]);
+  const [message, setMessage] = useState('');
+  const isOwner = admin.role === 'owner';
+
+  const fetchChanges = useCallback(async () => {
+    try {
+      const [settingsResponse, changesResponse] = await Promise.all([
+        api.get('/api/gold-price/guardrails'),
+        api.get('/api/gold-price/changes')
+      ]);
+      setGuardrails({
+        ...settingsResponse.data,
+        max_change_percent: settingsResponse.data.max_change_percent ?? ''
+      });
+      setChanges(changesResponse.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchChanges();
+  }, [fetchChanges, refreshKey]);
+
+  const updateBound = (carat, field) => (e) => setGuardrails({
+    ...guardrails,
+    carat_bounds: {
+      ...guardrails.carat_bounds,
+      [carat]: { ...guardrails.carat_bounds[carat], [field]: e.target.value }
+    }
+  });
+
+  const saveGuardrails = async (e) => {
+    e.preventDefault();
+
+    const caratBounds = Object.fromEntries(
+      Object.entries(guardrails.carat_bounds)
+        .map(([carat, bounds]) => [carat, {
+          min: bounds?.min === '' || bounds?.min == null ? null : parseFloat(bounds.min),
+          max: bounds?.max === '' || bounds?.max == null ? null : parseFloat(bounds.max)
+        }])
+        .filter(([, bounds]) => bounds.min !== null || bounds.max !== null)
+    );
+
+    try {
+      const response = await api.put('/api/gold-price/guardrails', {
+        max_change_percent: guardrails.max_change_percent === '' ? null : parseFloat(guardrails.max_change_percent),
+        carat_bounds: caratBounds
+      });
+      setMessage(`✅ ${response.data.message}`);
+      fetchChanges();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const act = async (change, action) => {
+    if (action === 'rollback' && !window.confirm(`Roll back ${formatPrices(change.prices)}? Product prices go back to what they were before.`)) {
+      return;
+    }
+
+    try {
+      const response = await api.post(`/api/gold-price/changes/${change.id}/${action}`);
+      const skipped = response.data.skipped_products?.length;
+      setMessage(`✅ ${response.data.message}${skipped ? ` - ${skipped} products changed since were left alone` : ''}`);
+      fetchChanges();
+      onPricesChange();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const latestApplied = changes.find(change => change.status === 'applied');
+
+  return (
+    <div className="card">
+      <h3>Price Changes</h3>
+      <p>Updates that move a carat more than the allowed percentage, or outside its bounds, need an override reason or another admin's approval.</p>
+
+      <form className="inventory-form" onSubmit={saveGuardrails}>
+        <input
+          type="number"
+          step="0.1"
+          value={guardrails.max_change_percent}
+          onChange={(e) => setGuardrails({ ...guardrails, max_change_percent: e.target.value })}
+          placeholder="Max change % (blank: no limit)"
+          disabled={!isOwner}
+        />
+        {carats.map(carat => (
+          <div key={carat} className="bounds-row">
+            <span>{carat}</span>
+            <input
+              type="number"
+              value={guardrails.carat_bounds[carat]?.min ?? ''}
+              onChange={updateBound(carat, 'min')}
+              placeholder="Min EGP/g"
+              disabled={!isOwner}
+            />
+            <input
+              type="number"
+              value={guardrails.carat_bounds[carat]?.max ?? ''}
+              onChange={updateBound(carat, 'max')}
+              placeholder="Max EGP/g"
+              disabled={!isOwner}
+            />
+          </div>
+        ))}
+        {isOwner && <button type="submit" className="btn-primary">Save Guardrails</button>}
+      </form>
+
+      {changes.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Prices</th>
+              <th>Status</th>
+              <th>Requested By</th>
+              <th>Date</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(change => (
+              <tr key={change.id}>
+                <td>
+                  {formatPrices(change.prices)}
+                  {change.violations.map(violation => (
+                    <div key={`${violation.carat}-${violation.rule}`} className="hint">⚠️ {violation.message}</div>
+                  ))}
+                  {change.override_reason && <div className="hint">Override: {change.override_reason}</div>}
+                </td>
+                <td>
+                  {STATUS_LABELS[change.status] || change.status}
+                  {change.approved_by_username && (
+                    <div className="hint">
+                      {change.status === 'rejected' ? 'by' : 'approved by'} {change.approved_by_username}
+                    </div>
+                  )}
+                  {change.rolled_back_by_username && <div className="hint">by {change.rolled_back_by_username}</div>}
+                </td>
+                <td>{change.requested_by_username || (change.source === 'feed' ? 'Price feed' : '-')}</td>
+                <td>{new Date(change.created_at).toLocaleString()}</td>
+                <td>
+                  {change.status === 'pending' && change.requested_by !== admin.id && (
+                    <>
+                      <button className="link-btn" onClick={() => act(change, 'approve')}>Approve</button>{' '}
+                      <button className="link-btn" onClick={() => act(change, 'reject')}>Reject</button>
+                    </>
+                  )}
+                  {change === latestApplied && (
+                    <button className="link-btn" onClick={() => act(change, 'rollback')}>
+                      <i className="fas fa-undo"></i> Roll back
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PriceChanges;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+const WIDTH = 800;
+const HEIGHT = 240;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 70 };
+
+// Line chart of closing prices with the high/low range shaded behind it.
+// points: [{ label, close, high, low }]
+function PriceChart({ points, unit = 'EGP' }) {
+  const { t, formatNumber } = useI18n();
+
+  if (points.length === 0) {
+    return <p className="hint">{t('chart.noData')}</p>;
+  }
+
+  const highs = points.map(point => point.high ?? point.close);
+  const lows = points.map(point => point.low ?? point.close);
+  const max = Math.max(...highs);
+  const min = Math.min(...lows);
+  const span = max - min || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (points.length === 1 ? plotWidth / 2 : index / (points.length - 1) * plotWidth);
+  const y = (value) => PADDING.top + (max - value) / span * plotHeight;
+
+  const closeLine = points.map((point, index) => `${x(index)},${y(point.close)}`).join(' ');
+  const rangeArea = [
+    ...highs.map((value, index) => `${x(index)},${y(value)}`),
+    ...lows.map((value, index) => `${x(index)},${y(value)}`).reverse()
+  ].join(' ');
+
+  const ticks = [max, min + span / 2, min];
+
+  return (
+    <svg className="price-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={t('chart.label')}>
+      {ticks.map(value => (
+        <g key={value}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} className="grid" />
+          <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end">{formatNumber(Math.round(value))}</text>
+        </g>
+      ))}
+
+      <polygon points={rangeArea} className="range" />
+      <polyline points={closeLine} className="close" />
+
+      {points.map((point, index) => (
+        <circle key={index} cx={x(index)} cy={y(point.close)} r="3" className="point">
+          <title>{`${point.label}: ${formatNumber(point.close)} ${unit}`}</title>
+        </circle>
+      ))}
+
+      <text x={PADDING.left} y={HEIGHT - 8}>{points[0].label}</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">{points[points.length - 1].label}</text>
+    </svg>
+  );
+}
+
+export default PriceChart;
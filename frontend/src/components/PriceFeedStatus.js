@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+
+const STATUS_ICONS = {
+  applied: '✅',
+  unchanged: '➖',
+  rejected: '⚠️',
+  error: '❌',
+  skipped: '⏭️'
+};
+
+function PriceFeedStatus({ onPriceApplied }) {
+  const [feed, setFeed] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.get('/api/gold-price/feed');
+      setFeed(response.data);
+    } catch (error) {
+      setFeed(null);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const runNow = async () => {
+    setRunning(true);
+    try {
+      const response = await api.post('/api/gold-price/feed/run');
+      if (response.data.status === 'applied') onPriceApplied();
+    } catch (error) {
+      // Failed runs show up in the feed history below
+    } finally {
+      setRunning(false);
+      fetchStatus();
+    }
+  };
+
+  if (!feed) return null;
+
+  if (!feed.enabled) {
+    return <p className="hint">Automatic price feed is off. Prices are only changed manually.</p>;
+  }
+
+  const lastRun = feed.runs[0];
+
+  return (
+    <div className="feed-status">
+      <span>
+        <i className="fas fa-satellite-dish"></i> Feed: <strong>{feed.provider}</strong>, every {feed.interval_minutes} min,
+        spread {feed.spread_percent}%
+      </span>
+      {lastRun && (
+        <span className="hint">
+          {' '}Last run {new Date(lastRun.at).toLocaleTimeString()}: {STATUS_ICONS[lastRun.status]} {lastRun.status}
+          {lastRun.reason && ` (${lastRun.reason})`}
+        </span>
+      )}
+      <button onClick={runNow} disabled={running} className="btn-secondary">
+        <i className="fas fa-sync"></i> {running ? 'Polling...' : 'Poll Now'}
+      </button>
+    </div>
+  );
+}
+
+export default PriceFeedStatus;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+const EMPTY_FORM = {
+  name: '',
+  making_charge_type: 'per_gram',
+  making_charge_value: '',
+  by_carat: '',
+  tiers: '',
+  minimum_price: '',
+  vat_percent: '14',
+  is_default: false
+};
+
+// "21K:120, 18K:100" <-> { '21K': 120, '18K': 100 }
+const parsePairs = (text) => text
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([key, value]) => key && value !== undefined && value !== '');
+
+const formatPairs = (entries) => entries.map(([key, value]) => `${key}:${value}`).join(', ');
+
+function PricingRules({ categories, onRulesChange }) {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [categoryRules, setCategoryRules] = useState({});
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const update = (field) => (e) => setForm({
+    ...form,
+    [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+  });
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await api.get('/api/pricing-rules');
+      setRuleSets(response.data.rule_sets);
+      setCategoryRules(response.data.categories);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const afterChange = (response) => {
+    setMessage(`✅ ${response.data.message}${response.data.updated_products ? ` - ${response.data.updated_products} products repriced` : ''}`);
+    fetchRules();
+    onRulesChange();
+  };
+
+  const edit = (rules) => {
+    setEditingId(rules.id);
+    setForm({
+      name: rules.name,
+      making_charge_type: rules.making_charge_type,
+      making_charge_value: rules.making_charge_value ?? '',
+      by_carat: formatPairs(Object.entries(rules.making_charges_by_carat)),
+      tiers: formatPairs(rules.margin_tiers.map(tier => [tier.min_weight, tier.margin_percent])),
+      minimum_price: rules.minimum_price ?? '',
+      vat_percent: rules.vat_percent,
+      is_default: rules.is_default
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+
+    const body = {
+      name: form.name,
+      making_charge_type: form.making_charge_type,
+      making_charge_value: form.making_charge_value,
+      making_charges_by_carat: Object.fromEntries(parsePairs(form.by_carat)),
+      margin_tiers: parsePairs(form.tiers).map(([minWeight, margin]) => ({
+        min_weight: minWeight,
+        margin_percent: margin
+      })),
+      minimum_price: form.minimum_price,
+      vat_percent: form.vat_percent,
+      is_default: form.is_default
+    };
+
+    try {
+      const response = editingId
+        ? await api.put(`/api/pricing-rules/${editingId}`, body)
+        : await api.post('/api/pricing-rules', body);
+      cancelEdit();
+      afterChange(response);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const remove = async (rules) => {
+    if (!window.confirm(`Delete rule set ${rules.name}? Its products will be repriced.`)) {
+      return;
+    }
+
+    try {
+      afterChange(await api.delete(`/api/pricing-rules/${rules.id}`));
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const assignCategory = async (category, ruleSetId) => {
+    try {
+      afterChange(await api.put(`/api/pricing-rules/categories/${encodeURIComponent(category)}`, {
+        rule_set_id: ruleSetId ? parseInt(ruleSetId) : null
+      }));
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Pricing Rules</h3>
+      <p>Products use their own rule set, else their category's, else the default. Without any rule set the product's own percentages apply.</p>
+
+      {ruleSets.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Making Charges</th>
+              <th>Margin Tiers</th>
+              <th>Minimum</th>
+              <th>VAT</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {ruleSets.map(rules => (
+              <tr key={rules.id}>
+                <td>
+                  {rules.name}
+                  {rules.is_default && <div className="hint">Default</div>}
+                  {rules.product_count > 0 && <div className="hint">{rules.product_count} products</div>}
+                </td>
+                <td>
+                  {rules.making_charge_type === 'per_gram' ? 'EGP/g' : '%'}{' '}
+                  {rules.making_charge_value ?? 'product'}
+                  {Object.keys(rules.making_charges_by_carat).length > 0 && (
+                    <div className="hint">{formatPairs(Object.entries(rules.making_charges_by_carat))}</div>
+                  )}
+                </td>
+                <td>
+                  {rules.margin_tiers.length > 0
+                    ? rules.margin_tiers.map(tier => `${tier.min_weight}g+: ${tier.margin_percent}%`).join(', ')
+                    : 'product margin'}
+                </td>
+                <td>{rules.minimum_price ? `${rules.minimum_price} EGP` : '-'}</td>
+                <td>{rules.vat_percent}%</td>
+                <td>
+                  <button className="link-btn" onClick={() => edit(rules)}>Edit</button>{' '}
+                  <button className="link-btn" onClick={() => remove(rules)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="inventory-form" onSubmit={save}>
+        <input type="text" value={form.name} onChange={update('name')} placeholder="Rule set name" required />
+        <select value={form.making_charge_type} onChange={update('making_charge_type')}>
+          <option value="per_gram">Making charges in EGP per gram</option>
+          <option value="percent">Making charges in % of gold value</option>
+        </select>
+        <input
+          type="number"
+          value={form.making_charge_value}
+          onChange={update('making_charge_value')}
+          placeholder={form.making_charge_type === 'per_gram' ? 'EGP per gram' : '% (blank: product value)'}
+        />
+        <input
+          type="text"
+          value={form.by_carat}
+          onChange={update('by_carat')}
+          placeholder="Per carat, e.g. 21K:120, 18K:100"
+        />
+        <input
+          type="text"
+          value={form.tiers}
+          onChange={update('tiers')}
+          placeholder="Margin tiers, e.g. 0:20, 10:15 (grams:%)"
+        />
+        <input
+          type="number"
+          value={form.minimum_price}
+          onChange={update('minimum_price')}
+          placeholder="Minimum price (EGP)"
+        />
+        <input
+          type="number"
+          value={form.vat_percent}
+          onChange={update('vat_percent')}
+          placeholder="VAT %"
+        />
+        <label className="checkbox-label">
+          <input type="checkbox" checked={form.is_default} onChange={update('is_default')} /> Default
+        </label>
+        <button type="submit" className="btn-primary">{editingId ? 'Save Rule Set' : 'Add Rule Set'}</button>
+        {editingId && <button type="button" onClick={cancelEdit} className="btn-secondary">Cancel</button>}
+      </form>
+
+      {categories.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Rule Set</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => (
+              <tr key={category}>
+                <td>{category}</td>
+                <td>
+                  <select
+                    value={categoryRules[category] || ''}
+                    onChange={(e) => assignCategory(category, e.target.value)}
+                  >
+                    <option value="">Default</option>
+                    {ruleSets.map(rules => (
+                      <option key={rules.id} value={rules.id}>{rules.name}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PricingRules;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { indicativePrice } from '../currency';
+import { useI18n } from '../i18n';
+
+// Storefront product tile - the breakdown lines come from the server's price calculation
+function ProductCard({ product, displayRate, onAddToCart, onAddToWishlist }) {
+  const { t, locale, formatNumber, formatPrice, localized } = useI18n();
+  const breakdown = product.price_breakdown;
+  const name = localized(product, 'name');
+
+  return (
+    <div className="product-card">
+      <Link to={`/products/${product.id}`} className="product-link">
+        {product.images?.length > 0 && (
+          <img
+            className="product-image"
+            src={product.images[0].medium}
+            alt={name}
+            loading="lazy"
+          />
+        )}
+        <div className="product-header">
+          <h3>{name}</h3>
+          <span className="carat-badge">{product.carat}</span>
+        </div>
+      </Link>
+
+      <div className="product-details">
+        <div className="detail">
+          <span>{t('product.weight')}</span>
+          <strong>{t('unit.grams', { weight: formatNumber(product.weight) })}</strong>
+        </div>
+        {breakdown && (
+          <>
+            <div className="detail">
+              <span>{t('product.goldRate', { carat: product.carat })}</span>
+              <strong>{t('unit.perGram', { price: formatPrice(breakdown.goldPricePerGram) })}</strong>
+            </div>
+            <div className="detail">
+              <span>{t('product.makingCharges')}</span>
+              <strong>{formatPrice(breakdown.makingCharges)}</strong>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="product-price">
+        <div className="final-price">
+          {formatPrice(product.selling_price)}
+        </div>
+        {displayRate && (
+          <div className="indicative" title={t('currency.indicativeHint')}>
+            {indicativePrice(product.selling_price, displayRate, locale)} {t('currency.indicative')}
+          </div>
+        )}
+        {breakdown && (
+          <div className="price-breakdown">
+            {t('product.goldValue', { value: formatPrice(breakdown.goldValue) })}
+          </div>
+        )}
+      </div>
+
+      <button
+        className="buy-btn"
+        onClick={() => onAddToCart(product)}
+        disabled={product.stock_quantity <= 0}
+      >
+        <i className="fas fa-shopping-cart"></i> {product.stock_quantity > 0 ? t('product.addToCart') : t('product.outOfStock')}
+      </button>
+      <button className="link-btn wishlist-btn" onClick={() => onAddToWishlist(product)}>
+        <i className="fas fa-heart"></i> {t('wishlist.add')}
+      </button>
+    </div>
+  );
+}
+
+export default ProductCard;
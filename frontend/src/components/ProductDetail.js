@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../api';
+import { indicativePrice } from '../currency';
+import PriceBreakdown from './PriceBreakdown';
+import PriceChart from './PriceChart';
+import { useI18n } from '../i18n';
+
+// One product: images, description, the server's price breakdown and its price history
+function ProductDetail({ refreshKey, displayRate, onAddToCart, onAddToWishlist }) {
+  const { t, locale, formatNumber, formatPrice, formatDate, localized, errorMessage } = useI18n();
+  const { id } = useParams();
+  const [product, setProduct] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [imageIndex, setImageIndex] = useState(0);
+  const [message, setMessage] = useState('');
+
+  const fetchProduct = useCallback(async () => {
+    try {
+      const [productRes, historyRes] = await Promise.all([
+        api.get(`/api/products/${id}`),
+        api.get(`/api/products/${id}/price-history`)
+      ]);
+      setProduct(productRes.data);
+      setHistory(historyRes.data);
+      setMessage('');
+    } catch (error) {
+      setProduct(null);
+      setMessage(error.response?.status === 404
+        ? t('product.unavailable')
+        : `❌ ${errorMessage(error)}`);
+    }
+  }, [id, t, errorMessage]);
+
+  useEffect(() => {
+    setImageIndex(0);
+  }, [id]);
+
+  useEffect(() => {
+    fetchProduct();
+  }, [fetchProduct, refreshKey]);
+
+  if (!product) {
+    return (
+      <section className="products-section">
+        <nav className="breadcrumbs"><Link to="/">{t('nav.home')}</Link></nav>
+        {message
+          ? <div className="message">{message}</div>
+          : <p className="hint">{t('common.loading')}</p>}
+      </section>
+    );
+  }
+
+  const name = localized(product, 'name');
+  const description = localized(product, 'description');
+
+  // Oldest first for the chart
+  const points = [...history].reverse().map(entry => ({
+    label: formatDate(entry.changed_at),
+    close: Number(entry.new_price)
+  }));
+
+  return (
+    <section className="products-section product-detail">
+      <nav className="breadcrumbs">
+        <Link to="/">{t('nav.home')}</Link> / <Link to="/categories">{t('nav.categories')}</Link>
+        {product.category && (
+          <> / <Link to={`/category/${encodeURIComponent(product.category)}`}>{product.category}</Link></>
+        )}
+        {' '}/ {name}
+      </nav>
+
+      <div className="detail-layout">
+        <div className="detail-gallery">
+          {product.images?.length > 0 ? (
+            <>
+              <img
+                className="detail-image"
+                src={product.images[imageIndex].medium}
+                alt={name}
+              />
+              {product.images.length > 1 && (
+                <div className="detail-thumbnails">
+                  {product.images.map((image, index) => (
+                    <img
+                      key={image.id}
+                      src={image.thumbnail}
+                      alt=""
+                      className={index === imageIndex ? 'selected' : ''}
+                      onClick={() => setImageIndex(index)}
+                    />
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="empty-state"><i className="fas fa-gem"></i></div>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="product-header">
+            <h2>{name}</h2>
+            <span className="carat-badge">{product.carat}</span>
+          </div>
+          {description && <p>{description}</p>}
+          <p className="hint">{t('unit.grams', { weight: formatNumber(product.weight) })} · {product.category}</p>
+
+          <div className="final-price">{formatPrice(product.selling_price)}</div>
+          {displayRate && (
+            <div className="indicative" title={t('currency.indicativeHint')}>
+              {indicativePrice(product.selling_price, displayRate, locale)} {t('currency.indicative')}
+            </div>
+          )}
+
+          <PriceBreakdown breakdown={product.price_breakdown} carat={product.carat} />
+
+          <button
+            className="buy-btn"
+            onClick={() => onAddToCart(product)}
+            disabled={product.stock_quantity <= 0}
+          >
+            <i className="fas fa-shopping-cart"></i> {product.stock_quantity > 0 ? t('product.addToCart') : t('product.outOfStock')}
+          </button>
+          <button className="link-btn wishlist-btn" onClick={() => onAddToWishlist(product)}>
+            <i className="fas fa-heart"></i> {t('wishlist.add')}
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <h3>{t('product.priceHistory')}</h3>
+        <PriceChart points={points} unit={t('unit.egp')} />
+      </div>
+    </section>
+  );
+}
+
+export default ProductDetail;
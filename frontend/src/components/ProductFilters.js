@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n';
+
+const SORT_OPTIONS = ['', 'newest', 'price_asc', 'price_desc', 'weight_asc', 'weight_desc', 'carat'];
+
+// Filter sidebar for the product search - facet counts come from the server
+function ProductFilters({ filters, facets, onChange }) {
+  const { t, formatNumber, formatPrice } = useI18n();
+  const [query, setQuery] = useState(filters.q);
+
+  const priceLabel = (bucket) => (bucket.max === null
+    ? t('filters.priceFrom', { min: formatPrice(bucket.min) })
+    : t('filters.priceRange', { min: formatPrice(bucket.min), max: formatPrice(bucket.max) }));
+
+  const toggle = (field, value) => {
+    const selected = filters[field].includes(value)
+      ? filters[field].filter(item => item !== value)
+      : [...filters[field], value];
+    onChange({ ...filters, [field]: selected, page: 1 });
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    onChange({ ...filters, q: query.trim(), page: 1 });
+  };
+
+  return (
+    <aside className="filters">
+      <form onSubmit={search} className="filter-search">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('filters.search')}
+        />
+        <button type="submit" className="btn-secondary"><i className="fas fa-search"></i></button>
+      </form>
+
+      <select
+        value={filters.sort}
+        onChange={(e) => onChange({ ...filters, sort: e.target.value, page: 1 })}
+      >
+        {SORT_OPTIONS.map(value => (
+          <option key={value} value={value}>{t(`filters.sort.${value || 'relevance'}`)}</option>
+        ))}
+      </select>
+
+      {facets.category.length > 0 && (
+        <div className="filter-group">
+          <h4>{t('filters.category')}</h4>
+          {facets.category.map(option => (
+            <label key={option.value}>
+              <input
+                type="checkbox"
+                checked={filters.category.includes(option.value)}
+                onChange={() => toggle('category', option.value)}
+              />
+              {option.value} <span className="hint">({formatNumber(option.count)})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {facets.carat.length > 0 && (
+        <div className="filter-group">
+          <h4>{t('filters.carat')}</h4>
+          {facets.carat.map(option => (
+            <label key={option.value}>
+              <input
+                type="checkbox"
+                checked={filters.carat.includes(option.value)}
+                onChange={() => toggle('carat', option.value)}
+              />
+              {option.value} <span className="hint">({formatNumber(option.count)})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {facets.price.length > 0 && (
+        <div className="filter-group">
+          <h4>{t('filters.price')}</h4>
+          <label>
+            <input
+              type="radio"
+              checked={!filters.price}
+              onChange={() => onChange({ ...filters, price: null, page: 1 })}
+            />
+            {t('filters.anyPrice')}
+          </label>
+          {facets.price.map(bucket => (
+            <label key={bucket.min}>
+              <input
+                type="radio"
+                checked={filters.price?.min === bucket.min}
+                onChange={() => onChange({ ...filters, price: bucket, page: 1 })}
+              />
+              {priceLabel(bucket)} <span className="hint">({formatNumber(bucket.count)})</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </aside>
+  );
+}
+
+export default ProductFilters;
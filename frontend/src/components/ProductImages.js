@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+function ProductImages({ products, onImagesChange }) {
+  const [productId, setProductId] = useState('');
+  const [images, setImages] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const fetchImages = useCallback(async () => {
+    if (!productId) {
+      setImages([]);
+      return;
+    }
+
+    try {
+      const response = await api.get(`/api/products/${productId}/images`);
+      setImages(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchImages();
+  }, [fetchImages]);
+
+  const applied = (response) => {
+    setImages(response.data.images);
+    setMessage(`✅ ${response.data.message}`);
+    onImagesChange();
+  };
+
+  const request = async (send) => {
+    try {
+      applied(await send());
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const upload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+
+    const data = new FormData();
+    files.forEach(file => data.append('images', file));
+
+    await request(() => api.post(`/api/products/${productId}/images`, data));
+    setFiles([]);
+    e.target.reset();
+    setUploading(false);
+  };
+
+  const move = (index, offset) => {
+    const ordered = [...images];
+    const [image] = ordered.splice(index, 1);
+    ordered.splice(index + offset, 0, image);
+
+    request(() => api.put(`/api/products/${productId}/images/order`, {
+      image_ids: ordered.map(item => item.id)
+    }));
+  };
+
+  return (
+    <div className="card">
+      <h3>Product Images</h3>
+
+      <form className="inventory-form" onSubmit={upload}>
+        <select value={productId} onChange={(e) => setProductId(e.target.value)} required>
+          <option value="">Select product</option>
+          {products.map(product => (
+            <option key={product.id} value={product.id}>{product.name}</option>
+          ))}
+        </select>
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          multiple
+          onChange={(e) => setFiles([...e.target.files])}
+        />
+        <button type="submit" disabled={!productId || files.length === 0 || uploading} className="btn-primary">
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+
+      {images.length > 0 && (
+        <div className="image-grid">
+          {images.map((image, index) => (
+            <div key={image.id} className={`image-tile ${image.is_primary ? 'primary' : ''}`}>
+              <img src={image.thumbnail} alt="" />
+              <div className="image-actions">
+                <button className="link-btn" disabled={index === 0} onClick={() => move(index, -1)}>◀</button>
+                {image.is_primary
+                  ? <span className="hint">Primary</span>
+                  : (
+                    <button
+                      className="link-btn"
+                      onClick={() => request(() => api.put(`/api/products/${productId}/images/${image.id}/primary`))}
+                    >
+                      Make primary
+                    </button>
+                  )}
+                <button
+                  className="link-btn"
+                  onClick={() => request(() => api.delete(`/api/products/${productId}/images/${image.id}`))}
+                >
+                  <i className="fas fa-trash"></i>
+                </button>
+                <button className="link-btn" disabled={index === images.length - 1} onClick={() => move(index, 1)}>▶</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductImages;
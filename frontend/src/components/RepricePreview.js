@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+const money = (value) => `${Number(value).toLocaleString()} EGP`;
+
+const signed = (value) => `${value > 0 ? '+' : ''}${Number(value).toLocaleString()}`;
+
+// What a gold price change would do to the catalog, shown before it is applied
+function RepricePreview({ preview, applying, onConfirm, onRequestApproval, onCancel }) {
+  const { summary, changes, prices } = preview;
+  const violations = preview.guardrail_violations || [];
+  const [overrideReason, setOverrideReason] = useState('');
+
+  return (
+    <div className="reprice-preview">
+      <h4>Preview - nothing has been saved yet</h4>
+
+      <div className="price-board">
+        {prices.filter(price => price.source !== 'derived').map(price => (
+          <div key={price.carat} className="board-item">
+            {price.carat}: <strong>{price.price_per_gram}</strong> EGP/g
+          </div>
+        ))}
+      </div>
+
+      <table className="data-table">
+        <tbody>
+          <tr>
+            <td>Products</td>
+            <td>
+              {summary.products} ({summary.increased} up, {summary.decreased} down, {summary.unchanged} unchanged)
+            </td>
+          </tr>
+          <tr>
+            <td>Sum of prices</td>
+            <td>
+              {money(summary.price_total_before)} → {money(summary.price_total_after)}{' '}
+              ({signed(summary.price_total_change)}, {signed(summary.price_total_change_percent)}%)
+            </td>
+          </tr>
+          <tr>
+            <td>Stock value</td>
+            <td>
+              {money(summary.stock_value_before)} → {money(summary.stock_value_after)}{' '}
+              ({signed(summary.stock_value_change)})
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {changes.length > 0 && (
+        <div className="preview-changes">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Carat</th>
+                <th>Old Price</th>
+                <th>New Price</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(change => (
+                <tr key={change.id}>
+                  <td>{change.name}</td>
+                  <td>{change.carat}</td>
+                  <td>{money(change.old_price)}</td>
+                  <td>{money(change.new_price)}</td>
+                  <td className={change.difference > 0 ? 'change-up' : change.difference < 0 ? 'change-down' : ''}>
+                    {signed(change.difference)} ({change.change})
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {violations.length > 0 && (
+        <div className="guardrail-warning">
+          <strong>⚠️ Outside the price guardrails</strong>
+          <ul>
+            {violations.map(violation => (
+              <li key={`${violation.carat}-${violation.rule}`}>{violation.message}</li>
+            ))}
+          </ul>
+          <input
+            type="text"
+            value={overrideReason}
+            onChange={(e) => setOverrideReason(e.target.value)}
+            placeholder="Reason for overriding (or ask another admin to approve)"
+            maxLength="255"
+          />
+        </div>
+      )}
+
+      <p className="hint">Valid until {new Date(preview.expires_at).toLocaleTimeString()}</p>
+
+      <div className="actions">
+        <button
+          onClick={() => onConfirm(violations.length > 0 ? overrideReason.trim() : null)}
+          disabled={applying || (violations.length > 0 && !overrideReason.trim())}
+          className="btn-primary"
+        >
+          {applying ? 'Applying...' : violations.length > 0 ? 'Override and Apply' : 'Apply These Prices'}
+        </button>
+        <button onClick={onRequestApproval} disabled={applying} className="btn-secondary">
+          Request Approval
+        </button>
+        <button onClick={onCancel} disabled={applying} className="btn-secondary">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default RepricePreview;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { useI18n } from '../i18n';
+
+// Saved products with how their price has moved since they were saved
+function Wishlist() {
+  const { t, formatNumber, formatPrice, formatDate, localized, errorMessage } = useI18n();
+  const [items, setItems] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const fetchWishlist = useCallback(async () => {
+    try {
+      const response = await api.get('/api/account/wishlist');
+      setItems(response.data);
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  }, [errorMessage]);
+
+  useEffect(() => {
+    fetchWishlist();
+  }, [fetchWishlist]);
+
+  const remove = async (productId) => {
+    try {
+      const response = await api.delete(`/api/account/wishlist/${productId}`);
+      setItems(response.data.wishlist);
+      setMessage('');
+    } catch (error) {
+      setMessage(`❌ ${errorMessage(error)}`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3><i className="fas fa-heart"></i> {t('wishlist.title')}</h3>
+
+      {items.length === 0 ? (
+        <p className="hint">{t('wishlist.empty')}</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>{t('cart.product')}</th>
+              <th>{t('wishlist.savedPrice')}</th>
+              <th>{t('wishlist.currentPrice')}</th>
+              <th>{t('wishlist.change')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.product_id} className={item.available ? '' : 'unavailable'}>
+                <td>
+                  <Link to={`/products/${item.product_id}`}>{localized(item, 'name')}</Link>
+                  {' '}<span className="carat-badge">{item.carat}</span>
+                  <div className="hint">{t('wishlist.savedOn', { date: formatDate(item.added_at) })}</div>
+                  {!item.available && <div className="hint">{t('product.outOfStock')}</div>}
+                </td>
+                <td>{formatPrice(item.price_when_added)}</td>
+                <td>{formatPrice(item.current_price)}</td>
+                <td>
+                  <span className={item.price_change > 0 ? 'price-up' : item.price_change < 0 ? 'price-down' : ''}>
+                    {item.price_change > 0 ? '▲' : item.price_change < 0 ? '▼' : ''}
+                    {' '}{formatPrice(Math.abs(item.price_change))}
+                    {' '}({formatNumber(Math.abs(item.price_change_percent) / 100, { style: 'percent', maximumFractionDigits: 2 })})
+                  </span>
+                  {item.price_changes_since_added > 0 && (
+                    <div className="hint">
+                      {t('wishlist.range', {
+                        count: formatNumber(item.price_changes_since_added),
+                        low: formatPrice(item.lowest_price_since_added),
+                        high: formatPrice(item.highest_price_since_added)
+                      })}
+                    </div>
+                  )}
+                </td>
+                <td>
+                  <button className="link-btn" onClick={() => remove(item.product_id)} title={t('wishlist.remove')}>
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && (
+        <div className="message">
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Wishlist;
@@ -0,0 +1,15 @@
+// Indicative conversions for display - the server's exchange rates are EGP per unit
+export const SETTLEMENT_CURRENCY = 'EGP';
+
+export function convertFromEgp(amount, rate) {
+  return Math.round(amount / rate.egp_per_unit * 100) / 100;
+}
+
+// "≈ 1,234.5 SAR" for the selected currency, or null when showing EGP.
+// locale picks the digits, e.g. Arabic-Indic for Arabic.
+export function indicativePrice(amount, rate, locale) {
+  if (!rate || amount === null || amount === undefined) {
+    return null;
+  }
+  return `≈ ${convertFromEgp(Number(amount), rate).toLocaleString(locale)} ${rate.currency}`;
+}
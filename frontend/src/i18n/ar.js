@@ -0,0 +1,258 @@
+// Arabic interface strings - keys missing here fall back to English
+const ar = {
+  'app.title': 'متجر مصر للذهب',
+  'nav.home': 'الرئيسية',
+  'nav.shop': 'المتجر',
+  'nav.categories': 'الأقسام',
+  'nav.signIn': 'تسجيل الدخول',
+  'header.livePrice': 'سعر الذهب الآن (عيار ٢٤):',
+  'header.language': 'اللغة',
+  'footer.copyright': '© ٢٠٢٤ متجر مصر للذهب - نظام تسعير الذهب المباشر',
+  'footer.tagline': 'تتحدث الأسعار تلقائيًا حسب أسعار سوق الذهب',
+  'notFound.text': 'الصفحة غير موجودة.',
+  'notFound.back': 'العودة إلى المتجر',
+
+  'common.loading': 'جارٍ التحميل...',
+  'common.saving': 'جارٍ الحفظ...',
+
+  'unit.egp': 'ج.م',
+  'unit.egpPerGram': 'ج.م/جم',
+  'unit.perGram': '{price}/جم',
+  'unit.grams': '{weight} جم',
+  'currency.indicative': '(تقريبي)',
+  'currency.indicativeHint': 'سعر تقريبي فقط - يتم الدفع بالجنيه المصري',
+
+  'stream.live': 'مباشر',
+  'stream.connecting': 'جارٍ الاتصال...',
+  'stream.stale': 'غير محدث - جارٍ إعادة الاتصال',
+  'stream.staleHint': 'انقطعت التحديثات المباشرة - جارٍ إعادة الاتصال. قد لا تكون الأسعار محدثة.',
+
+  'board.derived': 'محسوب من سعر عيار {carat} حسب النقاء',
+  'board.feedQuote': 'سعر السوق (المصدر: {provider})',
+  'board.manualQuote': 'سعر السوق (إدخال يدوي)',
+
+  'admin.title': 'لوحة تحكم الإدارة',
+  'admin.signedInAs': 'تم تسجيل الدخول باسم',
+  'admin.logout': 'تسجيل الخروج',
+  'admin.sessionExpired': 'انتهت جلسة الإدارة. يرجى تسجيل الدخول مرة أخرى.',
+  'admin.updatePrice': 'تحديث سعر الذهب',
+  'admin.updatePriceIntro': 'لكل عيار سعره الخاص. العيارات بدون سعر تُحسب من عيار ٢٤. تغيير السعر يحدّث أسعار المنتجات المرتبطة تلقائيًا',
+  'admin.newPrice': 'أدخل سعر جرام عيار {carat} الجديد',
+  'admin.enterPrice': 'يرجى إدخال السعر',
+  'admin.calculating': 'جارٍ الحساب...',
+  'admin.previewPrice': 'معاينة تغيير السعر',
+  'admin.repriced': 'تم تحديث سعر {count} منتج في {ms} مللي ثانية',
+  'admin.refresh': 'تحديث البيانات',
+
+  'login.title': 'دخول الإدارة',
+  'login.intro': 'سجّل الدخول لإدارة أسعار الذهب والمنتجات',
+  'login.username': 'اسم المستخدم',
+  'login.password': 'كلمة المرور',
+  'login.signingIn': 'جارٍ تسجيل الدخول...',
+  'login.submit': 'تسجيل الدخول',
+
+  'products.title': 'المنتجات',
+  'products.empty': 'لا توجد منتجات بعد. أضف منتجات من لوحة الإدارة!',
+  'categories.empty': 'لا توجد أقسام بعد.',
+
+  'catalog.count': '{count} منتج',
+  'catalog.noMatches': 'لا توجد منتجات تطابق هذه الفلاتر.',
+  'catalog.previous': 'السابق',
+  'catalog.next': 'التالي',
+  'catalog.page': 'صفحة {page} من {pages}',
+
+  'filters.search': 'ابحث عن المنتجات',
+  'filters.category': 'القسم',
+  'filters.carat': 'العيار',
+  'filters.price': 'السعر',
+  'filters.anyPrice': 'أي سعر',
+  'filters.priceFrom': '{min} فأكثر',
+  'filters.priceRange': '{min} - {max}',
+  'filters.sort.relevance': 'الأكثر صلة / الأحدث',
+  'filters.sort.newest': 'الأحدث',
+  'filters.sort.price_asc': 'السعر: من الأقل للأعلى',
+  'filters.sort.price_desc': 'السعر: من الأعلى للأقل',
+  'filters.sort.weight_asc': 'الوزن: من الأخف للأثقل',
+  'filters.sort.weight_desc': 'الوزن: من الأثقل للأخف',
+  'filters.sort.carat': 'العيار: الأعلى أولًا',
+
+  'product.weight': 'الوزن:',
+  'product.goldRate': 'الذهب ({carat}):',
+  'product.makingCharges': 'المصنعية:',
+  'product.goldValue': 'قيمة الذهب: {value}',
+  'product.addToCart': 'أضف إلى السلة',
+  'product.outOfStock': 'نفدت الكمية',
+  'product.priceHistory': 'تاريخ السعر',
+  'product.unavailable': 'هذا المنتج لم يعد متاحًا.',
+
+  'breakdown.goldValue': 'قيمة الذهب',
+  'breakdown.derived': '(محسوب من عيار ٢٤)',
+  'breakdown.makingCharges': 'المصنعية',
+  'breakdown.percentOfGold': '{percent}٪ من قيمة الذهب',
+  'breakdown.margin': 'هامش الربح ({percent}٪)',
+  'breakdown.minimumPrice': 'تم تطبيق الحد الأدنى للسعر',
+  'breakdown.vat': 'ضريبة القيمة المضافة ({percent}٪)',
+  'breakdown.price': 'السعر',
+
+  'chart.label': 'رسم بياني للسعر',
+  'chart.noData': 'لا توجد بيانات أسعار لهذه الفترة.',
+
+  'history.title': 'تاريخ سعر الذهب',
+  'history.range': 'الأعلى {high} · الأدنى {low}',
+  'history.interval.hour': 'آخر ٤٨ ساعة',
+  'history.interval.day': 'آخر ٣٠ يومًا',
+  'history.interval.week': 'آخر ٦ أشهر',
+
+  'cart.title': 'سلة التسوق ({count})',
+  'cart.added': 'تمت إضافة {name} إلى السلة',
+  'cart.product': 'المنتج',
+  'cart.unitPrice': 'سعر القطعة',
+  'cart.quantity': 'الكمية',
+  'cart.total': 'الإجمالي',
+  'cart.totalLabel': 'الإجمالي:',
+  'cart.goldAt': '{weight} جم بسعر {price}/جم',
+  'cart.itemVat': 'شامل ضريبة القيمة المضافة {percent}٪ ({vat})',
+  'cart.notEnoughStock': 'الكمية المتاحة غير كافية',
+  'cart.indicativeNote': 'سعر تقريبي، يتم الدفع بالجنيه المصري',
+  'cart.vatTotal': 'شامل ضريبة القيمة المضافة {vat}',
+  'cart.quoteLocked': 'تم تثبيت السعر عند',
+  'cart.quoteFor': 'لمدة {time}',
+  'cart.quoteExpired': 'انتهت صلاحية عرض السعر. اطلب عرضًا جديدًا للمتابعة.',
+  'cart.checkout': 'إتمام الشراء',
+  'cart.fullName': 'الاسم بالكامل',
+  'cart.phone': 'رقم الهاتف',
+  'cart.email': 'البريد الإلكتروني (اختياري)',
+  'cart.tradeInReference': 'رقم الاستبدال (اختياري)',
+  'cart.placing': 'جارٍ تنفيذ الطلب...',
+  'cart.confirm': 'تأكيد الطلب',
+  'cart.lockPrice': 'ثبّت السعر وتابع',
+  'cart.orderPlaced': 'تم تنفيذ الطلب {order} بنجاح. الإجمالي: {total}',
+  'cart.tradeInCredit': '(رصيد الاستبدال {credit}، المستحق {due})',
+  'cart.itemLeft': 'المنتج رقم {id}: متبقٍ {available}',
+  'cart.pickup': 'استلام من المتجر',
+  'cart.shipTo': 'التوصيل إلى {address}',
+
+  'alerts.title': 'تنبيهات الأسعار',
+  'alerts.intro': 'احصل على رسالة عندما يصل سعر الذهب أو القطعة التي تعجبك إلى السعر الذي تريده.',
+  'alerts.goldGroup': 'سعر جرام الذهب',
+  'alerts.caratGold': 'ذهب {carat}',
+  'alerts.productGroup': 'سعر المنتج',
+  'alerts.below': 'ينخفض عن',
+  'alerts.above': 'يرتفع عن',
+  'alerts.threshold': 'السعر بالجنيه',
+  'alerts.email': 'بريدك الإلكتروني',
+  'alerts.submit': 'نبّهني',
+  'alerts.saved': 'تم حفظ التنبيه: السعر {direction} {threshold}',
+  'alerts.checkEmail': 'خطوة أخيرة - افتح الرابط الذي أرسلناه إلى {email} لتفعيل هذا التنبيه.',
+  'alerts.alreadyMet': 'تم حفظ التنبيه، لكن الشرط متحقق بالفعل (السعر {direction} {threshold}). سننبهك في المرة القادمة التي يعبر فيها السعر هذا الحد.',
+
+  'account.title': 'حسابي',
+  'account.signInTitle': 'تسجيل الدخول',
+  'account.registerTitle': 'إنشاء حساب',
+  'account.intro': 'احفظ قائمة أمنياتك وعناوينك وتابع طلباتك.',
+  'account.name': 'الاسم بالكامل',
+  'account.email': 'البريد الإلكتروني',
+  'account.phone': 'رقم الهاتف (اختياري)',
+  'account.password': 'كلمة المرور (٨ أحرف على الأقل)',
+  'account.signIn': 'تسجيل الدخول',
+  'account.register': 'إنشاء الحساب',
+  'account.needAccount': 'جديد هنا؟ أنشئ حسابًا',
+  'account.haveAccount': 'لديك حساب بالفعل؟ سجّل الدخول',
+  'account.signedInAs': 'تم تسجيل الدخول باسم',
+  'account.signOut': 'تسجيل الخروج',
+
+  'orders.title': 'سجل الطلبات',
+  'orders.empty': 'لم تقم بأي طلبات بعد.',
+  'orders.number': 'الطلب',
+  'orders.date': 'التاريخ',
+  'orders.items': 'القطع',
+  'orders.statusColumn': 'الحالة',
+  'orders.pickup': 'استلام من المتجر',
+  'orders.tradeIn': 'رصيد الاستبدال {credit} - المبلغ المستحق {due}',
+  'orders.status.pending': 'قيد الانتظار',
+  'orders.status.paid': 'مدفوع',
+  'orders.status.ready_for_pickup': 'جاهز للاستلام',
+  'orders.status.delivered': 'تم التسليم',
+  'orders.status.cancelled': 'ملغي',
+
+  'wishlist.title': 'قائمة الأمنيات',
+  'wishlist.add': 'أضف إلى قائمة الأمنيات',
+  'wishlist.added': 'تم حفظ {name} في قائمة أمنياتك',
+  'wishlist.signInFirst': 'سجّل الدخول إلى حسابك لحفظ قائمة أمنيات',
+  'wishlist.empty': 'لا توجد منتجات محفوظة بعد. استخدم "أضف إلى قائمة الأمنيات" في أي منتج.',
+  'wishlist.savedPrice': 'السعر عند الحفظ',
+  'wishlist.currentPrice': 'السعر الآن',
+  'wishlist.change': 'التغير',
+  'wishlist.savedOn': 'حُفظ في {date}',
+  'wishlist.range': 'تغير السعر {count} مرة منذ الحفظ، بين {low} و{high}',
+  'wishlist.remove': 'إزالة',
+
+  'addresses.title': 'العناوين المحفوظة',
+  'addresses.empty': 'لا توجد عناوين محفوظة بعد.',
+  'addresses.default': 'الافتراضي',
+  'addresses.add': 'إضافة عنوان',
+  'addresses.edit': 'تعديل',
+  'addresses.makeDefault': 'اجعله الافتراضي',
+  'addresses.save': 'حفظ العنوان',
+  'addresses.cancel': 'إلغاء',
+  'addresses.label': 'اسم العنوان، مثل المنزل (اختياري)',
+  'addresses.recipient_name': 'اسم المستلم',
+  'addresses.phone': 'رقم الهاتف',
+  'addresses.address_line1': 'الشارع والعقار',
+  'addresses.address_line2': 'الدور / الشقة (اختياري)',
+  'addresses.city': 'المدينة',
+  'addresses.governorate': 'المحافظة (اختياري)',
+  'addresses.postal_code': 'الرمز البريدي (اختياري)',
+
+  'errors.network': 'تعذر الاتصال بالخادم. يرجى المحاولة مرة أخرى.',
+  'errors.invalid_request': 'طلب غير صالح',
+  'errors.unauthorized': 'يلزم تسجيل الدخول',
+  'errors.forbidden': 'غير مسموح',
+  'errors.not_found': 'غير موجود',
+  'errors.conflict': 'تعارض في البيانات',
+  'errors.expired': 'انتهت الصلاحية',
+  'errors.payload_too_large': 'حجم الملف كبير جدًا',
+  'errors.validation_failed': 'بيانات غير صحيحة',
+  'errors.too_many_requests': 'طلبات كثيرة، يرجى المحاولة لاحقًا',
+  'errors.server_error': 'خطأ في الخادم',
+  'errors.service_unavailable': 'الخدمة غير متاحة حاليًا',
+  'errors.authentication_required': 'يلزم تسجيل الدخول',
+  'errors.session_expired': 'الجلسة غير صالحة أو منتهية',
+  'errors.credentials_required': 'اسم المستخدم وكلمة المرور مطلوبان',
+  'errors.invalid_credentials': 'اسم المستخدم أو كلمة المرور غير صحيحة',
+  'errors.product_not_found': 'المنتج غير موجود',
+  'errors.cart_not_found': 'السلة غير موجودة',
+  'errors.invalid_quantity': 'يرجى إدخال كمية صحيحة',
+  'errors.insufficient_stock': 'المتاح في المخزون {available} فقط',
+  'errors.not_in_cart': 'المنتج غير موجود في السلة',
+  'errors.cart_empty': 'السلة فارغة',
+  'errors.items_unavailable': 'بعض المنتجات لم تعد متاحة بالكمية المطلوبة',
+  'errors.customer_details_required': 'الاسم ورقم الهاتف مطلوبان',
+  'errors.trade_in_not_found': 'لم يتم العثور على عملية استبدال لهذا العميل',
+  'errors.quote_invalid': 'عرض السعر غير صالح',
+  'errors.quote_used': 'تم استخدام عرض السعر في طلب سابق',
+  'errors.quote_cart_changed': 'تغيرت السلة بعد إصدار عرض السعر - يرجى طلب عرض جديد',
+  'errors.quote_expired': 'انتهت صلاحية عرض السعر - يرجى طلب عرض جديد',
+  'errors.quote_not_found': 'عرض السعر غير موجود',
+  'errors.alert_channel_required': 'أدخل بريدًا إلكترونيًا أو رابط webhook',
+  'errors.invalid_email': 'يرجى إدخال بريد إلكتروني صحيح',
+  'errors.invalid_webhook_url': 'رابط webhook يجب أن يكون عنوان http أو https عامًا',
+  'errors.alert_target_required': 'اختر عيارًا أو منتجًا لمتابعته',
+  'errors.unknown_carat': 'عيار غير معروف',
+  'errors.invalid_direction': 'الاتجاه يجب أن يكون ارتفاعًا أو انخفاضًا',
+  'errors.invalid_threshold': 'يرجى إدخال سعر صحيح للتنبيه',
+  'errors.endpoint_not_found': 'المسار غير موجود',
+  'errors.order_not_found': 'الطلب غير موجود',
+  'errors.customer_authentication_required': 'يرجى تسجيل الدخول إلى حسابك',
+  'errors.customer_session_expired': 'انتهت جلستك - يرجى تسجيل الدخول مرة أخرى',
+  'errors.registration_details_required': 'الاسم والبريد الإلكتروني وكلمة المرور مطلوبة',
+  'errors.password_too_short': 'كلمة المرور يجب ألا تقل عن {min_length} أحرف',
+  'errors.email_taken': 'يوجد حساب مسجل بهذا البريد الإلكتروني',
+  'errors.too_many_attempts': 'محاولات كثيرة - يرجى المحاولة مرة أخرى بعد بضع دقائق',
+  'errors.invalid_address': 'اسم المستلم ورقم الهاتف والعنوان والمدينة مطلوبة',
+  'errors.address_limit': 'وصلت إلى الحد الأقصى للعناوين المحفوظة',
+  'errors.address_not_found': 'العنوان غير موجود',
+  'errors.not_in_wishlist': 'المنتج غير موجود في قائمة الأمنيات'
+};
+
+export default ar;
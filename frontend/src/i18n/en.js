@@ -0,0 +1,259 @@
+// English interface strings - {name} placeholders are filled in by t()
+const en = {
+  'app.title': 'Egypt Gold Store',
+  'nav.home': 'Home',
+  'nav.shop': 'Shop',
+  'nav.categories': 'Categories',
+  'nav.signIn': 'Sign In',
+  'header.livePrice': 'Live Gold Price (24K):',
+  'header.language': 'Language',
+  'footer.copyright': '© 2024 Egypt Gold Store - Live Gold Pricing System',
+  'footer.tagline': 'Automatically updates prices based on gold market rates',
+  'notFound.text': 'Page not found.',
+  'notFound.back': 'Back to the store',
+
+  'common.loading': 'Loading...',
+  'common.saving': 'Saving...',
+
+  'unit.egp': 'EGP',
+  'unit.egpPerGram': 'EGP/g',
+  'unit.perGram': '{price}/g',
+  'unit.grams': '{weight}g',
+  'currency.indicative': '(indicative)',
+  'currency.indicativeHint': 'Indicative only - orders are charged in EGP',
+
+  'stream.live': 'Live',
+  'stream.connecting': 'Connecting...',
+  'stream.stale': 'Stale - reconnecting',
+  'stream.staleHint': 'Live updates interrupted - reconnecting. Prices may be out of date.',
+
+  'board.derived': 'Derived from the {carat} price by purity',
+  'board.feedQuote': 'Market quote (feed: {provider})',
+  'board.manualQuote': 'Market quote (entered manually)',
+
+  'admin.title': 'Admin Control Panel',
+  'admin.signedInAs': 'Signed in as',
+  'admin.logout': 'Log Out',
+  'admin.sessionExpired': 'Your admin session has expired. Please sign in again.',
+  'admin.updatePrice': 'Update Gold Price',
+  'admin.updatePriceIntro': 'Each carat has its own price. Carats without one are derived from 24K. Changing a price updates the matching product prices automatically',
+  'admin.newPrice': 'Enter new {carat} gold price per gram',
+  'admin.enterPrice': 'Please enter a price',
+  'admin.calculating': 'Calculating...',
+  'admin.previewPrice': 'Preview Price Change',
+  'admin.repriced': '{count} products repriced in {ms} ms',
+  'admin.refresh': 'Refresh Data',
+
+  'login.title': 'Admin Login',
+  'login.intro': 'Sign in to manage gold prices and products',
+  'login.username': 'Username',
+  'login.password': 'Password',
+  'login.signingIn': 'Signing in...',
+  'login.submit': 'Sign In',
+
+  'products.title': 'Products',
+  'products.empty': 'No products yet. Add some using the admin panel!',
+  'categories.empty': 'No categories yet.',
+
+  'catalog.count': '{count} products',
+  'catalog.noMatches': 'No products match these filters.',
+  'catalog.previous': 'Previous',
+  'catalog.next': 'Next',
+  'catalog.page': 'Page {page} of {pages}',
+
+  'filters.search': 'Search products',
+  'filters.category': 'Category',
+  'filters.carat': 'Carat',
+  'filters.price': 'Price',
+  'filters.anyPrice': 'Any price',
+  'filters.priceFrom': '{min}+',
+  'filters.priceRange': '{min} - {max}',
+  'filters.sort.relevance': 'Best match / newest',
+  'filters.sort.newest': 'Newest',
+  'filters.sort.price_asc': 'Price: low to high',
+  'filters.sort.price_desc': 'Price: high to low',
+  'filters.sort.weight_asc': 'Weight: light to heavy',
+  'filters.sort.weight_desc': 'Weight: heavy to light',
+  'filters.sort.carat': 'Carat: highest first',
+
+  'product.weight': 'Weight:',
+  'product.goldRate': 'Gold ({carat}):',
+  'product.makingCharges': 'Making Charges:',
+  'product.goldValue': 'Gold value: {value}',
+  'product.addToCart': 'Add to Cart',
+  'product.outOfStock': 'Out of Stock',
+  'product.priceHistory': 'Price History',
+  'product.unavailable': 'This product is no longer available.',
+
+  'breakdown.goldValue': 'Gold value',
+  'breakdown.derived': '(derived from 24K)',
+  'breakdown.makingCharges': 'Making charges',
+  'breakdown.percentOfGold': '{percent}% of gold value',
+  'breakdown.margin': 'Margin ({percent}%)',
+  'breakdown.minimumPrice': 'Minimum price applied',
+  'breakdown.vat': 'VAT ({percent}%)',
+  'breakdown.price': 'Price',
+
+  'chart.label': 'Price chart',
+  'chart.noData': 'No price data for this period.',
+
+  'history.title': 'Gold Price History',
+  'history.range': 'High {high} · Low {low}',
+  'history.interval.hour': 'Last 48 hours',
+  'history.interval.day': 'Last 30 days',
+  'history.interval.week': 'Last 6 months',
+
+  'cart.title': 'Your Cart ({count})',
+  'cart.added': '{name} added to cart',
+  'cart.product': 'Product',
+  'cart.unitPrice': 'Unit Price',
+  'cart.quantity': 'Quantity',
+  'cart.total': 'Total',
+  'cart.totalLabel': 'Total:',
+  'cart.goldAt': '{weight}g at {price}/g',
+  'cart.itemVat': 'Incl. {percent}% VAT ({vat})',
+  'cart.notEnoughStock': 'Not enough stock',
+  'cart.indicativeNote': 'indicative, you will be charged in EGP',
+  'cart.vatTotal': 'Incl. VAT {vat}',
+  'cart.quoteLocked': 'Price locked at',
+  'cart.quoteFor': 'for {time}',
+  'cart.quoteExpired': 'Your price quote has expired. Request a new one to continue.',
+  'cart.checkout': 'Checkout',
+  'cart.fullName': 'Full name',
+  'cart.phone': 'Phone',
+  'cart.email': 'Email (optional)',
+  'cart.tradeInReference': 'Trade-in reference (optional)',
+  'cart.placing': 'Placing order...',
+  'cart.confirm': 'Confirm Order',
+  'cart.lockPrice': 'Lock Price & Continue',
+  'cart.orderPlaced': 'Order {order} placed successfully. Total: {total}',
+  'cart.tradeInCredit': '(trade-in credit {credit}, due {due})',
+  'cart.itemLeft': 'product #{id}: {available} left',
+  'cart.pickup': 'Pick up in store',
+  'cart.shipTo': 'Deliver to {address}',
+
+  'alerts.title': 'Price Alerts',
+  'alerts.intro': 'Get an email when gold or a piece you like reaches your price.',
+  'alerts.goldGroup': 'Gold price per gram',
+  'alerts.caratGold': '{carat} gold',
+  'alerts.productGroup': 'Product price',
+  'alerts.below': 'drops below',
+  'alerts.above': 'rises above',
+  'alerts.threshold': 'Price in EGP',
+  'alerts.email': 'Your email',
+  'alerts.submit': 'Notify Me',
+  'alerts.saved': 'We will notify you when the price {direction} {threshold}',
+  'alerts.checkEmail': 'Almost done - open the link we sent to {email} to start this alert.',
+  'alerts.alreadyMet': 'The price already {direction} {threshold}. We will notify you the next time it crosses.',
+
+  'account.title': 'My Account',
+  'account.signInTitle': 'Sign In',
+  'account.registerTitle': 'Create an Account',
+  'account.intro': 'Keep a wishlist, save your addresses and follow your orders.',
+  'account.name': 'Full name',
+  'account.email': 'Email',
+  'account.phone': 'Phone (optional)',
+  'account.password': 'Password (at least 8 characters)',
+  'account.signIn': 'Sign In',
+  'account.register': 'Create Account',
+  'account.needAccount': 'New here? Create an account',
+  'account.haveAccount': 'Already have an account? Sign in',
+  'account.signedInAs': 'Signed in as',
+  'account.signOut': 'Sign Out',
+
+  'orders.title': 'Order History',
+  'orders.empty': 'You have not placed any orders yet.',
+  'orders.number': 'Order',
+  'orders.date': 'Date',
+  'orders.items': 'Items',
+  'orders.statusColumn': 'Status',
+  'orders.pickup': 'Pick up in store',
+  'orders.tradeIn': 'Trade-in credit {credit} - amount due {due}',
+  'orders.status.pending': 'Pending',
+  'orders.status.paid': 'Paid',
+  'orders.status.ready_for_pickup': 'Ready for Pickup',
+  'orders.status.delivered': 'Delivered',
+  'orders.status.cancelled': 'Cancelled',
+
+  'wishlist.title': 'Wishlist',
+  'wishlist.add': 'Save to wishlist',
+  'wishlist.added': '{name} saved to your wishlist',
+  'wishlist.signInFirst': 'Sign in to your account to keep a wishlist',
+  'wishlist.empty': 'Nothing saved yet. Use "Save to wishlist" on any product.',
+  'wishlist.savedPrice': 'Price when saved',
+  'wishlist.currentPrice': 'Price now',
+  'wishlist.change': 'Change',
+  'wishlist.savedOn': 'Saved {date}',
+  'wishlist.range': '{count} price changes since, between {low} and {high}',
+  'wishlist.remove': 'Remove',
+
+  'addresses.title': 'Saved Addresses',
+  'addresses.empty': 'No saved addresses yet.',
+  'addresses.default': 'Default',
+  'addresses.add': 'Add Address',
+  'addresses.edit': 'Edit',
+  'addresses.makeDefault': 'Make default',
+  'addresses.save': 'Save Address',
+  'addresses.cancel': 'Cancel',
+  'addresses.label': 'Label, e.g. Home (optional)',
+  'addresses.recipient_name': 'Recipient name',
+  'addresses.phone': 'Phone',
+  'addresses.address_line1': 'Street and building',
+  'addresses.address_line2': 'Floor / apartment (optional)',
+  'addresses.city': 'City',
+  'addresses.governorate': 'Governorate (optional)',
+  'addresses.postal_code': 'Postal code (optional)',
+
+  // Error codes from the API - the English server message is shown instead
+  'errors.network': 'Cannot connect to server. Please check backend URL.',
+  'errors.invalid_request': 'Invalid request',
+  'errors.unauthorized': 'Not signed in',
+  'errors.forbidden': 'Not allowed',
+  'errors.not_found': 'Not found',
+  'errors.conflict': 'Conflict',
+  'errors.expired': 'Expired',
+  'errors.payload_too_large': 'Upload too large',
+  'errors.validation_failed': 'Validation failed',
+  'errors.too_many_requests': 'Too many requests, please try again later',
+  'errors.server_error': 'Server error',
+  'errors.service_unavailable': 'Service unavailable',
+  'errors.authentication_required': 'Authentication required',
+  'errors.session_expired': 'Session is invalid or has expired',
+  'errors.credentials_required': 'Username and password are required',
+  'errors.invalid_credentials': 'Invalid username or password',
+  'errors.product_not_found': 'Product not found',
+  'errors.cart_not_found': 'Cart not found',
+  'errors.invalid_quantity': 'Valid quantity is required',
+  'errors.insufficient_stock': 'Only {available} in stock',
+  'errors.not_in_cart': 'Product is not in the cart',
+  'errors.cart_empty': 'Cart is empty',
+  'errors.items_unavailable': 'Some items are no longer available in the requested quantity',
+  'errors.customer_details_required': 'Customer name and phone are required',
+  'errors.trade_in_not_found': 'Trade-in not found for this customer',
+  'errors.quote_invalid': 'Quote is invalid',
+  'errors.quote_used': 'Quote has already been used for an order',
+  'errors.quote_cart_changed': 'The cart changed after the quote was issued - please request a new quote',
+  'errors.quote_expired': 'Quote has expired - please request a new quote',
+  'errors.quote_not_found': 'Quote not found',
+  'errors.alert_channel_required': 'Provide either an email or a webhook URL',
+  'errors.invalid_email': 'Valid email is required',
+  'errors.invalid_webhook_url': 'Webhook URL must be a public http(s) URL',
+  'errors.alert_target_required': 'Choose a carat or a product to watch',
+  'errors.unknown_carat': 'Unknown carat',
+  'errors.invalid_direction': 'Direction must be above or below',
+  'errors.invalid_threshold': 'Valid threshold price is required',
+  'errors.endpoint_not_found': 'Endpoint not found',
+  'errors.order_not_found': 'Order not found',
+  'errors.customer_authentication_required': 'Please sign in to your account',
+  'errors.customer_session_expired': 'Your session has expired - please sign in again',
+  'errors.registration_details_required': 'Name, email and password are required',
+  'errors.password_too_short': 'Password must be at least {min_length} characters',
+  'errors.email_taken': 'An account with this email already exists',
+  'errors.too_many_attempts': 'Too many attempts - please try again in a few minutes',
+  'errors.invalid_address': 'Recipient name, phone, address and city are required',
+  'errors.address_limit': 'You have saved the maximum number of addresses',
+  'errors.address_not_found': 'Address not found',
+  'errors.not_in_wishlist': 'Product is not in the wishlist'
+};
+
+export default en;
@@ -0,0 +1,88 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { getLanguage, setLanguage } from '../api';
+import en from './en';
+import ar from './ar';
+
+export const LANGUAGES = {
+  en: { label: 'English', dir: 'ltr', locale: 'en-EG', messages: en },
+  ar: { label: 'العربية', dir: 'rtl', locale: 'ar-EG-u-nu-arab', messages: ar }
+};
+
+// Codes the server adds from the HTTP status alone - their message carries the detail
+const GENERIC_ERROR_CODES = [
+  'invalid_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'expired',
+  'payload_too_large', 'validation_failed', 'server_error', 'service_unavailable'
+];
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined ? params[name] : match
+));
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+  const [lang, setLang] = useState(getLanguage());
+  const { dir, locale, messages } = LANGUAGES[lang] || LANGUAGES.en;
+
+  // The whole document flips direction, so the CSS can use [dir="rtl"]
+  useEffect(() => {
+    document.documentElement.lang = lang;
+    document.documentElement.dir = dir;
+  }, [lang, dir]);
+
+  const value = useMemo(() => {
+    const has = (key) => messages[key] !== undefined || en[key] !== undefined;
+
+    // Missing Arabic strings fall back to English, missing keys to the key itself
+    const t = (key, params = {}) => interpolate(messages[key] ?? en[key] ?? key, params);
+
+    const formatNumber = (amount, options = {}) => new Intl.NumberFormat(locale, {
+      maximumFractionDigits: 2,
+      ...options
+    }).format(Number(amount));
+
+    const formatPrice = (amount, currency = 'EGP') => new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(Number(amount));
+
+    const formatDate = (date, options) => new Date(date).toLocaleDateString(locale, options);
+    const formatDateTime = (date, options) => new Date(date).toLocaleString(locale, options);
+
+    // Arabic product fields when present, English otherwise
+    const localized = (record, field) => (lang === 'ar' && record[`${field}_ar`]) || record[field];
+
+    // Localized text for a failed API call, using the stable `code` in the error body
+    const errorMessage = (error) => {
+      const data = error.response?.data;
+
+      if (!error.response) {
+        return lang === 'en' ? error.message : t('errors.network');
+      }
+
+      if (!data?.code || !has(`errors.${data.code}`) || (lang === 'en' && data.error)) {
+        return data?.error || error.message;
+      }
+
+      return GENERIC_ERROR_CODES.includes(data.code) && data.error
+        ? `${t(`errors.${data.code}`)}: ${data.error}`
+        : t(`errors.${data.code}`, data);
+    };
+
+    const changeLanguage = (value) => {
+      setLanguage(value);
+      setLang(value);
+    };
+
+    return {
+      lang, dir, locale, t, formatNumber, formatPrice, formatDate, formatDateTime,
+      localized, errorMessage, setLang: changeLanguage
+    };
+  }, [lang, dir, locale, messages]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
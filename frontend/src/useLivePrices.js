@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_URL } from './api';
+
+// The server sends a ping every 25 seconds - silence for longer means the stream is dead
+const STALE_AFTER_MS = 60000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Subscribes to the live price stream. Returns 'connecting', 'live' or 'stale'.
+function useLivePrices({ onGoldPrice, onProductPrices }) {
+  const [status, setStatus] = useState('connecting');
+  const handlers = useRef({ onGoldPrice, onProductPrices });
+  handlers.current = { onGoldPrice, onProductPrices };
+
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let retryDelay = 1000;
+    let lastMessageAt = Date.now();
+
+    const received = () => {
+      lastMessageAt = Date.now();
+      retryDelay = 1000;
+      setStatus('live');
+    };
+
+    const reconnect = () => {
+      if (source) source.close();
+      setStatus('stale');
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+    };
+
+    const connect = () => {
+      lastMessageAt = Date.now();
+      source = new EventSource(`${API_URL}/api/stream`);
+
+      source.addEventListener('gold-price', (event) => {
+        received();
+        handlers.current.onGoldPrice(JSON.parse(event.data));
+      });
+      source.addEventListener('product-prices', (event) => {
+        received();
+        handlers.current.onProductPrices(JSON.parse(event.data).products);
+      });
+      source.addEventListener('ping', received);
+
+      source.onerror = () => {
+        // The browser retries on its own unless it gave up on the connection
+        setStatus('stale');
+        if (source.readyState === EventSource.CLOSED) reconnect();
+      };
+    };
+
+    connect();
+
+    const watchdog = setInterval(() => {
+      if (Date.now() - lastMessageAt > STALE_AFTER_MS) reconnect();
+    }, 10000);
+
+    return () => {
+      clearInterval(watchdog);
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, []);
+
+  return status;
+}
+
+export default useLivePrices;